@@ -0,0 +1,64 @@
+'use strict';
+(function() {
+
+/**
+ * Constants for the valid values of Action's status, type and cause fields.
+ * setup.js copies them onto the Action model, e.g. Action.PENDING. Modules
+ * whose logic has to run without a database, like subscription-decisions.js,
+ * use them from here instead.
+ */
+module.exports = {
+  // Constants for the valid values of `status'.
+  PENDING: 'pending',
+  DONE: 'done',
+  CANCELLED_FOLLOWING: 'cancelled-following',
+  // The target follows the source, who has elected not to block their
+  // followers for the block's cause.
+  CANCELLED_FOLLOWER: 'cancelled-follower',
+  CANCELLED_SUSPENDED: 'cancelled-suspended',
+  // If the action did not need to be performed because the source was already
+  // blocking the sink.
+  CANCELLED_DUPLICATE: 'cancelled-duplicate',
+  // If a user has previously unblocked the target, the target should be immune
+  // from future automated blocks.
+  CANCELLED_UNBLOCKED: 'cancelled-unblocked',
+  // You cannot block yourself.
+  CANCELLED_SELF: 'cancelled-self',
+  // The target is on the user's allowlist, so no automated block or mute may
+  // touch them.
+  CANCELLED_ALLOWLISTED: 'cancelled-allowlisted',
+  // When we find a suspended user, we put it in a deferred state to be tried
+  // later.
+  DEFERRED_TARGET_SUSPENDED: 'deferred-target-suspended',
+  // When a user with pending actions is deactivated/suspended/revokes,
+  // cancel those pending actions.
+  CANCELLED_SOURCE_DEACTIVATED: 'cancelled-source-deactivated',
+  // The user cancelled the action from /actions before it was performed.
+  CANCELLED_BY_USER: 'cancelled-by-user',
+  // Performing the action kept failing, and we gave up. Users can retry failed
+  // actions from /actions.
+  FAILED: 'failed',
+
+  // Constants for the valid values of 'type'.
+  BLOCK: 'block',
+  UNBLOCK: 'unblock',
+  MUTE: 'mute',
+  UNMUTE: 'unmute',
+
+  // Constants for the valid values of 'cause'
+  BULK_MANUAL_BLOCK: 'bulk-manual-block', // 'Block all' from a shared list.
+  NEW_ACCOUNT: 'new-account', // "Block new accounts"
+  LOW_FOLLOWERS: 'low-followers', // "Block accounts with < 15 followers."
+  DEFAULT_PROFILE_IMAGE: 'default-profile-image', // "... default image."
+  LOW_STATUSES: 'low-statuses', // "Block accounts with < 10 tweets."
+  FOLLOW_RATIO: 'follow-ratio', // "... following 20x as many as follow them."
+  RULE: 'rule', // Matched an AutoBlockRule, named in rule_name.
+  KEYWORD: 'keyword', // Mentioned the user with an AutoBlockKeyword.
+  SUBSCRIPTION: 'subscription', // Blocked because of a subscription.
+  IMPORT: 'import', // Imported from a CSV or Twitter archive.
+  EXPIRY: 'expiry', // Unblock at the end of a temporary block.
+  UNDO: 'undo', // Undoing an ActionBatch from /actions.
+
+  EXTERNAL: 'external' // Done byTwitter web or other app, and observed by BT.
+};
+})();
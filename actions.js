@@ -7,25 +7,106 @@
 var twitterAPI = require('node-twitter-api'),
     https = require('https'),
     fs = require('fs'),
+    os = require('os'),
     Q = require('q'),
     _ = require('sequelize').Utils._,
+    QueryTypes = require('sequelize').QueryTypes,
+    rateLimit = require('./rate-limit'),
     util = require('./util'),
     setup = require('./setup');
 
 var twitter = setup.twitter,
+    config = setup.config,
     logger = setup.logger,
+    sequelize = setup.sequelize,
     BtUser = setup.BtUser,
-    Action = setup.Action;
+    Action = setup.Action,
+    ActionBatch = setup.ActionBatch,
+    AllowlistEntry = setup.AllowlistEntry;
+
+// Identifies this process in the locked_by field of the Actions it claims, so
+// several actions.js processes can share the queue. config.workerId can stand
+// in for the hostname, but the pid is always added so that processes on one
+// host never share an id.
+var WORKER_ID = (config.workerId || os.hostname()) + ':' + process.pid;
+// How long a claim on a batch of Actions lasts. A batch normally finishes well
+// within that; if the process dies first, the batch's Actions become available
+// to other workers once the claim expires.
+var LEASE_MS = (config.actionLeaseSeconds || 600) * 1000;
+
+// How many times to try an action that keeps failing with errors we expect to
+// be temporary before marking it failed. The delay before each retry doubles,
+// starting from RETRY_BASE_DELAY_MS.
+var MAX_ATTEMPTS = config.maxActionAttempts || 8;
+var RETRY_BASE_DELAY_MS = 5 * 60 * 1000;
+var RETRY_MAX_DELAY_MS = 24 * 60 * 60 * 1000;
+
+// Statuses of past Actions that stop queueActions from enqueuing the same
+// action (same source, sink, type and cause) again. CANCELLED_ALLOWLISTED and
+// CANCELLED_FOLLOWER are left out on purpose, since they depend on settings
+// the user can change: taking an account off the allowlist, or no longer
+// protecting followers, lets later blocks through.
+var SKIP_REQUEUE_STATUSES = config.skipRequeueStatuses || [
+  Action.CANCELLED_FOLLOWING,
+  Action.CANCELLED_DUPLICATE,
+  Action.CANCELLED_UNBLOCKED,
+  Action.CANCELLED_SELF
+];
+
+// Number of sink uids to check for previous Actions per query.
+var PREVIOUS_ACTIONS_CHUNK_SIZE = 1000;
 
 /**
- * Given a list of uids, enqueue them all in the Actions table, and trigger a
- * batch of processing Actions for the source user.
+ * Find which of a list of sink uids already have an Action with the given
+ * source, type and cause in one of SKIP_REQUEUE_STATUSES.
  *
- * TODO: Certain sources, like mention replays when stream.js restarts, can
- * cause fresh Actions to be enqueued even when those Actions have previously
- * been cancelled, e.g. cancelled-following. These Actions are very likely to be
- * cancelled again, and we should probably avoid enqueuing them in order to not
- * clutter up the Actions list with entries that are confusing to the user.
+ * @param {string} source_uid
+ * @param {Array.<string>} list Sink uids to check.
+ * @param {string} type
+ * @param {string} cause
+ * @return {Promise.<Object>} Resolves to a map whose keys are the sink uids
+ *   that should not be enqueued again.
+ */
+function findPreviouslyCancelled(source_uid, list, type, cause) {
+  var skip = {};
+  if (SKIP_REQUEUE_STATUSES.length === 0) {
+    return Q.resolve(skip);
+  }
+  var chunks = [];
+  for (var i = 0; i < list.length; i += PREVIOUS_ACTIONS_CHUNK_SIZE) {
+    chunks.push(list.slice(i, i + PREVIOUS_ACTIONS_CHUNK_SIZE));
+  }
+  return chunks.reduce(function(previous, chunk) {
+    return previous.then(function() {
+      return Action.findAll({
+        where: {
+          source_uid: source_uid,
+          sink_uid: chunk,
+          type: type,
+          cause: cause,
+          status: SKIP_REQUEUE_STATUSES
+        },
+        attributes: ['sink_uid']
+      });
+    }).then(function(cancelled) {
+      cancelled.forEach(function(action) {
+        skip[action.sink_uid] = 1;
+      });
+    });
+  }, Q.resolve()).thenResolve(skip);
+}
+
+/**
+ * Given a list of uids, enqueue them all in the Actions table, grouped in a new
+ * ActionBatch, and trigger a batch of processing Actions for the source user.
+ *
+ * Certain sources, like mention replays when stream.js restarts, would enqueue
+ * Actions that were previously cancelled, e.g. cancelled-following, and are
+ * very likely to be cancelled again. To avoid cluttering the Actions list with
+ * repeats, such callers pass opt_skipCancelled, and uids that have a previous
+ * Action with the same type and cause in one of SKIP_REQUEUE_STATUSES are
+ * skipped. Explicit requests from the user, like setting an expiry on a block,
+ * leave it off so that nothing they asked for is dropped.
  *
  * @param {string} source_uid The user who wants to perform these actions.
  * @param {Array.<string>} list A list of uids to target with the actions.
@@ -33,25 +114,68 @@ var twitter = setup.twitter,
  * @param {string} cause The cause to be recorded on the Actions.
  * @param {string} cause_uid Uid of the user who caused the actions, e.g.
  *    the author of a shared block list if cause is 'bulk-manual-block.'
+ * @param {Object=} opt_fields Additional fields to set on each Action, e.g.
+ *    rule_name if cause is 'rule'.
+ * @param {string=} opt_route What queued the actions, recorded on the
+ *    ActionBatch: a web route like '/block-all.json', or a script name.
+ * @param {boolean=} opt_skipCancelled Whether to skip uids whose previous
+ *    Actions were cancelled, as above. Callers that do so should report the
+ *    skipped count to the user if there is one to report to.
+ * @return {Promise.<Object>} Resolves once the Actions are stored, to an
+ *    object with the number of uids queued and skipped and the id of the
+ *    ActionBatch (null if nothing was queued), or to null on error.
  */
-function queueActions(source_uid, list, type, cause, cause_uid) {
-  return Action.bulkCreate(
-    list.map(function(sink_uid) {
-      return {
-        source_uid: source_uid,
-        sink_uid: sink_uid,
-        type: type,
-        cause: cause,
-        cause_uid: cause_uid,
-        'status': Action.PENDING
-      }
-    })).then(function(actions) {
-      // After writing the actions to the DB process all actions
-      // for the user.
-      return processActionsForUserId(source_uid);
-    }).catch(function(err) {
-      logger.error(err);
+function queueActions(source_uid, list, type, cause, cause_uid, opt_fields,
+    opt_route, opt_skipCancelled) {
+  var queued = [];
+  var batch = null;
+  var skipPromise = opt_skipCancelled ?
+    findPreviouslyCancelled(source_uid, list, type, cause) : Q.resolve({});
+  return skipPromise.then(function(skip) {
+    queued = list.filter(function(sink_uid) {
+      return !skip[sink_uid];
     });
+    if (queued.length < list.length) {
+      logger.info('Skipping', list.length - queued.length, type,
+        'actions for', source_uid, 'cancelled previously.');
+    }
+    if (queued.length === 0) {
+      return [];
+    }
+    return ActionBatch.create({
+      source_uid: source_uid,
+      type: type,
+      cause: cause,
+      cause_uid: cause_uid,
+      route: opt_route || null,
+      size: queued.length
+    }).then(function(actionBatch) {
+      batch = actionBatch;
+      return Action.bulkCreate(queued.map(function(sink_uid) {
+        return _.extend({
+          source_uid: source_uid,
+          sink_uid: sink_uid,
+          type: type,
+          cause: cause,
+          cause_uid: cause_uid,
+          action_batch_id: batch.id,
+          'status': Action.PENDING
+        }, opt_fields);
+      }));
+    });
+  }).then(function(actions) {
+    // After writing the actions to the DB process all actions
+    // for the user.
+    processActionsForUserId(source_uid);
+    return {
+      queued: queued.length,
+      skipped: list.length - queued.length,
+      action_batch_id: batch ? batch.id : null
+    };
+  }).catch(function(err) {
+    logger.error(err);
+    return null;
+  });
 }
 
 /**
@@ -71,12 +195,21 @@ function queueActions(source_uid, list, type, cause, cause_uid) {
  * each action queried gets moved out of pending state in one way or
  * another.
  *
- * Note that the block endpoint can only block one user
- * at a time, but it does not appear to have a rate limit.
+ * Note that the block endpoint can only block one user at a time. All of these
+ * calls go through rate-limit.js, which tracks each user's remaining budget per
+ * endpoint; a user who runs out has their queue paused until the limit resets,
+ * rather than retrying on every sweep.
+ *
+ * Users whose pending actions are all claimed by a worker are skipped. Actions
+ * whose claim has expired, e.g. because their worker crashed, are picked up
+ * again.
  */
 function processActions() {
+  var now = new Date();
   return Action.findAll({
-    where: ['status = "pending"'],
+    where: ['status = "pending" AND ' +
+      '(next_attempt_at IS NULL OR next_attempt_at <= ?) AND ' +
+      '(locked_until IS NULL OR locked_until <= ?)', now, now],
     group: 'source_uid',
     limit: 300
   }).then(function(actions) {
@@ -98,11 +231,122 @@ function processActions() {
 
 var workingActions = {};
 
+// Map from uid to the timeout that will resume processing for a user whose
+// queue is paused by a rate limit.
+var resumeTimers = {};
+
+// The Twitter endpoints processing each type of action calls. If the user is
+// out of budget for any of them, their queue is paused.
+var ENDPOINTS = {
+  block: ['friendships/lookup', 'blocks/create'],
+  unblock: ['blocks/destroy'],
+  mute: ['mutes/users/create'],
+  unmute: ['mutes/users/destroy']
+};
+
+/**
+ * If a user is out of rate limit budget for an action type, arrange to process
+ * their actions again once the limit resets.
+ *
+ * @param {string} uid The user whose queue to check.
+ * @param {string} type The type of their next pending actions.
+ * @return {boolean} Whether their queue is paused.
+ */
+function pauseIfRateLimited(uid, type) {
+  var until = rateLimit.pausedUntil(uid, ENDPOINTS[type] || []);
+  if (!until) {
+    return false;
+  }
+  if (!resumeTimers[uid]) {
+    logger.info('Pausing', type, 'actions for', uid, 'until', until);
+    resumeTimers[uid] = setTimeout(function() {
+      delete resumeTimers[uid];
+      processActionsForUserId(uid);
+    }, until - new Date() + 1000);
+  }
+  return true;
+}
+
+/**
+ * Claim up to 100 of a user's earliest available pending actions for this
+ * worker, by setting locked_by and locked_until in a single UPDATE, so no two
+ * workers can claim the same action.
+ *
+ * Actions for a user must be performed in order, so if another worker holds a
+ * claim on some of the user's actions, we release ours and leave the user to
+ * that worker. If two workers claim at the same moment, both may back off; the
+ * next sweep picks the user up again.
+ *
+ * Skips actions that are waiting to be retried after an error.
+ *
+ * @param {string} uid The user whose actions to claim.
+ * @return {Promise.<Array.<Action>>} The claimed actions, in order by
+ *   createdAt. May be empty.
+ */
+function claimActions(uid) {
+  var now = new Date();
+  var leaseUntil = new Date(now.getTime() + LEASE_MS);
+  return sequelize.query(
+    'UPDATE Actions SET locked_by = ?, locked_until = ? ' +
+    'WHERE source_uid = ? AND status = ? AND ' +
+    '(next_attempt_at IS NULL OR next_attempt_at <= ?) AND ' +
+    '(locked_until IS NULL OR locked_until <= ?) ' +
+    'ORDER BY createdAt ASC, id ASC LIMIT 100',
+    null, { raw: true },
+    [WORKER_ID, leaseUntil, uid, Action.PENDING, now, now]
+  ).then(function() {
+    // We use a separate fetch here rather than fetching through the BtUser
+    // because the actions for a user can be quite large.
+    return [
+      Action.findAll({
+        where: {
+          source_uid: uid,
+          status: Action.PENDING,
+          locked_by: WORKER_ID
+        },
+        order: 'createdAt ASC, id ASC'
+      }),
+      Action.count({
+        where: ['source_uid = ? AND status = ? AND locked_by != ? AND ' +
+          'locked_until > ?', uid, Action.PENDING, WORKER_ID, now]
+      })
+    ];
+  }).spread(function(actions, otherClaims) {
+    if (otherClaims > 0 && actions.length > 0) {
+      logger.info('Another worker is processing actions for', uid,
+        'releasing', actions.length);
+      return releaseActions(_.pluck(actions, 'id')).thenResolve([]);
+    }
+    return actions;
+  });
+}
+
 /**
- * For a given user id, fetch and process pending actions.
+ * Release this worker's claim on some actions, so other workers can pick up
+ * the ones that are still pending.
+ *
+ * @param {Array.<number>} ids Ids of the actions to release.
+ * @return {Promise}
+ */
+function releaseActions(ids) {
+  if (ids.length === 0) {
+    return Q.resolve(null);
+  }
+  return Q(Action.update({
+    locked_by: null,
+    locked_until: null
+  }, {
+    id: ids,
+    locked_by: WORKER_ID
+  }));
+}
+
+/**
+ * For a given user id, claim and process pending actions.
  * Actions are processed in batches of up to 100, but they must all be the same
- * type, and must be in order by createdAt. So we pick up to 100 actions that
- * match the type of the earliest available pending action for the uid.
+ * type, and must be in order by createdAt. So we claim up to 100 actions, and
+ * process the ones that match the type of the earliest. All claimed actions
+ * are released afterwards.
  * @param {string} uid The uid of the user to process.
  */
 function processActionsForUserId(uid) {
@@ -111,25 +355,17 @@ function processActionsForUserId(uid) {
       'actions already in progress.', workingActions[uid]);
     return Q.resolve(null);
   }
+  // Mark the user as in progress before claiming, so two sweeps in this
+  // process don't race to claim the same user's actions.
+  workingActions[uid] = 1;
+  var claimedIds = [];
   var btUserPromise = BtUser.find(uid);
-  // We use a separate fetch here rather than an include because the actions
-  // for a user can be quite large. The SQL generated by a BtUser.find
-  // with an include statement has two problems: (1) It doesn't respect
-  // the limit clause, and (2) each row returned for Actions also includes
-  // the full BtUser object, which contains some long strings. This is
-  // very wasteful.
-  var actionsPromise = Action.findAll({
-    // Out of the available pending actions on this user,
-    // pick up to 100 with the earliest createdAt times.
-    where: {
-      status: 'pending',
-      source_uid: uid
-    },
-    order: 'createdAt ASC',
-    limit: 100
+  var actionsPromise = claimActions(uid).then(function(actions) {
+    claimedIds = _.pluck(actions, 'id');
+    return actions;
   });
 
-  Q.spread([btUserPromise, actionsPromise],
+  return Q.spread([btUserPromise, actionsPromise],
     function(btUser, actions) {
       if (!btUser || btUser.deactivatedAt) {
         // Cancel all pending actions for deactivated or absent users.
@@ -137,6 +373,8 @@ function processActionsForUserId(uid) {
         return cancelSourceDeactivated(uid).thenResolve(null);
       } else if (actions.length === 0) {
         return Q.resolve(null);
+      } else if (pauseIfRateLimited(uid, actions[0].type)) {
+        return Q.resolve(null);
       } else {
         // Order across action types can be important, for instance when there are
         // both a block and an unblock action enqueued. We get 100 actions, then
@@ -153,26 +391,68 @@ function processActionsForUserId(uid) {
             firstActionType);
           run = actions.slice(0, firstDiffIndex);
         }
-        workingActions[uid] = 1;
         var processingPromise = null;
         if (firstActionType === 'block') {
           processingPromise = processBlocksForUser(btUser, run);
         } else if (firstActionType === 'unblock') {
           processingPromise = processUnblocksForUser(btUser, run);
-        } else if (firstActionType === 'mute') {
+        } else if (firstActionType === 'mute' ||
+                   firstActionType === 'unmute') {
           processingPromise = processMutesForUser(btUser, run);
         }
         workingActions[uid] = processingPromise;
-        return processingPromise;
+        return processingPromise.then(function() {
+          // If we ran out of budget part way through, pick up the rest of the
+          // run once the limit resets.
+          pauseIfRateLimited(uid, firstActionType);
+        });
       }
     }).catch(function(err) {
       logger.error(err);
     }).finally(function() {
-      delete workingActions[uid];
-      return Q.resolve(null);
+      return releaseActions(claimedIds).catch(function(err) {
+        // The claims will expire on their own.
+        logger.error(err);
+      }).finally(function() {
+        delete workingActions[uid];
+      });
     });
 }
 
+/**
+ * Cancel some or all of a user's pending actions, at their request, by moving
+ * them to CANCELLED_BY_USER.
+ *
+ * Actions claimed by a worker are left alone, so the batch finishes as a unit
+ * and its actions' statuses reflect what was actually done.
+ *
+ * @param {string} uid The user whose actions to cancel.
+ * @param {Object} filter Which pending actions to cancel. Optional fields:
+ *   ids, an Array of Action ids, and cause_uid, to cancel only actions caused
+ *   by that user's shared block list. If neither is given, all pending actions
+ *   are cancelled.
+ * @return {Promise} Resolves once the actions are cancelled.
+ */
+function cancelActions(uid, filter) {
+  var sql = 'source_uid = ? AND status = ?';
+  var values = [uid, Action.PENDING];
+  if (filter.ids) {
+    sql += ' AND id IN (?)';
+    values.push(filter.ids);
+  }
+  if (filter.cause_uid) {
+    sql += ' AND cause_uid = ?';
+    values.push(filter.cause_uid);
+  }
+  sql += ' AND (locked_until IS NULL OR locked_until <= ?)';
+  values.push(new Date());
+  return Action.update({
+    status: Action.CANCELLED_BY_USER
+  }, [sql].concat(values)).then(function() {
+    logger.info('Cancelled pending actions for', uid, JSON.stringify(filter));
+  });
+}
+
 /**
  * For a uid that has been determined to be deactivated, mark all of that
  * user's pending actions with status = CANCELLED_SOURCE_DEACTIVATED.
@@ -193,10 +473,10 @@ function cancelSourceDeactivated(uid) {
 }
 
 function doBlock(sourceBtUser, sinkUid) {
-  return Q.ninvoke(twitter, 'blocks', 'create', {
+  return rateLimit.call(sourceBtUser, 'blocks', 'create', {
       user_id: sinkUid,
       skip_status: 1
-    }, sourceBtUser.access_token, sourceBtUser.access_token_secret)
+    })
     .spread(function(result, response) {
       logger.trace('/blocks/create', sourceBtUser, sinkUid,
         response.statusCode);
@@ -205,10 +485,10 @@ function doBlock(sourceBtUser, sinkUid) {
 }
 
 function doUnblock(sourceBtUser, sinkUid) {
-  return Q.ninvoke(twitter, 'blocks', 'destroy', {
+  return rateLimit.call(sourceBtUser, 'blocks', 'destroy', {
       user_id: sinkUid,
       skip_status: 1
-    }, sourceBtUser.access_token, sourceBtUser.access_token_secret)
+    })
     .spread(function(result, response) {
       logger.trace('/blocks/destroy', sourceBtUser, sinkUid,
         response.statusCode);
@@ -217,10 +497,10 @@ function doUnblock(sourceBtUser, sinkUid) {
 }
 
 function doMute(sourceBtUser, sinkUid) {
-  return Q.ninvoke(twitter, 'mutes', 'users/create', {
+  return rateLimit.call(sourceBtUser, 'mutes', 'users/create', {
       user_id: sinkUid,
       skip_status: 1
-    }, sourceBtUser.access_token, sourceBtUser.access_token_secret)
+    })
     .spread(function(result, response) {
       logger.trace('/mutes/users/create', sourceBtUser, sinkUid,
         response.statusCode);
@@ -228,10 +508,22 @@ function doMute(sourceBtUser, sinkUid) {
     });
 }
 
+function doUnmute(sourceBtUser, sinkUid) {
+  return rateLimit.call(sourceBtUser, 'mutes', 'users/destroy', {
+      user_id: sinkUid,
+      skip_status: 1
+    })
+    .spread(function(result, response) {
+      logger.trace('/mutes/users/destroy', sourceBtUser, sinkUid,
+        response.statusCode);
+      return result;
+    });
+}
+
 function getFriendships(btUser, sinkUids) {
-  return Q.ninvoke(twitter, 'friendships', 'lookup', {
+  return rateLimit.call(btUser, 'friendships', 'lookup', {
       user_id: sinkUids.join(',')
-    }, btUser.access_token, btUser.access_token_secret)
+    })
     .spread(function(result, response) {
       logger.trace('/friendships/lookup', btUser, sinkUids,
         response.statusCode);
@@ -267,53 +559,95 @@ function processUnblocksForUser(btUser, actions) {
         logger.info('Unblock returned 404 for inactive sink_uid',
           action.sink_uid, 'cancelling action.');
         return setActionStatus(action, Action.DEFERRED_TARGET_SUSPENDED);
+      } else if (err.statusCode === 429) {
+        // Leave the action pending. processActionsForUserId will pause this
+        // user's queue until the rate limit resets.
+        return Q.resolve(null);
       } else if (err.statusCode) {
         logger.error('Error /blocks/destroy', err.statusCode, btUser,
           '-->', action.sink_uid);
-        // Don't change the state of the action: It will be retried later.
-        return Q.resolve(null);
+        // Leave the action pending: It will be retried later.
+        return recordFailure(action, err);
       } else {
         logger.error('Error /blocks/destroy', err);
-        return Q.resolve(null);
+        return recordFailure(action, err);
       }
     });
   }));
 }
 
+/**
+ * Perform a run of mute or unmute Actions. As with unblocks, we don't look up
+ * friendships first. A mute of an account the user previously unmuted
+ * themselves is cancelled with CANCELLED_UNBLOCKED, and a mute of an
+ * allowlisted account with CANCELLED_ALLOWLISTED, the same way checkUnblocks
+ * handles blocks.
+ *
+ * @param {BtUser} btUser The user whose Actions we should process.
+ * @param {Array.<Action>} actions Actions to process, all mutes or all unmutes.
+ */
 function processMutesForUser(btUser, actions) {
-  return Q.all(actions.map(function(action) {
-    if (action.type !== 'mute') {
-      return Q.reject("Shouldn't happen: non-mute action " + btUser +
-        " " + action.dataValues);
+  var type = actions[0].type;
+  var perform = type === Action.MUTE ? doMute : doUnmute;
+  var endpoint = type === Action.MUTE ?
+    '/mutes/users/create' : '/mutes/users/destroy';
+  var sinkUids = _.pluck(actions, 'sink_uid');
+  var unmutesPromise = type !== Action.MUTE ? Q.resolve([]) : Action.findAll({
+    where: {
+      source_uid: btUser.uid,
+      sink_uid: sinkUids,
+      status: Action.DONE,
+      cause: [Action.EXTERNAL, Action.BULK_MANUAL_BLOCK],
+      type: Action.UNMUTE
     }
-    return doMute(btUser, action.sink_uid).then(function() {
-      logger.info('Muted', btUser, '-->', action.sink_uid);
-      return setActionStatus(action, Action.DONE);
-    }).catch(function(err) {
-      if (err && (err.statusCode === 401 || err.statusCode === 403)) {
-        return btUser.verifyCredentials().thenResolve(null);
-      } else if (err && err.statusCode === 404) {
-        logger.info('Unmute returned 404 for inactive sink_uid',
-          action.sink_uid, 'cancelling action.');
-        return setActionStatus(action, Action.DEFERRED_TARGET_SUSPENDED);
-      } else if (err.statusCode) {
-        logger.error('Error /mutes/users/create', err.statusCode, btUser,
-          '-->', action.sink_uid);
-        return Q.resolve(null);
-      } else {
-        logger.error('Error /mutes/users/create', err);
-        return Q.resolve(null);
+  });
+  var allowlistPromise = type !== Action.MUTE ? Q.resolve({}) :
+    findAllowlisted(btUser.uid, sinkUids);
+  return Q.all([unmutesPromise, allowlistPromise]
+  ).spread(function(unmutes, indexedAllowlist) {
+    var indexedUnmutes = _.indexBy(unmutes, 'sink_uid');
+    return Q.all(actions.map(function(action) {
+      if (action.type !== type) {
+        return Q.reject("Shouldn't happen: mixed mute/unmute actions " +
+          btUser + " " + action.dataValues);
       }
-      return Q.resolve(null);
-    });
-  }));
+      if (indexedAllowlist[action.sink_uid] && allowlistApplies(action)) {
+        return setActionStatus(action, Action.CANCELLED_ALLOWLISTED);
+      } else if (indexedUnmutes[action.sink_uid]) {
+        return setActionStatus(action, Action.CANCELLED_UNBLOCKED);
+      }
+      return perform(btUser, action.sink_uid).then(function() {
+        logger.info(type === Action.MUTE ? 'Muted' : 'Unmuted', btUser, '-->',
+          action.sink_uid);
+        return setActionStatus(action, Action.DONE);
+      }).catch(function(err) {
+        if (err && (err.statusCode === 401 || err.statusCode === 403)) {
+          return btUser.verifyCredentials().thenResolve(null);
+        } else if (err && err.statusCode === 404) {
+          logger.info(endpoint, 'returned 404 for inactive sink_uid',
+            action.sink_uid, 'cancelling action.');
+          return setActionStatus(action, Action.DEFERRED_TARGET_SUSPENDED);
+        } else if (err.statusCode === 429) {
+          return Q.resolve(null);
+        } else if (err.statusCode) {
+          logger.error('Error', endpoint, err.statusCode, btUser,
+            '-->', action.sink_uid);
+          return recordFailure(action, err);
+        } else {
+          logger.error('Error', endpoint, err);
+          return recordFailure(action, err);
+        }
+      });
+    }));
+  });
 }
 
 /**
  * Given a BtUser and a subset of that user's pending blocks, check the
  * follow relationship between sourceBtUser and those each sinkUid,
- * and block if there is not an existing follow or block relationship and there
- * is no previous external unblock in the Actions table. Then update the
+ * and block if there is not an existing follow or block relationship (or a
+ * follower the user wants spared) and there is no previous external unblock in
+ * the Actions table. Then update the
  * Actions' status as appropriate.
  *
  * @param {BtUser} btUser The user whose Actions we should process.
@@ -331,17 +665,26 @@ function processBlocksForUser(btUser, actions) {
     ).then(function(friendships) {
       var indexedFriendships = _.indexBy(friendships, 'id_str');
       return checkUnblocks(btUser, indexedFriendships, actions);
-    }).catch(function (err) {
+    }, function(err) {
+      // Only lookup errors are handled here. Each block records its own
+      // failures in cancelOrPerformBlock.
       if (err.statusCode === 401 || err.statusCode === 403) {
         return btUser.verifyCredentials().thenResolve(null);
-      } else if (err.statusCode) {
+      } else if (err.statusCode === 429) {
+        // The user's queue is paused until the rate limit resets.
+        return Q.resolve(null);
+      }
+      if (err.statusCode) {
         logger.error('Error /friendships/lookup', err.statusCode, 'for',
           btUser.screen_name, err.data);
-        return Q.resolve(null);
       } else {
         logger.error('Error /friendships/lookup', err);
-        return Q.resolve(null);
       }
+      // Without the lookup none of the blocks can go ahead, so they all back
+      // off and eventually fail.
+      return Q.all(actions.map(function(action) {
+        return recordFailure(action, err);
+      })).thenResolve(null);
     });
 }
 
@@ -350,10 +693,11 @@ function processBlocksForUser(btUser, actions) {
  * of the sink_uids from an external application. If so, we'll want to avoid
  * auto-blocking those sink_uids. We stipulate 'from an external application'
  * because it's fine for a user that was auto-unblocked (e.g via subscriptions)
- * to later be auto-reblocked.
+ * to later be auto-reblocked. Also look up which of the sink_uids are on the
+ * source user's allowlist.
  *
- * After doing the lookup, call cancelOrPerformBlocks with the results, plus the
- * results of the friendships lookup previously made.
+ * After doing the lookups, call cancelOrPerformBlocks with the results, plus
+ * the results of the friendships lookup previously made.
  *
  * @param {BtUser} sourceBtUser The user doing the blocking.
  * @param {Object} indexedFriendships A map from sink uids to friendship
@@ -363,28 +707,137 @@ function processBlocksForUser(btUser, actions) {
  */
 function checkUnblocks(sourceBtUser, indexedFriendships, actions) {
   var sinkUids = _.pluck(actions, 'sink_uid');
-  // Look for the any previous unblock Action for this sink_uid with
-  // status = done, cause = external, and cancel if it exists.
+  return Q.all([
+    findManualUnblocks(sourceBtUser.uid, sinkUids),
+    findAllowlisted(sourceBtUser.uid, sinkUids)
+  ]).spread(function(indexedUnblocks, indexedAllowlist) {
+    return util.slowForEach(actions, 70, function(action) {
+      return cancelOrPerformBlock(sourceBtUser, indexedFriendships,
+        indexedUnblocks, indexedAllowlist, action);
+    });
+  }).catch(function(err) {
+    logger.error(err);
+    return Q.resolve(null);
+  });
+}
+
+/**
+ * Look for any previous unblock Actions by the source user of the given
+ * sink_uids, with status = done and cause = external, bulk-manual-block or
+ * undo.
+ *
+ * @param {string} source_uid
+ * @param {Array.<string>} sinkUids
+ * @return {Promise.<Object>} A map from sink uids to a previous unblock
+ *   Action, for those that have one.
+ */
+function findManualUnblocks(source_uid, sinkUids) {
   return Action.findAll({
     where: {
-      source_uid: sourceBtUser.uid,
+      source_uid: source_uid,
       sink_uid: sinkUids,
       status: Action.DONE,
-      cause: [Action.EXTERNAL, Action.BULK_MANUAL_BLOCK],
+      cause: [Action.EXTERNAL, Action.BULK_MANUAL_BLOCK, Action.UNDO],
       type: Action.UNBLOCK
     }
   }).then(function(unblocks) {
-    var indexedUnblocks = _.indexBy(unblocks, 'sink_uid');
-    return util.slowForEach(actions, 70, function(action) {
-      return cancelOrPerformBlock(
-        sourceBtUser, indexedFriendships, indexedUnblocks, action);
-    });
-  }).catch(function(err) {
-    logger.error(err);
-    return Q.resolve(null);
+    return _.indexBy(unblocks, 'sink_uid');
   });
 }
 
+/**
+ * Find which of a list of sink uids are on a user's allowlist.
+ *
+ * @param {string} uid The user whose allowlist to check.
+ * @param {Array.<string>} sinkUids
+ * @return {Promise.<Object>} A map from sink uids to AllowlistEntry, for those
+ *   on the allowlist.
+ */
+function findAllowlisted(uid, sinkUids) {
+  return AllowlistEntry.findAll({
+    where: {
+      uid: uid,
+      sink_uid: sinkUids
+    }
+  }).then(function(entries) {
+    return _.indexBy(entries, 'sink_uid');
+  });
+}
+
+/**
+ * Whether a user's allowlist stops a block or mute. It stops everything
+ * automated: stream auto-blocks, subscriptions, Block All and imports. It
+ * doesn't stop accounts the user picked one by one on My Blocks or My Mutes
+ * (bulk-manual-block with no cause_uid), or reblocks from undoing an unblock.
+ *
+ * @param {Action} action
+ * @return {boolean}
+ */
+function allowlistApplies(action) {
+  if (action.cause === Action.UNDO) {
+    return false;
+  }
+  return !(action.cause === Action.BULK_MANUAL_BLOCK && !action.cause_uid);
+}
+
+// The BtUser setting that decides whether blocks with each cause spare the
+// user's followers. Blocks with other causes, e.g. undo, don't.
+var PROTECT_FOLLOWERS_SETTINGS = {};
+[Action.NEW_ACCOUNT, Action.LOW_FOLLOWERS, Action.DEFAULT_PROFILE_IMAGE,
+ Action.LOW_STATUSES, Action.FOLLOW_RATIO, Action.RULE, Action.KEYWORD
+].forEach(function(cause) {
+  PROTECT_FOLLOWERS_SETTINGS[cause] = 'protect_followers_auto_blocks';
+});
+PROTECT_FOLLOWERS_SETTINGS[Action.SUBSCRIPTION] =
+  'protect_followers_subscriptions';
+PROTECT_FOLLOWERS_SETTINGS[Action.BULK_MANUAL_BLOCK] =
+  'protect_followers_bulk_blocks';
+PROTECT_FOLLOWERS_SETTINGS[Action.IMPORT] = 'protect_followers_bulk_blocks';
+
+/**
+ * Decide whether a block should go ahead, given what friendships/lookup said
+ * about the target and the user's previous unblocks.
+ *
+ * @param {BtUser} sourceBtUser The user doing the blocking.
+ * @param {Object|undefined} friendship The friendship object for the target as
+ *   returned by the Twitter API, if any.
+ * @param {Object} indexedUnblocks As returned by findManualUnblocks.
+ * @param {string} sink_uid The target.
+ * @param {string} cause The cause of the block, which decides whether
+ *   followers of sourceBtUser are spared.
+ * @return {string|null} The status to move the block Action to instead of
+ *   blocking, or null if the block should be performed.
+ */
+function blockDecision(sourceBtUser, friendship, indexedUnblocks, sink_uid,
+    cause) {
+  // If no friendship for this action was returned by /1.1/users/lookup,
+  // that means the sink_uid was suspened or deactivated, so defer the Action.
+  if (!friendship) {
+    return Action.DEFERRED_TARGET_SUSPENDED;
+  }
+  logger.trace('Friendship', sourceBtUser, '--friend?-->',
+    friendship.screen_name, sink_uid, friendship.connections);
+  if (_.contains(friendship.connections, 'blocking')) {
+    // If the sourceBtUser already blocks them, don't re-block.
+    return Action.CANCELLED_DUPLICATE;
+  } else if (_.contains(friendship.connections, 'following')) {
+    // If the sourceBtUser follows them, don't block.
+    return Action.CANCELLED_FOLLOWING;
+  } else if (_.contains(friendship.connections, 'followed_by') &&
+      sourceBtUser[PROTECT_FOLLOWERS_SETTINGS[cause]]) {
+    // If they follow the sourceBtUser, who wants their followers spared from
+    // this kind of block, don't block.
+    return Action.CANCELLED_FOLLOWER;
+  } else if (sourceBtUser.uid === sink_uid) {
+    // You cannot block yourself.
+    return Action.CANCELLED_SELF;
+  } else if (indexedUnblocks[sink_uid]) {
+    // If the user unblocked the sink_uid in the past, don't re-block.
+    return Action.CANCELLED_UNBLOCKED;
+  }
+  return null;
+}
+
 /**
  * After fetching friendships results from the Twitter API, process action
  * and block if appropriate. Otherwise cancel.
@@ -394,10 +847,12 @@ function checkUnblocks(sourceBtUser, indexedFriendships, actions) {
  *   as returned by the Twitter API.
  * @param{Object} indexedUnblocks A map from sink uids to previous unblock
  *   action, if present.
+ * @param{Object} indexedAllowlist As returned by findAllowlisted.
  * @param{Array.<Action>} action An action to be performed or cancelled.
  * @return{Promise.<Action>}
  */
-function cancelOrPerformBlock(sourceBtUser, indexedFriendships, indexedUnblocks, action) {
+function cancelOrPerformBlock(sourceBtUser, indexedFriendships, indexedUnblocks,
+    indexedAllowlist, action) {
   // Sanity check that this is a block, not some other action.
   if (action.type != 'block') {
     return Q.reject("Shouldn't happen: non-block action " + sourceBtUser);
@@ -406,26 +861,18 @@ function cancelOrPerformBlock(sourceBtUser, indexedFriendships, indexedUnblocks,
   var friendship = indexedFriendships[sink_uid];
   // Decide which state to transition the Action into, if it's not going to be
   // executed.
-  var newState = null;
-
-  logger.trace('Friendship', sourceBtUser, '--friend?-->',
-    friendship.screen_name, sink_uid, friendship.connections);
-  // If no friendship for this action was returned by /1.1/users/lookup,
-  // that means the sink_uid was suspened or deactivated, so defer the Action.
-  if (!friendship) {
-    newState = Action.DEFERRED_TARGET_SUSPENDED;
-  } else if (_.contains(friendship.connections, 'blocking')) {
-    // If the sourceBtUser already blocks them, don't re-block.
-    newState = Action.CANCELLED_DUPLICATE;
-  } else if (_.contains(friendship.connections, 'following')) {
-    // If the sourceBtUser follows them, don't block.
-    newState = Action.CANCELLED_FOLLOWING;
-  } else if (sourceBtUser.uid === sink_uid) {
-    // You cannot block yourself.
-    newState = Action.CANCELLED_SELF;
-  } else if (indexedUnblocks[sink_uid]) {
-    // If the user unblocked the sink_uid in the past, don't re-block.
-    newState = Action.CANCELLED_UNBLOCKED;
+  var newState = blockDecision(
+    sourceBtUser, friendship, indexedUnblocks, sink_uid, action.cause);
+  if (indexedAllowlist[sink_uid] && allowlistApplies(action)) {
+    newState = Action.CANCELLED_ALLOWLISTED;
+  } else if (newState === Action.CANCELLED_DUPLICATE && action.expires_at) {
+    // A temporary block of an account the user already blocks just sets when
+    // it expires, so count it as done.
+    newState = Action.DONE;
+  } else if (newState === Action.CANCELLED_UNBLOCKED &&
+      action.cause === Action.UNDO) {
+    // Undoing an unblock is the point of this block.
+    newState = null;
   }
   // If we're cancelling, update the state of the action.
   if (newState) {
@@ -442,20 +889,364 @@ function cancelOrPerformBlock(sourceBtUser, indexedFriendships, indexedUnblocks,
       }).catch(function(err) {
         if (err && (err.statusCode === 401 || err.statusCode === 403)) {
           return sourceBtUser.verifyCredentials().thenResolve(null);
+        } else if (err.statusCode === 429) {
+          return Q.resolve(null);
         } else if (err.statusCode) {
           logger.error('Error /blocks/create', err.statusCode,
             sourceBtUser.screen_name, sourceBtUser.uid,
             '--block-->', friendship.screen_name, friendship.id_str,
             err.data);
-          return Q.resolve(null);
+          return recordFailure(action, err);
         } else {
           logger.error('Error /blocks/create', err);
-          return Q.resolve(null);
+          return recordFailure(action, err);
         }
       });
   }
 }
 
+/**
+ * Record an attempt at an action that failed with an error we expect to be
+ * temporary, e.g. a 5xx from Twitter or a network error. Schedule another
+ * attempt with exponential backoff, or give up and mark the action failed if
+ * it has been attempted MAX_ATTEMPTS times.
+ *
+ * @param {Action} action The action that failed.
+ * @param {Object} err The error, with statusCode set if Twitter responded.
+ * @return {Promise.<Action>} A promise resolved on saving.
+ */
+function recordFailure(action, err) {
+  action.attempts = (action.attempts || 0) + 1;
+  action.last_error_code = err.statusCode || null;
+  if (action.attempts >= MAX_ATTEMPTS) {
+    action.next_attempt_at = null;
+    logger.warn('Action', action.id, 'failed after', action.attempts,
+      'attempts, last error', action.last_error_code);
+    return setActionStatus(action, Action.FAILED);
+  }
+  var delay = Math.min(RETRY_MAX_DELAY_MS,
+    RETRY_BASE_DELAY_MS * Math.pow(2, action.attempts - 1));
+  action.next_attempt_at = new Date(Date.now() + delay);
+  logger.debug('Action', action.id, 'attempt', action.attempts,
+    'failed, retrying at', action.next_attempt_at);
+  return action.save();
+}
+
+/**
+ * Put a user's failed actions back in the queue, with a fresh set of attempts,
+ * and start processing them.
+ *
+ * @param {string} uid The user whose actions to retry.
+ * @param {Array.<Number>=} opt_ids Ids of the actions to retry. Defaults to all
+ *   of the user's failed actions.
+ * @return {Promise} Resolves once the actions are back in the queue.
+ */
+function retryFailedActions(uid, opt_ids) {
+  var where = {
+    source_uid: uid,
+    status: Action.FAILED
+  };
+  if (opt_ids) {
+    where.id = opt_ids;
+  }
+  return Action.update({
+    status: Action.PENDING,
+    attempts: 0,
+    next_attempt_at: null
+  }, where).then(function() {
+    processActionsForUserId(uid);
+  });
+}
+
+// Most friendships/lookup calls to make for one preview. Twitter allows 15 per
+// user per 15 minutes, so this leaves some for processing the user's queue.
+var PREVIEW_MAX_LOOKUPS = 10;
+// Number of example accounts to return per outcome in a preview.
+var PREVIEW_SAMPLE_SIZE = 5;
+
+// Names for the outcomes of blockDecision in a preview.
+var PREVIEW_OUTCOMES = {};
+PREVIEW_OUTCOMES[Action.CANCELLED_DUPLICATE] = 'already_blocked';
+PREVIEW_OUTCOMES[Action.CANCELLED_FOLLOWING] = 'following';
+PREVIEW_OUTCOMES[Action.CANCELLED_FOLLOWER] = 'follower';
+PREVIEW_OUTCOMES[Action.CANCELLED_UNBLOCKED] = 'previously_unblocked';
+PREVIEW_OUTCOMES[Action.CANCELLED_SELF] = 'self';
+PREVIEW_OUTCOMES[Action.DEFERRED_TARGET_SUSPENDED] = 'suspended';
+PREVIEW_OUTCOMES[Action.CANCELLED_ALLOWLISTED] = 'allowlisted';
+
+/**
+ * Work out what would happen if a user blocked a list of accounts, using the
+ * same checks as cancelOrPerformBlock, without blocking anything.
+ *
+ * Checks at most PREVIEW_MAX_LOOKUPS * 100 accounts, and stops early if the
+ * user runs out of friendships/lookup budget.
+ *
+ * @param {BtUser} btUser The user who would do the blocking.
+ * @param {Array.<string>} sinkUids The accounts they would block.
+ * @return {Promise.<Object>} An object with total, the number of sinkUids;
+ *   checked, how many of them were checked; rate_limited, whether checking
+ *   stopped early because of the rate limit; counts, a map from outcome
+ *   ('will_block', 'already_blocked', 'following', 'follower',
+ *   'previously_unblocked', 'self', 'suspended' or 'allowlisted') to a number
+ *   of accounts; and samples, a map from outcome to up to PREVIEW_SAMPLE_SIZE
+ *   objects with uid and screen_name.
+ */
+function previewBlocks(btUser, sinkUids) {
+  var preview = {
+    total: sinkUids.length,
+    checked: 0,
+    rate_limited: false,
+    counts: { will_block: 0 },
+    samples: { will_block: [] }
+  };
+  _.each(PREVIEW_OUTCOMES, function(outcome) {
+    preview.counts[outcome] = 0;
+    preview.samples[outcome] = [];
+  });
+  var chunks = [];
+  for (var i = 0; i < sinkUids.length && chunks.length < PREVIEW_MAX_LOOKUPS;
+       i += 100) {
+    chunks.push(sinkUids.slice(i, i + 100));
+  }
+  var checkedUids = _.flatten(chunks);
+  return Q.all([
+    findManualUnblocks(btUser.uid, checkedUids),
+    findAllowlisted(btUser.uid, checkedUids)
+  ]).spread(function(indexedUnblocks, indexedAllowlist) {
+    return chunks.reduce(function(previous, chunk) {
+      return previous.then(function() {
+        return getFriendships(btUser, chunk);
+      }).then(function(friendships) {
+        var indexedFriendships = _.indexBy(friendships, 'id_str');
+        chunk.forEach(function(sink_uid) {
+          var friendship = indexedFriendships[sink_uid];
+          var decision = indexedAllowlist[sink_uid] ?
+            Action.CANCELLED_ALLOWLISTED :
+            blockDecision(btUser, friendship, indexedUnblocks, sink_uid,
+              Action.BULK_MANUAL_BLOCK);
+          var outcome = PREVIEW_OUTCOMES[decision] || 'will_block';
+          preview.counts[outcome]++;
+          if (preview.samples[outcome].length < PREVIEW_SAMPLE_SIZE) {
+            preview.samples[outcome].push({
+              uid: sink_uid,
+              screen_name: friendship ? friendship.screen_name : null
+            });
+          }
+        });
+        preview.checked += chunk.length;
+      });
+    }, Q.resolve());
+  }).catch(function(err) {
+    if (err.statusCode === 429) {
+      preview.rate_limited = true;
+    } else {
+      return Q.reject(err);
+    }
+  }).thenResolve(preview);
+}
+
+// The action type that reverses each action type.
+var INVERSE_TYPES = {};
+INVERSE_TYPES[Action.BLOCK] = Action.UNBLOCK;
+INVERSE_TYPES[Action.UNBLOCK] = Action.BLOCK;
+INVERSE_TYPES[Action.MUTE] = Action.UNMUTE;
+INVERSE_TYPES[Action.UNMUTE] = Action.MUTE;
+
+/**
+ * Undo one of a user's ActionBatches: queue the inverse of every action in the
+ * batch that was done, in a new ActionBatch with cause = undo, and cancel the
+ * batch's actions that are still pending. A batch can only be undone once.
+ *
+ * Pending actions that a worker has already claimed can't be cancelled, since
+ * they may be being performed right now. Their inverses are queued as well,
+ * and run once the worker is done with them.
+ *
+ * Unblocks from an undo count as manual unblocks, so the accounts aren't
+ * blocked again automatically, e.g. by the subscription a Block All started.
+ *
+ * @param {string} uid The user whose batch to undo.
+ * @param {number} batchId The id of the ActionBatch.
+ * @return {Promise.<Object>} Resolves to the result of queueActions for the
+ *   inverse actions, plus in_progress, how many of them reverse actions that
+ *   were in progress. Rejects with an error from util.apiError if the batch
+ *   doesn't exist or was already undone.
+ */
+function undoActionBatch(uid, batchId) {
+  var batch = null;
+  var inProgress = 0;
+  return ActionBatch.find({
+    where: {
+      id: batchId,
+      source_uid: uid
+    }
+  }).then(function(actionBatch) {
+    if (!actionBatch) {
+      return Q.reject(util.apiError(404, 'no-such-batch',
+        'No such batch of actions.'));
+    }
+    batch = actionBatch;
+    // Mark the batch undone first, and only if it isn't already, so two
+    // requests at once (e.g. a double click) can't both undo it.
+    return sequelize.query(
+      'UPDATE ActionBatches SET undone_at = ? ' +
+      'WHERE id = ? AND source_uid = ? AND undone_at IS NULL',
+      null, { raw: true, type: QueryTypes.BULKUPDATE },
+      [new Date(), batch.id, uid]);
+  }).then(function(affectedRows) {
+    if (affectedRows !== 1) {
+      return Q.reject(util.apiError(409, 'already-undone',
+        'This batch of actions was already undone.'));
+    }
+    return Action.findAll({
+      where: {
+        action_batch_id: batch.id,
+        status: Action.PENDING
+      },
+      attributes: ['id']
+    });
+  }).then(function(pending) {
+    if (pending.length === 0) {
+      return null;
+    }
+    return cancelActions(uid, { ids: _.pluck(pending, 'id') });
+  }).then(function() {
+    // Whatever is still pending after cancelling is claimed by a worker.
+    return Action.findAll({
+      where: {
+        action_batch_id: batch.id,
+        status: [Action.DONE, Action.PENDING]
+      },
+      attributes: ['id', 'sink_uid', 'status']
+    });
+  }).then(function(batchActions) {
+    var toReverse = _.uniq(_.pluck(batchActions, 'sink_uid'));
+    inProgress = _.where(batchActions, { status: Action.PENDING }).length;
+    logger.info('Undoing batch', batch.id, 'for', uid, 'reversing',
+      toReverse.length, 'of which in progress', inProgress);
+    if (toReverse.length === 0) {
+      return { queued: 0, skipped: 0, action_batch_id: null };
+    }
+    return queueActions(uid, toReverse, INVERSE_TYPES[batch.type],
+      Action.UNDO, null, null, '/undo-action-batch.json');
+  }).then(function(result) {
+    if (!result) {
+      // Let the user try again.
+      return Q(ActionBatch.update({
+        undone_at: null
+      }, {
+        id: batch.id
+      })).then(function() {
+        return Q.reject(new Error('Failed to queue undo of batch ' + batch.id));
+      });
+    }
+    if (result.action_batch_id) {
+      ActionBatch.update({
+        undo_of: batch.id
+      }, {
+        id: result.action_batch_id
+      }).catch(function(err) {
+        logger.error(err);
+      });
+    }
+    return _.extend({ in_progress: inProgress }, result);
+  });
+}
+
+// How many expired temporary blocks to deal with per sweep.
+var EXPIRY_BATCH_SIZE = 1000;
+
+/**
+ * Counter for the tokens processExpiredBlocks claims expired blocks under.
+ */
+var expiryRuns = 0;
+
+// Causes of blocks the user made by hand. A later block with one of these
+// makes an earlier temporary block permanent. Automatic blocks of an account
+// that is already blocked, e.g. from a subscription or an import, don't.
+var MANUAL_BLOCK_CAUSES = [Action.EXTERNAL, Action.BULK_MANUAL_BLOCK];
+
+/**
+ * Find temporary blocks whose expiry has passed, and queue an unblock for
+ * each, with cause = expiry.
+ *
+ * The unblock is skipped if the account has been unblocked since the
+ * temporary block, if the user has blocked it again by hand, or if a later
+ * temporary block has its own expiry.
+ *
+ * Expired blocks are claimed with a lease, the same way as pending actions in
+ * claimActions, so each is handled by only one worker. The lease is taken out
+ * under a token used for this run only, so blocks this worker holds for other
+ * reasons, e.g. ones it has just performed, can't be mistaken for expired ones.
+ *
+ * @return {Promise} Resolves once the unblocks are queued.
+ */
+function processExpiredBlocks() {
+  var now = new Date();
+  var token = WORKER_ID + ':expiry:' + (++expiryRuns);
+  return sequelize.query(
+    'UPDATE Actions SET locked_by = ?, locked_until = ? ' +
+    'WHERE type = ? AND status = ? AND expired = false AND ' +
+    'expires_at <= ? AND (locked_until IS NULL OR locked_until <= ?) ' +
+    'ORDER BY expires_at ASC LIMIT ' + EXPIRY_BATCH_SIZE,
+    null, { raw: true },
+    [token, new Date(now.getTime() + LEASE_MS), Action.BLOCK,
+      Action.DONE, now, now]
+  ).then(function() {
+    return Action.findAll({
+      where: ['locked_by = ? AND type = ? AND status = ? AND ' +
+        'expired = false AND expires_at IS NOT NULL AND expires_at <= ?',
+        token, Action.BLOCK, Action.DONE, now]
+    });
+  }).then(function(blocks) {
+    if (blocks.length === 0) {
+      return null;
+    }
+    logger.info('Processing', blocks.length, 'expired blocks.');
+    return Q.all(blocks.map(function(block) {
+      return Action.find({
+        // A manual block of an account that's still blocked is cancelled as a
+        // duplicate, but it still means the user wants the block to stay.
+        where: ['source_uid = ? AND sink_uid = ? AND id > ? AND (' +
+          '(type = ? AND status IN (?)) OR ' +
+          '(type = ? AND status IN (?) AND expires_at IS NOT NULL) OR ' +
+          '(type = ? AND status IN (?) AND cause IN (?)))',
+          block.source_uid, block.sink_uid, block.id,
+          Action.UNBLOCK, [Action.DONE, Action.PENDING],
+          Action.BLOCK, [Action.DONE, Action.PENDING],
+          Action.BLOCK, [Action.DONE, Action.PENDING,
+            Action.CANCELLED_DUPLICATE], MANUAL_BLOCK_CAUSES]
+      }).then(function(later) {
+        if (later) {
+          logger.debug('Not expiring block', block.id, 'superseded by',
+            later.type, later.id);
+          return null;
+        }
+        return block;
+      });
+    })).then(function(toExpire) {
+      var bySource = _.groupBy(_.filter(toExpire, null), 'source_uid');
+      return Q.all(_.map(bySource, function(sourceBlocks, source_uid) {
+        return queueActions(source_uid, _.pluck(sourceBlocks, 'sink_uid'),
+          Action.UNBLOCK, Action.EXPIRY, null, null, 'actions.js');
+      }));
+    }).then(function(results) {
+      if (!_.every(results)) {
+        // Leave the blocks claimed; they'll be retried when the lease expires.
+        return Q.reject('Failed to queue unblocks for expired blocks.');
+      }
+      return Action.update({
+        expired: true,
+        locked_by: null,
+        locked_until: null
+      }, {
+        id: _.pluck(blocks, 'id')
+      });
+    });
+  }).catch(function(err) {
+    logger.error(err);
+  });
+}
+
 /**
  * Set an action's status to newState.
  * @param {Action} action Action to modify.
@@ -469,18 +1260,115 @@ function setActionStatus(action, newState) {
   return action.save();
 }
 
+/**
+ * Check that two workers claiming the same user's actions at the same moment
+ * never both get the same action. Forks two actions.js processes, so each has
+ * its own WORKER_ID, which call claimActions for uid at the same time and
+ * report the ids they claimed. Their claims are released afterwards, so the
+ * actions are left as they were.
+ *
+ * Stop any running actions.js first, or it may claim the actions under test.
+ *
+ * @param {string} uid A user with pending actions.
+ * @param {number} rounds How many times to race the two workers.
+ * @return {Promise.<boolean>} Whether no action was ever claimed twice.
+ */
+function claimTest(uid, rounds) {
+  var childProcess = require('child_process');
+
+  function claimInChild(startAt) {
+    var deferred = Q.defer();
+    var child = childProcess.fork(__filename,
+      ['--claim-once', uid, String(startAt)]);
+    child.on('message', deferred.resolve);
+    child.on('exit', function(code) {
+      deferred.reject(new Error('Claimer exited with ' + code));
+    });
+    return deferred.promise;
+  }
+
+  function round(n) {
+    // Leave the children time to start up, then have both claim at once.
+    var startAt = Date.now() + 5000;
+    return Q.all([claimInChild(startAt), claimInChild(startAt)]
+    ).spread(function(a, b) {
+      var both = _.intersection(a.ids, b.ids);
+      logger.info('Round', n, a.worker, 'claimed', a.ids.length, b.worker,
+        'claimed', b.ids.length, 'claimed by both:', both.length);
+      var ids = _.union(a.ids, b.ids);
+      var released = ids.length === 0 ? Q.resolve() :
+        Q(Action.update({ locked_by: null, locked_until: null }, { id: ids }));
+      return released.thenResolve(both.length === 0);
+    });
+  }
+
+  return Q(Action.count({
+    where: ['source_uid = ? AND status = ? AND ' +
+      '(locked_until IS NULL OR locked_until <= ?)',
+      uid, Action.PENDING, new Date()]
+  })).then(function(pending) {
+    if (pending === 0) {
+      return Q.reject(new Error('No unclaimed pending actions for ' + uid));
+    }
+    var ok = true;
+    return _.range(1, rounds + 1).reduce(function(previous, n) {
+      return previous.then(function() {
+        return round(n);
+      }).then(function(roundOk) {
+        ok = ok && roundOk;
+      });
+    }, Q.resolve()).then(function() {
+      return ok;
+    });
+  });
+}
+
 module.exports = {
+  cancelActions: cancelActions,
+  previewBlocks: previewBlocks,
   queueActions: queueActions,
-  processActionsForUserId: processActionsForUserId
+  processActionsForUserId: processActionsForUserId,
+  retryFailedActions: retryFailedActions,
+  undoActionBatch: undoActionBatch
 };
 
-if (require.main === module) {
+if (require.main === module && process.argv[2] === '--claim-test') {
+  // Usage: js actions.js --claim-test UID [ROUNDS]
+  // Runs claimTest against the database and exits non-zero if any action was
+  // claimed by both workers.
+  claimTest(process.argv[3], parseInt(process.argv[4], 10) || 10
+  ).then(function(ok) {
+    console.log(ok ? 'Done!' : 'FAILED: an action was claimed twice.');
+    process.exit(ok ? 0 : 1);
+  }).catch(function(err) {
+    logger.error(err);
+    process.exit(1);
+  });
+} else if (require.main === module && process.argv[2] === '--claim-once') {
+  // One of claimTest's workers: wait until the given time, claim actions for
+  // the given user and report what was claimed.
+  Q.delay(Math.max(0, parseInt(process.argv[4], 10) - Date.now())
+  ).then(function() {
+    return claimActions(process.argv[3]);
+  }).then(function(actions) {
+    var report = { worker: WORKER_ID, ids: _.pluck(actions, 'id') };
+    process.send(report, function() {
+      setup.gracefulShutdown();
+      process.exit(0);
+    });
+  }).catch(function(err) {
+    logger.error(err);
+    process.exit(1);
+  });
+} else if (require.main === module) {
   // When many users are have processing, it takes about 180 seconds to get
   // through all of the batches of 100 blocks. Space out intervals to avoid
   // overlap. NOTE: with workingActions[] keeping track now, this should no
   // longer be necessary.
   processActions();
   setInterval(processActions, 180 * 1000);
+  processExpiredBlocks();
+  setInterval(processExpiredBlocks, 5 * 60 * 1000);
 
   // Once a second log how many pending HTTPS requests there are.
   var logPendingRequests = function() {
@@ -502,5 +1390,10 @@ if (require.main === module) {
     }
   }
   setInterval(logPendingRequests, 5000);
+
+  // Once a minute log the rate limit budgets in effect.
+  setInterval(function() {
+    logger.debug('Rate limit budgets:', JSON.stringify(rateLimit.getBudgets()));
+  }, 60 * 1000);
 }
 })();
@@ -0,0 +1,144 @@
+'use strict';
+(function() {
+
+/**
+ * Management of users' allowlists: accounts Block Together must never block or
+ * mute for them, whatever the cause. actions.js enforces the allowlist when it
+ * performs blocks and mutes; this module adds and removes entries.
+ */
+var Q = require('q'),
+    _ = require('sequelize').Utils._,
+    importBlocks = require('./import-blocks'),
+    util = require('./util'),
+    setup = require('./setup');
+
+var logger = setup.logger,
+    AllowlistEntry = setup.AllowlistEntry;
+
+// The most accounts a user can have on their allowlist.
+var MAX_ALLOWLIST_SIZE = 1000;
+// The most screen names we'll look up in one request, i.e. one users/lookup.
+var MAX_SCREEN_NAMES = 100;
+
+/**
+ * Clean up a list of screen names as typed by a user: strip whitespace and
+ * leading @ signs, lowercase, and drop duplicates.
+ *
+ * @param {Array.<string>} input
+ * @return {Object} An object with fields screenNames, an Array of valid screen
+ *   names, and invalid, an Array of the entries that weren't.
+ */
+function parseScreenNames(input) {
+  var screenNames = [];
+  var invalid = [];
+  input.forEach(function(entry) {
+    var trimmed = String(entry).trim();
+    var cleaned = trimmed.replace(/^@/, '');
+    if (/^\w{1,15}$/.test(cleaned)) {
+      screenNames.push(cleaned.toLowerCase());
+    } else if (trimmed.length > 0) {
+      invalid.push(entry);
+    }
+  });
+  return {
+    screenNames: _.uniq(screenNames),
+    invalid: invalid
+  };
+}
+
+/**
+ * Look up screen names and add the accounts found to a user's allowlist.
+ * Accounts already on the allowlist are left as they are.
+ *
+ * @param {BtUser} btUser The user whose allowlist to add to.
+ * @param {Array.<string>} screenNames Up to MAX_SCREEN_NAMES screen names, as
+ *   returned by parseScreenNames.
+ * @return {Promise.<Object>} An object with added, a list of objects with uid
+ *   and screen_name for the accounts now on the allowlist, and not_found, the
+ *   screen names that don't belong to an active account. Rejects with a 400
+ *   'allowlist-full' API error if there isn't room for them all.
+ */
+function addScreenNames(btUser, screenNames) {
+  return Q.all([
+    importBlocks.lookupUsers(btUser, screenNames),
+    AllowlistEntry.findAll({
+      where: { uid: btUser.uid },
+      attributes: ['sink_uid']
+    })
+  ]).spread(function(users, entries) {
+    var existing = _.indexBy(entries, 'sink_uid');
+    var newUids = _.uniq(_.pluck(users, 'id_str').filter(function(uid) {
+      return !existing[uid];
+    }));
+    if (entries.length + newUids.length > MAX_ALLOWLIST_SIZE) {
+      return Q.reject(util.apiError(400, 'allowlist-full',
+        'You can have at most ' + MAX_ALLOWLIST_SIZE +
+        ' accounts on your allowlist.'));
+    }
+    var found = _.indexBy(users, function(user) {
+      return user.screen_name.toLowerCase();
+    });
+    var result = {
+      added: users.map(function(user) {
+        return {
+          uid: user.id_str,
+          screen_name: user.screen_name
+        };
+      }),
+      not_found: screenNames.filter(function(screenName) {
+        return !found[screenName];
+      })
+    };
+    if (newUids.length === 0) {
+      return result;
+    }
+    return AllowlistEntry.bulkCreate(newUids.map(function(uid) {
+      return {
+        uid: btUser.uid,
+        sink_uid: uid
+      };
+    })).then(function() {
+      logger.info('Added', newUids.length, 'accounts to allowlist of', btUser);
+      return result;
+    });
+  });
+}
+
+/**
+ * Take accounts off a user's allowlist. Uids that aren't on it are ignored.
+ *
+ * @param {BtUser} btUser The user whose allowlist to remove from.
+ * @param {Array.<string>} uids
+ * @return {Promise} Resolves once the entries are gone.
+ */
+function removeUids(btUser, uids) {
+  return AllowlistEntry.destroy({
+    uid: btUser.uid,
+    sink_uid: uids
+  }).then(function() {
+    logger.info('Removed', uids.length, 'accounts from allowlist of', btUser);
+  });
+}
+
+module.exports = {
+  MAX_ALLOWLIST_SIZE: MAX_ALLOWLIST_SIZE,
+  MAX_SCREEN_NAMES: MAX_SCREEN_NAMES,
+  addScreenNames: addScreenNames,
+  parseScreenNames: parseScreenNames,
+  removeUids: removeUids
+};
+
+if (require.main === module) {
+  // A micro sanity test.
+  var assert = require('assert');
+  assert.deepEqual(parseScreenNames([' @Foo', 'foo', 'bar_baz', '', 'a b']), {
+    screenNames: ['foo', 'bar_baz'],
+    invalid: ['a b']
+  });
+  assert.deepEqual(parseScreenNames(['@', 'waytoolongforascreenname']), {
+    screenNames: [],
+    invalid: ['@', 'waytoolongforascreenname']
+  });
+  console.log('Done!');
+}
+})();
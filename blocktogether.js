@@ -15,7 +15,15 @@ var cluster = require('cluster'),
     constantTimeEquals = require('scmp'),
     setup = require('./setup'),
     actions = require('./actions'),
+    allowlist = require('./allowlist'),
+    exportData = require('./export-data'),
+    sharedBlocks = require('./shared-blocks'),
+    subscriptions = require('./subscriptions'),
+    importBlocks = require('./import-blocks'),
+    keywords = require('./keywords'),
+    rules = require('./rules'),
     updateUsers = require('./update-users'),
+    util = require('./util'),
     _ = require('sequelize').Utils._;
 
 var config = setup.config,
@@ -23,10 +31,18 @@ var config = setup.config,
     logger = setup.logger,
     userToFollow = setup.userToFollow,
     remoteUpdateBlocks = setup.remoteUpdateBlocks,
+    remoteUpdateMutes = setup.remoteUpdateMutes,
     BtUser = setup.BtUser,
     Action = setup.Action,
+    ActionBatch = setup.ActionBatch,
+    AllowlistEntry = setup.AllowlistEntry,
+    AutoBlockKeyword = setup.AutoBlockKeyword,
+    AutoBlockRule = setup.AutoBlockRule,
     BlockBatch = setup.BlockBatch,
     Block = setup.Block,
+    MuteBatch = setup.MuteBatch,
+    Mute = setup.Mute,
+    SharedBlock = setup.SharedBlock,
     TwitterUser = setup.TwitterUser,
     Subscription = setup.Subscription;
 
@@ -36,6 +52,9 @@ mu.root = __dirname + '/templates';
 function makeApp() {
   // Create the server
   var app = express();
+  // Imports can be a whole Twitter archive block.js, so allow a larger body
+  // there than elsewhere.
+  app.use('/import-blocks.json', bodyParser.json({ limit: '5mb' }));
   app.use(bodyParser.json());
   app.use(bodyParser.urlencoded({ extended: false }));
   app.use(cookieSession({
@@ -176,12 +195,10 @@ app.post('/auth/twitter', function(req, res, next) {
   // If this was a Sign Up (vs a Log On), store any settings in the session, to
   // be applied to the BtUser after successful Twitter authentication.
   if (req.body.signup) {
-    req.session.signUpSettings = {
-      block_new_accounts: req.body.block_new_accounts,
-      block_low_followers: req.body.block_low_followers,
+    req.session.signUpSettings = _.extend({
       share_blocks: req.body.share_blocks,
       follow_blocktogether: req.body.follow_blocktogether
-    };
+    }, _.pick(req.body, AUTO_BLOCK_SETTINGS));
   }
   // If a non-logged-in user tries to subscribe to a block list, we store the
   // shared_blocks_key for that list in the session so we can perform the action
@@ -274,14 +291,14 @@ function requireAuthentication(req, res, next) {
 
 app.get('/',
   function(req, res) {
-    var stream = mu.compileAndRender('index.mustache', {
+    var stream = mu.compileAndRender('index.mustache', _.extend({
       // Show the navbar only when logged in, since logged-out users can't
       // access the other pages (with the expection of shared block pages).
       logged_in_screen_name: req.user ? req.user.screen_name : null,
       csrf_token: req.session.csrf,
       hide_navbar: !req.user,
       follow_blocktogether: true
-    });
+    }, _.pick(BtUser.build(), AUTO_BLOCK_SETTINGS)));
     res.header('Content-Type', 'text/html');
     stream.pipe(res);
   });
@@ -301,17 +318,210 @@ app.get('/logged-out',
   });
 
 app.get('/settings',
-  function(req, res) {
-    var stream = mu.compileAndRender('settings.mustache', {
-      logged_in_screen_name: req.user.screen_name,
-      csrf_token: req.session.csrf,
-      block_new_accounts: req.user.block_new_accounts,
-      block_low_followers: req.user.block_low_followers,
-      shared_blocks_key: req.user.shared_blocks_key,
-      follow_blocktogether: req.user.follow_blocktogether
+  function(req, res, next) {
+    Q.all([AutoBlockRule.findAll({
+      where: {
+        uid: req.user.uid
+      },
+      order: 'id ASC'
+    }), AutoBlockKeyword.findAll({
+      where: {
+        uid: req.user.uid
+      },
+      order: 'id ASC'
+    })]).spread(function(autoBlockRules, autoBlockKeywords) {
+      var stream = mu.compileAndRender('settings.mustache', _.extend({
+        logged_in_screen_name: req.user.screen_name,
+        csrf_token: req.session.csrf,
+        shared_blocks_key: req.user.shared_blocks_key,
+        max_subscribers: req.user.max_subscribers,
+        follow_blocktogether: req.user.follow_blocktogether,
+        auto_block_rules: autoBlockRules.map(function(autoBlockRule) {
+          return {
+            name: autoBlockRule.name,
+            rule: autoBlockRule.rule,
+            enabled: autoBlockRule.enabled
+          };
+        }),
+        rule_fields: rules.FIELDS.join(', '),
+        auto_block_keywords: autoBlockKeywords.map(function(autoBlockKeyword) {
+          return _.pick(autoBlockKeyword, 'id', 'kind', 'pattern', 'type');
+        })
+      }, _.pick(req.user, AUTO_BLOCK_SETTINGS)));
+      res.header('Content-Type', 'text/html');
+      stream.pipe(res);
+    }).catch(next);
+  });
+
+/**
+ * Create or replace one of the authenticated user's AutoBlockRules.
+ * Expects a JSON POST with name, rule (the JSON text of a rule as described in
+ * rules.js), and optionally enabled, which defaults to true.
+ */
+app.post('/auto-block-rules.json',
+  function(req, res, next) {
+    res.header('Content-Type', 'application/json');
+    var name = req.body.name;
+    if (typeof name !== 'string' || !name.trim() || name.length > 100 ||
+        typeof req.body.rule !== 'string') {
+      return next(util.apiError(400, 'invalid-parameters',
+        'Invalid parameters.'));
+    }
+    name = name.trim();
+    var rule;
+    try {
+      rule = JSON.parse(req.body.rule);
+    } catch (e) {
+      return next(util.apiError(400, 'invalid-rule',
+        'Rule is not valid JSON.'));
+    }
+    var problem = rules.validateRule(rule);
+    if (problem) {
+      return next(util.apiError(400, 'invalid-rule', problem));
+    }
+    AutoBlockRule.findOrCreate({
+      uid: req.user.uid,
+      name: name
+    }).then(function(autoBlockRule) {
+      autoBlockRule.rule = JSON.stringify(rule);
+      autoBlockRule.enabled = req.body.enabled !== false;
+      return autoBlockRule.save();
+    }).then(function(autoBlockRule) {
+      // stream.js caches each user's rules, and only reloads users whose
+      // BtUser row changed, so bump updatedAt.
+      req.user.updatedAt = new Date();
+      return req.user.save().then(function() {
+        res.end(JSON.stringify({
+          name: autoBlockRule.name,
+          rule: autoBlockRule.rule,
+          enabled: autoBlockRule.enabled
+        }));
+      });
+    }).catch(next);
+  });
+
+/**
+ * Delete one of the authenticated user's AutoBlockRules, by name.
+ */
+app.post('/delete-auto-block-rule.json',
+  function(req, res, next) {
+    res.header('Content-Type', 'application/json');
+    if (typeof req.body.name !== 'string') {
+      return next(util.apiError(400, 'invalid-parameters',
+        'Invalid parameters.'));
+    }
+    AutoBlockRule.destroy({
+      uid: req.user.uid,
+      name: req.body.name
+    }).then(function() {
+      // Let stream.js know to reload the user's rules.
+      req.user.updatedAt = new Date();
+      return req.user.save();
+    }).then(function() {
+      res.end('{}');
+    }).catch(next);
+  });
+
+/**
+ * Check that adding a keyword didn't take its user past MAX_KEYWORDS, which
+ * can happen when several are added at once, and remove it if it did.
+ *
+ * @param {AutoBlockKeyword} autoBlockKeyword The newly created keyword.
+ * @return {Promise.<AutoBlockKeyword>} Resolves to autoBlockKeyword, or rejects
+ *   with a too-many-keywords error.
+ */
+function checkKeywordCount(autoBlockKeyword) {
+  return Q(AutoBlockKeyword.count({
+    where: {
+      uid: autoBlockKeyword.uid
+    }
+  })).then(function(count) {
+    if (count <= keywords.MAX_KEYWORDS) {
+      return autoBlockKeyword;
+    }
+    return Q(autoBlockKeyword.destroy()).then(function() {
+      return Q.reject(util.apiError(400, 'too-many-keywords',
+        'You can have at most ' + keywords.MAX_KEYWORDS + ' keywords.'));
     });
-    res.header('Content-Type', 'text/html');
-    stream.pipe(res);
+  });
+}
+
+/**
+ * Add one of the authenticated user's AutoBlockKeywords, or change the type of
+ * an existing one with the same kind and pattern. Expects a JSON POST with
+ * kind, pattern and type as described in keywords.js.
+ */
+app.post('/auto-block-keywords.json',
+  function(req, res, next) {
+    res.header('Content-Type', 'application/json');
+    var keyword = _.pick(req.body, 'kind', 'pattern', 'type');
+    var problem = keywords.validateKeyword(keyword);
+    if (problem) {
+      return next(util.apiError(400, 'invalid-keyword', problem));
+    }
+    keyword.pattern = keyword.pattern.trim();
+    AutoBlockKeyword.count({
+      where: {
+        uid: req.user.uid
+      }
+    }).then(function(count) {
+      return AutoBlockKeyword.find({
+        where: {
+          uid: req.user.uid,
+          kind: keyword.kind,
+          pattern: keyword.pattern
+        }
+      }).then(function(autoBlockKeyword) {
+        if (autoBlockKeyword) {
+          autoBlockKeyword.type = keyword.type;
+          return autoBlockKeyword.save();
+        } else if (count >= keywords.MAX_KEYWORDS) {
+          return Q.reject(util.apiError(400, 'too-many-keywords',
+            'You can have at most ' + keywords.MAX_KEYWORDS + ' keywords.'));
+        } else {
+          return AutoBlockKeyword.create(_.extend({
+            uid: req.user.uid
+          }, keyword)).then(checkKeywordCount, function(err) {
+            // Another request added the same keyword since the find above.
+            if (err.code === 'ER_DUP_ENTRY') {
+              return Q.reject(util.apiError(409, 'keyword-exists',
+                'That keyword was just added. Reload to see it.'));
+            }
+            return Q.reject(err);
+          });
+        }
+      });
+    }).then(function(autoBlockKeyword) {
+      // stream.js caches each user's keywords, and only reloads users whose
+      // BtUser row changed, so bump updatedAt.
+      req.user.updatedAt = new Date();
+      return req.user.save().then(function() {
+        res.end(JSON.stringify(_.pick(autoBlockKeyword,
+          'id', 'kind', 'pattern', 'type')));
+      });
+    }).catch(next);
+  });
+
+/**
+ * Delete one of the authenticated user's AutoBlockKeywords, by id.
+ */
+app.post('/delete-auto-block-keyword.json',
+  function(req, res, next) {
+    res.header('Content-Type', 'application/json');
+    if (typeof req.body.id !== 'number') {
+      return next(util.apiError(400, 'invalid-parameters',
+        'Invalid parameters.'));
+    }
+    AutoBlockKeyword.destroy({
+      uid: req.user.uid,
+      id: req.body.id
+    }).then(function() {
+      // Let stream.js know to reload the user's keywords.
+      req.user.updatedAt = new Date();
+      return req.user.save();
+    }).then(function() {
+      res.end('{}');
+    }).catch(next);
   });
 
 app.post('/settings.json',
@@ -319,30 +529,68 @@ app.post('/settings.json',
     var user = req.user;
     updateSettings(user, req.body, function(user) {
       res.header('Content-Type', 'application/json');
-      res.end(JSON.stringify({
+      res.end(JSON.stringify(_.extend({
         share_blocks: !!user.shared_blocks_key,
         shared_blocks_key: user.shared_blocks_key,
-        block_new_accounts: user.block_new_accounts,
-        block_low_followers: user.block_low_followers,
+        max_subscribers: user.max_subscribers,
         follow_blocktogether: user.follow_blocktogether
-      }));
+      }, _.pick(user, AUTO_BLOCK_SETTINGS))));
     });
   });
 
+/**
+ * The BtUser fields that control auto-blocking of accounts that mention the
+ * user: on/off switches, and the threshold for each criterion that has one.
+ */
+var AUTO_BLOCK_SWITCHES = [
+  'block_new_accounts',
+  'block_low_followers',
+  'block_default_profile_image',
+  'block_low_statuses',
+  'block_follow_ratio'
+];
+var AUTO_BLOCK_THRESHOLDS = [
+  'new_account_days',
+  'low_followers_threshold',
+  'low_statuses_threshold',
+  'follow_ratio_threshold'
+];
+/**
+ * The BtUser fields that spare the user's followers from blocks, one per kind
+ * of block: auto-blocks, subscriptions, and bulk manual blocks.
+ */
+var PROTECT_FOLLOWERS_SWITCHES = [
+  'protect_followers_auto_blocks',
+  'protect_followers_subscriptions',
+  'protect_followers_bulk_blocks'
+];
+var AUTO_BLOCK_SETTINGS = AUTO_BLOCK_SWITCHES.concat(
+  AUTO_BLOCK_THRESHOLDS, PROTECT_FOLLOWERS_SWITCHES);
+
 /**
  * Store the given settings on a BtUser, triggering any necessary side effects
  * (like generating a shared_blocks_key).
  * @param {BtUser} user User to modify.
- * @param {Object} settings JSON object with fields block_new_accounts,
- *   share_blocks, block_low_followers and follow_blocktogether.
- *   Absent fields will be treated as false.
+ * @param {Object} settings JSON object with fields share_blocks,
+ *   follow_blocktogether, the auto-block switches, e.g. block_new_accounts,
+ *   and the protect_followers_ switches. Absent fields will be treated as
+ *   false. May also have max_subscribers, which is left unchanged when absent
+ *   and cleared when blank, and auto-block thresholds, e.g. new_account_days,
+ *   which are left unchanged when absent or not a positive number.
  * @param {Function} callback
  */
 function updateSettings(user, settings, callback) {
-  // Setting: Block new accounts
-  user.block_new_accounts = !!settings.block_new_accounts;
-  // Setting: Block low followers
-  user.block_low_followers = !!settings.block_low_followers;
+  // Settings: Auto-block criteria
+  AUTO_BLOCK_SWITCHES.concat(PROTECT_FOLLOWERS_SWITCHES).forEach(
+    function(field) {
+      user[field] = !!settings[field];
+    });
+  AUTO_BLOCK_THRESHOLDS.forEach(function(field) {
+    var value = parseFloat(settings[field]);
+    if (value > 0) {
+      user[field] = value;
+    }
+  });
 
   // Setting: Share blocks
   var new_share_blocks = settings.share_blocks;
@@ -356,6 +604,12 @@ function updateSettings(user, settings, callback) {
     user.shared_blocks_key = crypto.randomBytes(48).toString('hex');
   }
 
+  // Setting: Maximum subscribers
+  if (_.has(settings, 'max_subscribers')) {
+    var max_subscribers = parseInt(settings.max_subscribers, 10);
+    user.max_subscribers = max_subscribers >= 0 ? max_subscribers : null;
+  }
+
   // Setting: Follow @blocktogether
   var new_follow = settings.follow_blocktogether;
   var old_follow = user.follow_blocktogether;
@@ -414,6 +668,21 @@ app.get('/my-blocks',
     }
   });
 
+app.get('/my-mutes',
+  function(req, res, next) {
+    var show = showMutes.bind(undefined, req, res, next);
+    // As for /my-blocks, fetch an updated copy of the user's mutes on each
+    // reload of the first page.
+    if (!req.query.page) {
+      remoteUpdateMutes(req.user)
+        .timeout(300 /* ms */)
+        .then(show)
+        .catch(show);
+    } else {
+      show();
+    }
+  });
+
 /**
  * Show all the shared block lists a user subscribes to, and all the users that
  * subscribe to their shared block list, if applicable.
@@ -452,29 +721,89 @@ function validSharedBlocksKey(key) {
   return key && key.match(/^[a-f0-9]{96}$/);
 }
 
-app.get('/show-blocks/:slug',
+/**
+ * Find the author of a shared block list by its slug.
+ * @param {string} slug The author's shared_blocks_key, from the URL.
+ * @return {Promise.<BtUser|null>} The author, or null if there is no active
+ *   user with that key.
+ */
+function findSharedListAuthor(slug) {
+  if (!validSharedBlocksKey(slug)) {
+    return Q.resolve(null);
+  }
+  return BtUser
+    .find({
+      where: ['deactivatedAt IS NULL AND shared_blocks_key LIKE ?',
+        slug.slice(0, 10) + '%']
+    }).then(function(user) {
+      // To avoid timing attacks that try and incrementally discover shared
+      // block slugs, use only the first part of the slug for lookup, and
+      // check the rest using constantTimeEquals. For details about timing
+      // attacks see http://codahale.com/a-lesson-in-timing-attacks/
+      if (user && constantTimeEquals(user.shared_blocks_key, slug)) {
+        return user;
+      } else {
+        return null;
+      }
+    });
+}
+
+/**
+ * Machine-readable copy of a shared block list, for tools built around shared
+ * lists. Streams every account on the list, with the profile fields we have
+ * for it, as a JSON array or a CSV file.
+ *
+ * Must be registered before /show-blocks/:slug, which would otherwise match
+ * the whole slug-plus-extension as a slug.
+ */
+app.get('/show-blocks/:slug.:format(json|csv)',
   function(req, res, next) {
-    var slug = req.params.slug;
-    if (!validSharedBlocksKey(slug)) {
-      res.status(404).end('No such block list.');
-    }
-    BtUser
-      .find({
-        where: ['deactivatedAt IS NULL AND shared_blocks_key LIKE ?',
-          slug.slice(0, 10) + '%']
-      }).error(function(err) {
-        logger.error(err);
-      }).success(function(user) {
-        // To avoid timing attacks that try and incrementally discover shared
-        // block slugs, use only the first part of the slug for lookup, and
-        // check the rest using constantTimeEquals. For details about timing
-        // attacks see http://codahale.com/a-lesson-in-timing-attacks/
-        if (user && constantTimeEquals(user.shared_blocks_key, slug)) {
-          showBlocks(req, res, next, user, false /* ownBlocks */);
-        } else {
-          res.status(404).end('No such block list.');
+    findSharedListAuthor(req.params.slug).then(function(author) {
+      if (!author) {
+        return res.status(404).end('No such block list.');
+      }
+      return exportData.streamRows(res, req.params.format, {
+        columns: ['uid', 'screen_name', 'followers_count',
+          'account_created_at', 'deactivatedAt'],
+        fetchPage: function(afterId, limit) {
+          return SharedBlock.findAll({
+            where: {
+              author_uid: author.uid,
+              id: { gt: afterId }
+            },
+            order: 'id ASC',
+            limit: limit,
+            include: [{
+              model: TwitterUser,
+              required: false
+            }]
+          });
+        },
+        toRow: function(sharedBlock) {
+          var twitterUser = sharedBlock.twitterUser || {};
+          return {
+            uid: sharedBlock.sink_uid,
+            screen_name: twitterUser.screen_name,
+            followers_count: twitterUser.followers_count,
+            account_created_at: twitterUser.account_created_at,
+            deactivatedAt: twitterUser.deactivatedAt
+          };
         }
       });
+    }).catch(next);
+  });
+
+app.get('/show-blocks/:slug',
+  function(req, res, next) {
+    findSharedListAuthor(req.params.slug).then(function(user) {
+      if (user) {
+        showBlocks(req, res, next, user, false /* ownBlocks */);
+      } else {
+        res.status(404).end('No such block list.');
+      }
+    }).catch(function(err) {
+      logger.error(err);
+    });
   });
 
 /**
@@ -484,11 +813,8 @@ app.get('/show-blocks/:slug',
  *
  * The render HTML will POST to /block-all.json with Javascript, with a special
  * parameter indicating that the shared_blocks_key from the session should be
- * used, and then deleted.
- *
- * Note: This does not check for an already-existing subscription, but that's
- * fine. Duplicate subscriptions result in some excess actions being enqueued
- * but are basically harmless.
+ * used, and then deleted. An already-existing subscription is reported as an
+ * error by /block-all.json.
  */
 app.get('/subscribe-on-signup', function(req, res, next) {
   res.header('Content-Type', 'text/html');
@@ -511,94 +837,128 @@ app.get('/subscribe-on-signup', function(req, res, next) {
   }
 });
 
+/**
+ * Check the author_uid and shared_blocks_key from a Block All request, and find
+ * the author of the shared block list.
+ *
+ * @param {ExpressRequest} req A request with author_uid and shared_blocks_key
+ *   in its JSON body.
+ * @param {string} shared_blocks_key The key to check, which may come from the
+ *   session rather than the body for subscribe-on-signup.
+ * @return {Promise.<BtUser>} The author. Rejects with an error from
+ *   util.apiError if the parameters don't match an active shared list.
+ */
+function findBlockAllAuthor(req, shared_blocks_key) {
+  if (req.body.author_uid === req.user.uid) {
+    return Q.reject(util.apiError(400, 'own-block-list',
+      'Cannot subscribe to your own block list.'));
+  }
+  if (!req.body.author_uid ||
+      typeof req.body.author_uid !== 'string' ||
+      !validSharedBlocksKey(shared_blocks_key)) {
+    return Q.reject(util.apiError(400, 'invalid-parameters',
+      'Invalid parameters.'));
+  }
+  return BtUser
+    .find({
+      where: {
+        uid: req.body.author_uid,
+        deactivatedAt: null
+      }
+    }).then(function(author) {
+      logger.debug('Found author', author);
+      if (!author || !constantTimeEquals(
+            author.shared_blocks_key, shared_blocks_key)) {
+        throw util.apiError(404, 'invalid-block-list',
+          'Invalid shared block list id.');
+      }
+      return author;
+    });
+}
+
+/**
+ * Preview what Block All would do for a shared block list, without
+ * subscribing or blocking anything. Expects author_uid and shared_blocks_key,
+ * as for /block-all.json, and responds with the result of
+ * actions.previewBlocks.
+ */
+app.post('/block-all-preview.json',
+  function(req, res, next) {
+    res.header('Content-Type', 'application/json');
+    findBlockAllAuthor(req, req.body.shared_blocks_key).then(function(author) {
+      return SharedBlock.findAll({
+        where: {
+          author_uid: author.uid
+        },
+        attributes: ['sink_uid']
+      });
+    }).then(function(blocks) {
+      return actions.previewBlocks(req.user, _.pluck(blocks, 'sink_uid'));
+    }).then(function(preview) {
+      res.end(JSON.stringify(preview));
+    }).catch(next);
+  });
+
 /**
  * Subscribe a user to the provided shared block list, and enqueue block actions
  * for all blocks currently on the list.
- * Expects two entries in JSON POST: author_uid and shared_blocks_key.
+ * Expects two entries in JSON POST: author_uid and shared_blocks_key. With
+ * mute_only set, the list is applied as mutes rather than blocks, now and for
+ * accounts added to it later.
+ * Errors include a code field, e.g. already-subscribed, too-many-subscriptions
+ * or author-subscriber-limit. On success, responds with block_count, the number
+ * of blocks queued, and skipped_count, the number of accounts skipped because
+ * blocking them was cancelled before, e.g. because the user follows them.
  */
 app.post('/block-all.json',
   function(req, res, next) {
     res.header('Content-Type', 'application/json');
-    var validTypes = {'block': 1, 'unblock': 1, 'mute': 1};
     var shared_blocks_key = req.body.shared_blocks_key;
+    var muteOnly = !!req.body.mute_only;
     // Special handling for subscribe-on-signup: Get key from session,
     // delete it on success.
     if (req.body.subscribe_on_signup) {
       shared_blocks_key = req.session.subscribe_on_signup.key;
     }
 
-    if (req.body.author_uid === req.user.uid) {
-      return next(new Error('Cannot subscribe to your own block list.'));
-    }
-
-    if (req.body.author_uid &&
-        typeof req.body.author_uid === 'string' &&
-        validSharedBlocksKey(shared_blocks_key)) {
-      BtUser
-        .find({
-          where: {
-            uid: req.body.author_uid,
-            deactivatedAt: null
-          }
-        }).error(function(err) {
-          logger.error(err);
-        }).success(function(author) {
-          logger.debug('Found author', author);
-          // If the shared_blocks_key is valid, find the most recent BlockBatch
-          // from that share block list author, and copy each uid onto the
-          // blocking user's list.
-          if (author &&
-              constantTimeEquals(author.shared_blocks_key, shared_blocks_key)) {
-            logger.info('Subscribing', req.user, 'to list from', author);
-            // Note: because of a uniqueness constraint on the [author,
-            // subscriber] pair, this will fail if the subscription already
-            // exists. But that's fine: It shouldn't be possible to create a
-            // duplicate through the UI.
-            Subscription.create({
-              author_uid: author.uid,
-              subscriber_uid: req.user.uid
-            }).then(req.user.addSubscription.bind(req.user))
-            .catch(function(err) {
-              logger.error(err);
-            });
-
-            author.getBlockBatches({
-              limit: 1,
-              order: 'complete desc, currentCursor is null, updatedAt desc'
-            }).error(function(err) {
-              logger.error(err);
-            }).success(function(blockBatches) {
-              if (blockBatches && blockBatches.length > 0) {
-                blockBatches[0].getBlocks()
-                  .error(function(err) {
-                    logger.error(err);
-                  }).success(function(blocks) {
-                    var sinkUids = _.pluck(blocks, 'sink_uid');
-                    actions.queueActions(
-                      req.user.uid, sinkUids, Action.BLOCK,
-                      Action.BULK_MANUAL_BLOCK, author.uid);
-                    // On a successful subscribe-on-signup, delete the entries
-                    // from the session.
-                    if (req.body.subscribe_on_signup) {
-                      delete req.session.subscribe_on_signup;
-                    }
-                    res.end(JSON.stringify({
-                      block_count: sinkUids.length
-                    }));
-                  });
-              } else {
-                next(new Error('Empty block list.'));
-              }
-            });
+    findBlockAllAuthor(req, shared_blocks_key).then(function(author) {
+      // The shared_blocks_key is valid, so subscribe to the author's shared
+      // block list, and copy each uid onto the blocking user's list.
+      logger.info('Subscribing', req.user, 'to list from', author);
+      return subscriptions.subscribe(req.user, author, muteOnly)
+        .then(function() {
+          return SharedBlock.findAll({
+            where: {
+              author_uid: author.uid
+            },
+            attributes: ['sink_uid']
+          });
+        }).then(function(blocks) {
+          var sinkUids = _.pluck(blocks, 'sink_uid');
+          if (sinkUids.length > 0) {
+            return actions.queueActions(
+              req.user.uid, sinkUids,
+              muteOnly ? Action.MUTE : Action.BLOCK,
+              Action.BULK_MANUAL_BLOCK, author.uid, null, '/block-all.json',
+              true);
           } else {
-            next(new Error('Invalid shared block list id.'));
+            return { queued: 0, skipped: 0 };
+          }
+        }).then(function(result) {
+          if (!result) {
+            throw new Error('Failed to queue blocks.');
+          }
+          // On a successful subscribe-on-signup, delete the entries
+          // from the session.
+          if (req.body.subscribe_on_signup) {
+            delete req.session.subscribe_on_signup;
           }
+          res.end(JSON.stringify({
+            block_count: result.queued,
+            skipped_count: result.skipped
+          }));
         });
-    } else {
-      var err = new Error('Invalid parameters.');
-      err.statusCode = 400;
-      return next(err);
-    }
+    }).catch(next);
   });
 
 /**
@@ -609,49 +969,333 @@ app.post('/block-all.json',
  * Expects input of exactly one of author_uid or subscriber_uid, and will
  * unsubscribe authenticated user or force-unsubscribe another user depending on
  * which is present.
+ *
+ * When the authenticated user unsubscribes, accounts they blocked solely
+ * because of that list are unblocked, and the response includes the number of
+ * unblocks scheduled in unblock_count. Force-unsubscribed users keep their
+ * blocks.
  */
 app.post('/unsubscribe.json',
   function(req, res, next) {
     res.header('Content-Type', 'application/json');
-    var params = NaN;
     if (req.body.author_uid) {
-      params = {
-        author_uid: req.body.author_uid,
-        subscriber_uid: req.user.uid
-      };
+      logger.info('Unsubscribing', req.user, 'from', req.body.author_uid);
+      subscriptions.unsubscribe(req.user.uid, req.body.author_uid)
+        .then(function(unblockCount) {
+          res.end(JSON.stringify({
+            unblock_count: unblockCount
+          }));
+        }).catch(function(err) {
+          logger.error(err);
+          next(new Error('Sequelize error.'));
+        });
     } else if (req.body.subscriber_uid) {
-      params = {
+      var params = {
         author_uid: req.user.uid,
         subscriber_uid: req.body.subscriber_uid
       };
+      logger.info('Removing subscription: ', params);
+      Subscription.destroy(params).then(function() {
+        res.end(JSON.stringify({}));
+      }).catch(function(err) {
+        next(new Error('Sequelize error.'));
+      });
     } else {
       var err = new Error('Invalid parameters.');
       err.statusCode = 400;
       return next(err);
     }
-    logger.info('Removing subscription: ', params);
-    Subscription.destroy(params).then(function() {
-      res.end(JSON.stringify({}));
-    }).catch(function(err) {
-      next(new Error('Sequelize error.'));
-    });
   });
 
+// Longest a temporary block can last.
+var MAX_EXPIRY_DAYS = 365;
+
 /**
- * Given a JSON POST from a My Blocks page, enqueue the appropriate unblocks.
+ * Given a JSON POST from a My Blocks or My Mutes page, enqueue the appropriate
+ * unblocks or unmutes. Accounts the user unblocks are also removed from their
+ * shared block list.
+ *
+ * Blocks may be made temporary with expires_in_days, a number of days after
+ * which actions.js unblocks the accounts again.
  */
 app.post('/do-actions.json',
   function(req, res, next) {
     res.header('Content-Type', 'application/json');
-    var validTypes = {'block': 1, 'unblock': 1, 'mute': 1};
+    var validTypes = {'block': 1, 'unblock': 1, 'mute': 1, 'unmute': 1};
+    var expiresInDays = req.body.expires_in_days;
+    var fields = undefined;
+    if (expiresInDays !== undefined && expiresInDays !== null) {
+      if (req.body.type !== Action.BLOCK || typeof expiresInDays !== 'number' ||
+          !(expiresInDays > 0 && expiresInDays <= MAX_EXPIRY_DAYS)) {
+        return next(util.apiError(400, 'invalid-expiry',
+          'Only blocks can expire, after between 0 and ' + MAX_EXPIRY_DAYS +
+          ' days.'));
+      }
+      fields = {
+        expires_at: new Date(Date.now() + expiresInDays * 86400 * 1000)
+      };
+    }
     if (req.body.list &&
         req.body.list.length &&
         req.body.list.length <= 5000 &&
         validTypes[req.body.type]) {
       actions.queueActions(
         req.user.uid, req.body.list, req.body.type,
-        Action.BULK_MANUAL_BLOCK, req.body.cause_uid);
+        Action.BULK_MANUAL_BLOCK, req.body.cause_uid, fields,
+        '/do-actions.json');
+      var removedPromise = req.body.type === Action.UNBLOCK ?
+        removeFromSharedBlocks(req.user, req.body.list) : Q.resolve();
+      removedPromise.then(function() {
+        res.end('{}');
+      }).catch(function(err) {
+        logger.error(err);
+        next(new Error('Sequelize error.'));
+      });
+    } else {
+      var err = new Error('Invalid parameters.');
+      err.statusCode = 400;
+      return next(err);
+    }
+  });
+
+/**
+ * Undo one of the user's ActionBatches from /actions. Expects a JSON POST with
+ * action_batch_id, and responds with queued, the number of inverse actions
+ * queued, and in_progress, how many of those reverse actions that were being
+ * performed and couldn't be cancelled.
+ */
+app.post('/undo-action-batch.json',
+  function(req, res, next) {
+    res.header('Content-Type', 'application/json');
+    var batchId = req.body.action_batch_id;
+    if (typeof batchId !== 'number') {
+      return next(util.apiError(400, 'invalid-parameters',
+        'Invalid parameters.'));
+    }
+    actions.undoActionBatch(req.user.uid, batchId).then(function(result) {
+      res.end(JSON.stringify({
+        queued: result.queued,
+        in_progress: result.in_progress
+      }));
+    }).catch(next);
+  });
+
+/**
+ * Put failed actions back in the queue. Expects a JSON POST with optional
+ * action_ids, a list of ids of the user's failed actions to retry. Without it,
+ * all of the user's failed actions are retried.
+ */
+app.post('/retry-actions.json',
+  function(req, res, next) {
+    res.header('Content-Type', 'application/json');
+    var ids = req.body.action_ids;
+    if (ids !== undefined && (!_.isArray(ids) || ids.length === 0 ||
+        ids.length > 5000 || !_.every(ids, _.isNumber))) {
+      return next(util.apiError(400, 'invalid-parameters',
+        'Invalid parameters.'));
+    }
+    actions.retryFailedActions(req.user.uid, ids).then(function() {
       res.end('{}');
+    }).catch(next);
+  });
+
+/**
+ * Cancel pending actions. Expects a JSON POST with either action_ids, a list of
+ * ids of the user's pending actions, or cause_uid, to cancel pending actions
+ * from that user's shared block list. With neither, all of the user's pending
+ * actions are cancelled.
+ */
+app.post('/cancel-actions.json',
+  function(req, res, next) {
+    res.header('Content-Type', 'application/json');
+    var ids = req.body.action_ids;
+    var causeUid = req.body.cause_uid;
+    if ((ids !== undefined && (!_.isArray(ids) || ids.length === 0 ||
+        ids.length > 5000 || !_.every(ids, _.isNumber))) ||
+        (causeUid !== undefined && !/^\d{1,20}$/.test(causeUid))) {
+      return next(util.apiError(400, 'invalid-parameters',
+        'Invalid parameters.'));
+    }
+    actions.cancelActions(req.user.uid, {
+      ids: ids,
+      cause_uid: causeUid
+    }).then(function() {
+      res.end('{}');
+    }).catch(next);
+  });
+
+app.get('/export',
+  function(req, res) {
+    var stream = mu.compileAndRender('export.mustache', {
+      logged_in_screen_name: req.user.screen_name,
+      csrf_token: req.session.csrf
+    });
+    res.header('Content-Type', 'text/html');
+    stream.pipe(res);
+  });
+
+/**
+ * Download a copy of the authenticated user's data: their blocks, Actions,
+ * subscriptions and subscribers. /export.jsonl has everything in one JSON Lines
+ * file; /export/:table.csv has one table as CSV.
+ */
+app.get('/export.jsonl',
+  function(req, res, next) {
+    exportData.userDataTables(req.user).then(function(tables) {
+      res.attachment('blocktogether-' + req.user.screen_name + '.jsonl');
+      return exportData.streamTables(res, tables);
+    }).catch(next);
+  });
+
+app.get('/export/:table(blocks|actions|subscriptions|subscribers).csv',
+  function(req, res, next) {
+    exportData.userDataTables(req.user).then(function(tables) {
+      res.attachment('blocktogether-' + req.user.screen_name + '-' +
+        req.params.table + '.csv');
+      return exportData.streamRows(res, 'csv', tables[req.params.table]);
+    }).catch(next);
+  });
+
+app.get('/import-blocks',
+  function(req, res) {
+    var stream = mu.compileAndRender('import-blocks.mustache', {
+      logged_in_screen_name: req.user.screen_name,
+      csrf_token: req.session.csrf
+    });
+    res.header('Content-Type', 'text/html');
+    stream.pipe(res);
+  });
+
+/**
+ * Queue blocks for a list of accounts, given as the text of a CSV or a Twitter
+ * archive block.js file. Responds with counts as soon as the text is parsed;
+ * screen names are looked up and queued afterwards.
+ * Expects a JSON POST with a text field.
+ */
+app.post('/import-blocks.json',
+  function(req, res, next) {
+    res.header('Content-Type', 'application/json');
+    if (typeof req.body.text !== 'string') {
+      return next(util.apiError(400, 'invalid-parameters',
+        'Invalid parameters.'));
+    }
+    var parsed = importBlocks.parseImport(req.body.text);
+    var total = parsed.uids.length + parsed.screenNames.length;
+    if (total === 0) {
+      return next(util.apiError(400, 'empty-import',
+        'No uids or screen names found.'));
+    } else if (total > importBlocks.MAX_IMPORT_SIZE) {
+      return next(util.apiError(400, 'import-too-large',
+        'You can import at most ' + importBlocks.MAX_IMPORT_SIZE +
+        ' accounts at a time.'));
+    }
+    importBlocks.importBlocks(req.user, parsed, '/import-blocks.json')
+      .catch(function(err) {
+        logger.error('Import for', req.user, 'failed', err);
+      });
+    res.end(JSON.stringify({
+      uid_count: parsed.uids.length,
+      screen_name_count: parsed.screenNames.length,
+      invalid_count: parsed.invalid
+    }));
+  });
+
+/**
+ * Show the accounts on the authenticated user's allowlist, which Block Together
+ * will never block or mute for them automatically.
+ */
+app.get('/allowlist',
+  function(req, res, next) {
+    AllowlistEntry.findAll({
+      where: { uid: req.user.uid },
+      order: 'createdAt DESC',
+      include: [{
+        model: TwitterUser,
+        required: false
+      }]
+    }).then(function(entries) {
+      var stream = mu.compileAndRender('allowlist.mustache', {
+        logged_in_screen_name: req.user.screen_name,
+        csrf_token: req.session.csrf,
+        max_size: allowlist.MAX_ALLOWLIST_SIZE,
+        entry_count: entries.length,
+        entries: entries.map(function(entry) {
+          var twitterUser = entry.twitterUser || {};
+          return {
+            sink_uid: entry.sink_uid,
+            screen_name: twitterUser.screen_name,
+            name: twitterUser.name,
+            prettyCreated: timeago(new Date(entry.createdAt))
+          };
+        })
+      });
+      res.header('Content-Type', 'text/html');
+      stream.pipe(res);
+    }).catch(next);
+  });
+
+/**
+ * Add accounts to or remove them from the authenticated user's allowlist.
+ * Expects a JSON POST with add, a list of screen names to look up and add, or
+ * remove, a list of uids to remove. Responds with the result of
+ * allowlist.addScreenNames plus invalid, the entries of add that aren't screen
+ * names, or with {} after removing.
+ */
+app.post('/allowlist.json',
+  function(req, res, next) {
+    res.header('Content-Type', 'application/json');
+    var add = req.body.add;
+    var remove = req.body.remove;
+    if (_.isArray(add) && add.length > 0 && remove === undefined) {
+      var parsed = allowlist.parseScreenNames(add);
+      if (parsed.screenNames.length === 0) {
+        return next(util.apiError(400, 'invalid-screen-names',
+          'No valid screen names given.'));
+      } else if (parsed.screenNames.length > allowlist.MAX_SCREEN_NAMES) {
+        return next(util.apiError(400, 'too-many-screen-names',
+          'You can add at most ' + allowlist.MAX_SCREEN_NAMES +
+          ' accounts at a time.'));
+      }
+      allowlist.addScreenNames(req.user, parsed.screenNames
+      ).then(function(result) {
+        res.end(JSON.stringify(_.extend(result, {
+          invalid: parsed.invalid
+        })));
+      }).catch(next);
+    } else if (_.isArray(remove) && remove.length > 0 &&
+        remove.length <= allowlist.MAX_ALLOWLIST_SIZE && add === undefined &&
+        _.every(remove, function(uid) {
+          return typeof uid === 'string' && /^\d{1,20}$/.test(uid);
+        })) {
+      allowlist.removeUids(req.user, remove).then(function() {
+        res.end('{}');
+      }).catch(next);
+    } else {
+      return next(util.apiError(400, 'invalid-parameters',
+        'Invalid parameters.'));
+    }
+  });
+
+/**
+ * Remove accounts from the authenticated user's shared block list, without
+ * unblocking them. Subscribers who blocked those accounts because of this list
+ * will unblock them.
+ * Expects a JSON POST with a list of uids.
+ */
+app.post('/remove-shared-blocks.json',
+  function(req, res, next) {
+    res.header('Content-Type', 'application/json');
+    if (req.body.list &&
+        req.body.list.length &&
+        req.body.list.length <= 5000) {
+      removeFromSharedBlocks(req.user, req.body.list).then(function(removed) {
+        res.end(JSON.stringify({
+          removed_count: removed.length
+        }));
+      }).catch(function(err) {
+        logger.error(err);
+        next(new Error('Sequelize error.'));
+      });
     } else {
       var err = new Error('Invalid parameters.');
       err.statusCode = 400;
@@ -659,6 +1303,23 @@ app.post('/do-actions.json',
     }
   });
 
+/**
+ * Remove uids from a user's shared block list and fan out the corresponding
+ * unblocks to their subscribers.
+ * @param {BtUser} user The author of the shared block list.
+ * @param {Array.<string>} uids Uids to remove.
+ * @return {Promise.<Array.<string>>} The uids that were actually removed.
+ */
+function removeFromSharedBlocks(user, uids) {
+  return sharedBlocks.removeSharedBlocks(user.uid, uids)
+    .then(function(removed) {
+      subscriptions.fanoutSharedBlockRemovals(user.uid, removed)
+        .catch(function(err) {
+          logger.error(err);
+        });
+      return removed;
+    });
+}
 
 // Error handler. Must come after all routes.
 app.use(function(err, req, res, next) {
@@ -690,9 +1351,14 @@ app.use(function(err, req, res, next) {
     },
     json: function() {
       res.header('Content-Type', 'application/json');
-      res.end(JSON.stringify({
+      var body = {
         error: message
-      }));
+      };
+      // Errors from util.apiError carry a machine-readable code for scripts.
+      if (err.statusCode && err.code) {
+        body.code = err.code;
+      }
+      res.end(JSON.stringify(body));
     }
   });
 });
@@ -727,7 +1393,130 @@ function getPaginationData(items, perPage, currentPage) {
 }
 
 /**
- * Render the block list for a given BtUser as HTML.
+ * Fetch one page of a user's own blocks, from their most recent BlockBatch.
+ * @param {BtUser} btUser The user whose blocks to fetch.
+ * @param {Number} perPage Number of blocks per page.
+ * @param {Number} currentPage Page to fetch, starts at 1.
+ * @return {Promise.<Object|null>} An object with count, rows (Blocks with their
+ *   TwitterUser included) and updated (the time the blocks were fetched), or
+ *   null if no blocks have been fetched yet.
+ */
+function findBlocksPage(btUser, perPage, currentPage) {
+  return BlockBatch.find({
+    where: { source_uid: btUser.uid },
+    // We prefer a the most recent complete BlockBatch, but if none is
+    // available we will choose the most recent non-complete BlockBatch.
+    // Additionally, for users with more than 75k blocks, updateBlocks will run
+    // into the rate limit before finishing updating the blocks. The updating
+    // will finish after waiting for the rate limit to lift, but in the meantime
+    // it's possible to have multiple non-complete BlockBatches. In that case,
+    // prefer ones with non-null currentCursors, i.e. those that have stored at
+    // least some blocks.
+    order: 'complete desc, currentCursor is null, updatedAt desc'
+  }).then(function(blockBatch) {
+    if (!blockBatch) {
+      return null;
+    }
+    return Block.findAll({
+      where: {
+        blockBatchId: blockBatch.id
+      },
+      limit: perPage,
+      offset: perPage * (currentPage - 1),
+      include: [{
+        model: TwitterUser,
+        required: false
+      }]
+    }).then(function(blocks) {
+      return {
+        count: blockBatch.size || 0,
+        rows: blocks,
+        updated: timeago(new Date(blockBatch.createdAt))
+      };
+    });
+  });
+}
+
+/**
+ * Fetch one page of a user's mutes, from their most recent complete MuteBatch.
+ * Mute lists are fetched in one go rather than resumed after rate limits, so
+ * unlike findBlocksPage there is no need to fall back to incomplete batches.
+ * @param {BtUser} btUser The user whose mutes to fetch.
+ * @param {Number} perPage Number of mutes per page.
+ * @param {Number} currentPage Page to fetch, starts at 1.
+ * @return {Promise.<Object|null>} An object with count, rows (Mutes with their
+ *   TwitterUser included) and updated, or null if no mutes have been fetched
+ *   yet.
+ */
+function findMutesPage(btUser, perPage, currentPage) {
+  return MuteBatch.find({
+    where: {
+      source_uid: btUser.uid,
+      complete: true
+    },
+    order: 'id DESC'
+  }).then(function(muteBatch) {
+    if (!muteBatch) {
+      return null;
+    }
+    return Mute.findAll({
+      where: {
+        MuteBatchId: muteBatch.id
+      },
+      limit: perPage,
+      offset: perPage * (currentPage - 1),
+      include: [{
+        model: TwitterUser,
+        required: false
+      }]
+    }).then(function(mutes) {
+      return {
+        count: muteBatch.size || 0,
+        rows: mutes,
+        updated: timeago(new Date(muteBatch.createdAt))
+      };
+    });
+  });
+}
+
+/**
+ * Fetch one page of a user's curated shared block list.
+ * @param {BtUser} btUser The author of the shared block list.
+ * @param {Number} perPage Number of blocks per page.
+ * @param {Number} currentPage Page to fetch, starts at 1.
+ * @return {Promise.<Object>} An object with count and rows (SharedBlocks with
+ *   their TwitterUser included).
+ */
+function findSharedBlocksPage(btUser, perPage, currentPage) {
+  var whereClause = {
+    author_uid: btUser.uid
+  };
+  return Q.spread([
+    SharedBlock.count({
+      where: whereClause
+    }),
+    SharedBlock.findAll({
+      where: whereClause,
+      order: 'id ASC',
+      limit: perPage,
+      offset: perPage * (currentPage - 1),
+      include: [{
+        model: TwitterUser,
+        required: false
+      }]
+    })
+  ], function(count, sharedBlocks) {
+    return {
+      count: count,
+      rows: sharedBlocks
+    };
+  });
+}
+
+/**
+ * Render the block list for a given BtUser as HTML. For /my-blocks this is the
+ * user's actual blocks on Twitter; for /show-blocks/:slug it is the author's
+ * curated shared block list.
  */
 function showBlocks(req, res, next, btUser, ownBlocks) {
   // The user viewing this page may not be logged in.
@@ -748,19 +1537,12 @@ function showBlocks(req, res, next, btUser, ownBlocks) {
     currentPage = 1;
   }
 
-  BlockBatch.find({
-    where: { source_uid: btUser.uid },
-    // We prefer a the most recent complete BlockBatch, but if none is
-    // available we will choose the most recent non-complete BlockBatch.
-    // Additionally, for users with more than 75k blocks, updateBlocks will run
-    // into the rate limit before finishing updating the blocks. The updating
-    // will finish after waiting for the rate limit to lift, but in the meantime
-    // it's possible to have multiple non-complete BlockBatches. In that case,
-    // prefer ones with non-null currentCursors, i.e. those that have stored at
-    // least some blocks.
-    order: 'complete desc, currentCursor is null, updatedAt desc'
-  }).then(function(blockBatch) {
-    if (!blockBatch) {
+  var pagePromise = ownBlocks ?
+    findBlocksPage(btUser, perPage, currentPage) :
+    findSharedBlocksPage(btUser, perPage, currentPage);
+
+  pagePromise.then(function(page) {
+    if (!page) {
       res.end('No blocks fetched yet. Please try again soon.');
       return Q.reject('No blocks fetched yet for ' + btUser.screen_name);
     } else {
@@ -772,27 +1554,10 @@ function showBlocks(req, res, next, btUser, ownBlocks) {
             subscriber_uid: req.user.uid
           }
         }) : null;
-
-      var blocksPromise = Block.findAll({
-        where: {
-          blockBatchId: blockBatch.id
-        },
-        limit: perPage,
-        offset: perPage * (currentPage - 1),
-        include: [{
-          model: TwitterUser,
-          required: false
-        }]
-      });
-
-      // Find, count, and prepare block data for display:
-      return [subscriptionPromise, blockBatch, blocksPromise];
+      return [subscriptionPromise, page];
     }
-  }).spread(function(subscription, blockBatch, blocks) {
-    var paginationData = getPaginationData({
-      count: blockBatch.size || 0,
-      rows: blocks
-    }, perPage, currentPage);
+  }).spread(function(subscription, page) {
+    var paginationData = getPaginationData(page, perPage, currentPage);
     // Create a list of users that has at least a uid entry even if the
     // TwitterUser doesn't yet exist in our DB.
     paginationData.item_rows = paginationData.item_rows.map(function(block) {
@@ -806,7 +1571,7 @@ function showBlocks(req, res, next, btUser, ownBlocks) {
       }
     });
     var templateData = {
-      updated: timeago(new Date(blockBatch.createdAt)),
+      updated: page.updated,
       // The name of the logged-in user, for the nav bar.
       logged_in_screen_name: logged_in_screen_name,
       csrf_token: req.session.csrf,
@@ -819,6 +1584,9 @@ function showBlocks(req, res, next, btUser, ownBlocks) {
       shared_blocks_key: req.params.slug,
       // Whether this is /my-blocks (rather than /show-blocks/foo)
       own_blocks: ownBlocks,
+      // Whether this is the authenticated user's own shared block list, which
+      // they can remove accounts from.
+      own_shared_list: !ownBlocks && btUser.uid === user_uid,
       subscribed: !!subscription,
       // uid of the authenticated user.
       user_uid: user_uid
@@ -831,6 +1599,65 @@ function showBlocks(req, res, next, btUser, ownBlocks) {
   });
 }
 
+/**
+ * Render the authenticated user's mutes as HTML, with the option to unmute.
+ */
+function showMutes(req, res, next) {
+  res.header('Content-Type', 'text/html');
+  var currentPage = parseInt(req.query.page, 10) || 1,
+      perPage = 500;
+  if (currentPage < 1) {
+    currentPage = 1;
+  }
+  findMutesPage(req.user, perPage, currentPage).then(function(page) {
+    if (!page) {
+      res.end('No mutes fetched yet. Please try again soon.');
+      return;
+    }
+    var paginationData = getPaginationData(page, perPage, currentPage);
+    paginationData.item_rows = paginationData.item_rows.map(function(mute) {
+      if (mute.twitterUser) {
+        var user = mute.twitterUser;
+        return _.extend(user, {
+          account_age: timeago(user.account_created_at)
+        });
+      } else {
+        return {uid: mute.sink_uid};
+      }
+    });
+    var templateData = {
+      updated: page.updated,
+      logged_in_screen_name: req.user.screen_name,
+      csrf_token: req.session.csrf,
+      // Base URL for appending pagination querystring.
+      path_name: url.parse(req.url).pathname
+    };
+    _.extend(templateData, paginationData);
+    mu.compileAndRender('my-mutes.mustache', templateData).pipe(res);
+  }).catch(function(err) {
+    logger.error(err);
+    next(new Error('Failed to get mutes.'));
+  });
+}
+
+/**
+ * Describe when a temporary block expires, or expired, for /actions.
+ * @param {Action} action
+ * @return {string|null} E.g. 'expires in 3 days', or null if the action isn't
+ *   a temporary block.
+ */
+function describeExpiry(action) {
+  if (!action.expires_at) {
+    return null;
+  }
+  var expiresAt = new Date(action.expires_at);
+  if (action.expired || expiresAt <= new Date()) {
+    return 'expired ' + timeago(expiresAt);
+  }
+  var days = Math.ceil((expiresAt - new Date()) / (86400 * 1000));
+  return 'expires in ' + days + (days === 1 ? ' day' : ' days');
+}
+
 /**
  * Render the action list for a given BtUser as HTML.
  */
@@ -851,12 +1678,30 @@ function showActions(req, res, next) {
   var countPromise = Action.count({
     where: whereClause
   });
+  var failedCountPromise = Action.count({
+    where: {
+      source_uid: req.user.uid,
+      status: Action.FAILED
+    }
+  });
+  var pendingCountPromise = Action.count({
+    where: {
+      source_uid: req.user.uid,
+      status: Action.PENDING
+    }
+  });
+  // Number of recent ActionBatches to list, with an option to undo them.
+  var batchesPromise = ActionBatch.findAll({
+    where: whereClause,
+    order: 'id DESC',
+    limit: 10
+  });
   var actionsPromise = Action.findAll({
     where: whereClause,
-    // We want to show pending actions before all other actions.
-    // This FIELD statement will return 1 if status is 'pending',
-    // otherwise 0.
-    order: 'FIELD(status, "pending") DESC, updatedAt DESC',
+    // We want to show pending actions before all other actions, then failed
+    // actions so users notice them. This FIELD statement will return 2 if
+    // status is 'pending', 1 if it is 'failed', otherwise 0.
+    order: 'FIELD(status, "failed", "pending") DESC, updatedAt DESC',
     limit: perPage,
     offset: perPage * (currentPage - 1),
     // Get the associated TwitterUser so we can display screen names.
@@ -870,7 +1715,9 @@ function showActions(req, res, next) {
     }]
   });
 
-  Q.spread([countPromise, actionsPromise], function(count, actions) {
+  Q.spread([countPromise, failedCountPromise, pendingCountPromise,
+      batchesPromise, actionsPromise],
+      function(count, failedCount, pendingCount, batches, actions) {
     var paginationData = getPaginationData({
       count: count,
       rows: actions
@@ -879,12 +1726,25 @@ function showActions(req, res, next) {
     paginationData.item_rows = paginationData.item_rows.map(function(action) {
       return _.extend(action, {
         prettyCreated: timeago(new Date(action.createdAt)),
-        prettyUpdated: timeago(new Date(action.updatedAt))
+        prettyUpdated: timeago(new Date(action.updatedAt)),
+        failed: action.status === Action.FAILED,
+        pending: action.status === Action.PENDING,
+        expiry: describeExpiry(action),
+        causeTweetUrl: action.cause_tweet_id &&
+          'https://twitter.com/i/web/status/' + action.cause_tweet_id
       });
     });
     var templateData = {
       logged_in_screen_name: req.user.screen_name,
       csrf_token: req.session.csrf,
+      failed_count: failedCount,
+      pending_count: pendingCount,
+      batches: batches.map(function(batch) {
+        return _.extend(batch, {
+          prettyCreated: timeago(new Date(batch.createdAt)),
+          prettyUndone: batch.undone_at && timeago(new Date(batch.undone_at))
+        });
+      }),
       // Base URL for appending pagination querystring.
       path_name: url.parse(req.url).pathname
     };
@@ -0,0 +1,308 @@
+'use strict';
+(function() {
+
+/**
+ * Helpers for streaming potentially very large tables to an HTTP response as
+ * JSON or CSV, one page at a time, without holding every row in memory.
+ */
+var Q = require('q'),
+    _ = require('sequelize').Utils._,
+    setup = require('./setup');
+
+var logger = setup.logger,
+    Action = setup.Action,
+    Block = setup.Block,
+    BlockBatch = setup.BlockBatch,
+    Subscription = setup.Subscription,
+    TwitterUser = setup.TwitterUser;
+
+var CONTENT_TYPES = {
+  json: 'application/json',
+  jsonl: 'application/x-ndjson',
+  csv: 'text/csv; charset=utf-8'
+};
+
+// Number of rows fetched from the DB per query.
+var PAGE_SIZE = 1000;
+
+/**
+ * Format a single value for a CSV file, quoting it if necessary.
+ * @param {*} value A string, number, Date, or null.
+ * @return {string}
+ */
+function csvField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (value instanceof Date) {
+    value = value.toISOString();
+  }
+  value = String(value);
+  if (/[",\r\n]/.test(value)) {
+    return '"' + value.replace(/"/g, '""') + '"';
+  }
+  return value;
+}
+
+/**
+ * Format a list of values as a line of a CSV file, per RFC 4180.
+ * @param {Array} values
+ * @return {string}
+ */
+function csvLine(values) {
+  return values.map(csvField).join(',') + '\r\n';
+}
+
+/**
+ * Write a chunk to a response, resolving once it is safe to write more, so a
+ * slow client doesn't make us buffer the whole table.
+ * @param {http.ServerResponse} res
+ * @param {string} chunk
+ * @return {Promise}
+ */
+function write(res, chunk) {
+  if (res.write(chunk)) {
+    return Q.resolve();
+  }
+  var deferred = Q.defer();
+  function resume() {
+    res.removeListener('drain', resume);
+    res.removeListener('close', resume);
+    deferred.resolve();
+  }
+  res.on('drain', resume);
+  res.on('close', resume);
+  return deferred.promise;
+}
+
+/**
+ * Write every row of a table to a response, paging through the table by id so
+ * that each query is cheap no matter how far into the table we are. Doesn't
+ * write any header or footer.
+ *
+ * @param {http.ServerResponse} res The response to write to.
+ * @param {Function} formatRow Converts a row into the text to write for it.
+ * @param {Object} table A table description, with fields:
+ *   fetchPage: Called with the id of the last row of the previous page (0 for
+ *     the first page) and a page size. Should return a Promise for up to that
+ *     many model instances with ids greater than the given one, in order by id.
+ *   toRow: Converts a model instance into a plain object with the table's
+ *     columns.
+ * @return {Promise} Resolves once every row is written, or the client has gone
+ *   away.
+ */
+function writeTable(res, formatRow, table) {
+  function nextPage(afterId) {
+    // Set by streamResponse if the client disconnects.
+    if (res.exportClosed) {
+      return Q.resolve();
+    }
+    return Q(table.fetchPage(afterId, PAGE_SIZE)).then(function(instances) {
+      if (instances.length === 0) {
+        return;
+      }
+      var chunk = instances.map(function(instance) {
+        return formatRow(table.toRow(instance));
+      }).join('');
+      return write(res, chunk).then(function() {
+        if (instances.length === PAGE_SIZE) {
+          return nextPage(instances[instances.length - 1].id);
+        }
+      });
+    });
+  }
+  return nextPage(0);
+}
+
+/**
+ * Set up a response for streaming, then run a function that writes the body,
+ * and end the response when it's done.
+ *
+ * @param {http.ServerResponse} res The response to write to.
+ * @param {string} format A key of CONTENT_TYPES.
+ * @param {Function} writeBody Returns a Promise that resolves once the body is
+ *   written.
+ * @return {Promise} Resolves once the response has ended.
+ */
+function streamResponse(res, format, writeBody) {
+  res.exportClosed = false;
+  res.on('close', function() {
+    res.exportClosed = true;
+  });
+  res.header('Content-Type', CONTENT_TYPES[format]);
+  return Q.fcall(writeBody).then(function() {
+    res.end();
+  }).catch(function(err) {
+    // Headers are already sent, so the best we can do is cut the response
+    // short. Clients will see invalid JSON or a truncated CSV.
+    logger.error(err);
+    res.end();
+  });
+}
+
+/**
+ * Stream a table to an HTTP response as a JSON array or a CSV file with a
+ * header line.
+ *
+ * @param {http.ServerResponse} res The response to write to.
+ * @param {string} format 'json' or 'csv'.
+ * @param {Object} table A table description as for writeTable, plus columns,
+ *   the fields of each output row in CSV column order.
+ * @return {Promise} Resolves once the response has ended.
+ */
+function streamRows(res, format, table) {
+  var first = true;
+  return streamResponse(res, format, function() {
+    if (format === 'csv') {
+      return write(res, csvLine(table.columns)).then(function() {
+        return writeTable(res, function(row) {
+          return csvLine(table.columns.map(function(column) {
+            return row[column];
+          }));
+        }, table);
+      });
+    } else {
+      return write(res, '[').then(function() {
+        return writeTable(res, function(row) {
+          var json = (first ? '\n' : ',\n') + JSON.stringify(row);
+          first = false;
+          return json;
+        }, table);
+      }).then(function() {
+        return write(res, '\n]\n');
+      });
+    }
+  });
+}
+
+/**
+ * Stream several tables to an HTTP response as a single JSON Lines file, one
+ * object per line. Each object has a record field naming the table it came
+ * from.
+ *
+ * @param {http.ServerResponse} res The response to write to.
+ * @param {Object.<string, Object>} tables Map from record name to a table
+ *   description as for writeTable.
+ * @return {Promise} Resolves once the response has ended.
+ */
+function streamTables(res, tables) {
+  return streamResponse(res, 'jsonl', function() {
+    return _.reduce(tables, function(previous, table, name) {
+      return previous.then(function() {
+        return writeTable(res, function(row) {
+          return JSON.stringify(_.extend({ record: name }, row)) + '\n';
+        }, table);
+      });
+    }, Q.resolve());
+  });
+}
+
+/**
+ * Describe the tables holding a user's own data, for export: their blocks as
+ * of the latest complete BlockBatch, all their Actions, whose lists they
+ * subscribe to and who subscribes to theirs.
+ *
+ * @param {BtUser} btUser The user whose data to export.
+ * @return {Promise.<Object.<string, Object>>} Map from table name to a table
+ *   description as for streamRows.
+ */
+function userDataTables(btUser) {
+  return BlockBatch.find({
+    where: {
+      source_uid: btUser.uid,
+      complete: true
+    },
+    order: 'id DESC'
+  }).then(function(blockBatch) {
+    function subscriptionsTable(field, otherField) {
+      return {
+        columns: ['uid', 'createdAt'],
+        fetchPage: function(afterId, limit) {
+          var where = { id: { gt: afterId } };
+          where[field] = btUser.uid;
+          return Subscription.findAll({
+            where: where,
+            order: 'id ASC',
+            limit: limit
+          });
+        },
+        toRow: function(subscription) {
+          return {
+            uid: subscription[otherField],
+            createdAt: subscription.createdAt
+          };
+        }
+      };
+    }
+    return {
+      blocks: {
+        columns: ['uid', 'screen_name'],
+        fetchPage: function(afterId, limit) {
+          if (!blockBatch) {
+            return [];
+          }
+          return Block.findAll({
+            where: {
+              blockBatchId: blockBatch.id,
+              id: { gt: afterId }
+            },
+            order: 'id ASC',
+            limit: limit,
+            include: [{
+              model: TwitterUser,
+              required: false
+            }]
+          });
+        },
+        toRow: function(block) {
+          var twitterUser = block.twitterUser || {};
+          return {
+            uid: block.sink_uid,
+            screen_name: twitterUser.screen_name
+          };
+        }
+      },
+      actions: {
+        columns: ['id', 'type', 'sink_uid', 'status', 'cause', 'cause_uid',
+          'rule_name', 'cause_tweet_id', 'expires_at', 'createdAt',
+          'updatedAt'],
+        fetchPage: function(afterId, limit) {
+          return Action.findAll({
+            where: {
+              source_uid: btUser.uid,
+              id: { gt: afterId }
+            },
+            order: 'id ASC',
+            limit: limit
+          });
+        },
+        toRow: function(action) {
+          return _.pick(action.dataValues, 'id', 'type', 'sink_uid', 'status',
+            'cause', 'cause_uid', 'rule_name', 'cause_tweet_id', 'expires_at',
+            'createdAt', 'updatedAt');
+        }
+      },
+      // Lists this user subscribes to, by author uid.
+      subscriptions: subscriptionsTable('subscriber_uid', 'author_uid'),
+      // Users subscribed to this user's list, by subscriber uid.
+      subscribers: subscriptionsTable('author_uid', 'subscriber_uid')
+    };
+  });
+}
+
+module.exports = {
+  csvLine: csvLine,
+  streamRows: streamRows,
+  streamTables: streamTables,
+  userDataTables: userDataTables
+};
+
+if (require.main === module) {
+  // A micro sanity test.
+  var assert = require('assert');
+  assert.equal(csvLine(['a', 1, null, 'say "hi", ok']),
+    'a,1,,"say ""hi"", ok"\r\n');
+  assert.equal(csvLine([new Date(0)]), '1970-01-01T00:00:00.000Z\r\n');
+  console.log('Done!');
+}
+})();
@@ -87,6 +87,16 @@ function BtUser() {};
 /** type{string} */ BtUser.prototype.shared_blocks_key;
 /** type{boolean} */ BtUser.prototype.block_new_accounts;
 /** type{boolean} */ BtUser.prototype.block_low_followers;
+/** type{number} */ BtUser.prototype.new_account_days;
+/** type{number} */ BtUser.prototype.low_followers_threshold;
+/** type{boolean} */ BtUser.prototype.block_default_profile_image;
+/** type{boolean} */ BtUser.prototype.block_low_statuses;
+/** type{number} */ BtUser.prototype.low_statuses_threshold;
+/** type{boolean} */ BtUser.prototype.block_follow_ratio;
+/** type{number} */ BtUser.prototype.follow_ratio_threshold;
+/** type{boolean} */ BtUser.prototype.protect_followers_auto_blocks;
+/** type{boolean} */ BtUser.prototype.protect_followers_subscriptions;
+/** type{boolean} */ BtUser.prototype.protect_followers_bulk_blocks;
 /** type{boolean} */ BtUser.prototype.follow_blocktogether;
 /** type{Date} */ BtUser.prototype.deactivatedAt;
 /** @interface @extends {DAOFactory} */
@@ -99,6 +109,44 @@ function BlockBatch() {};
 /** type{string} */ BlockBatch.prototype.currentCursor;
 /** type{boolean} */ BlockBatch.prototype.complete;
 /** @interface @extends {DAOFactory} */
+function Mute() {};
+/** type{string} */ Mute.prototype.sink_uid;
+/** @interface @extends {DAOFactory} */
+function MuteBatch() {};
+/** type{string} */ MuteBatch.prototype.source_uid;
+/** type{string} */ MuteBatch.prototype.currentCursor;
+/** type{boolean} */ MuteBatch.prototype.complete;
+/** @interface @extends {DAOFactory} */
+function ActionBatch() {};
+/** type{string} */ ActionBatch.prototype.source_uid;
+/** type{string} */ ActionBatch.prototype.type;
+/** type{string} */ ActionBatch.prototype.cause;
+/** type{string} */ ActionBatch.prototype.cause_uid;
+/** type{string} */ ActionBatch.prototype.route;
+/** type{number} */ ActionBatch.prototype.size;
+/** type{number} */ ActionBatch.prototype.undo_of;
+/** type{Date} */ ActionBatch.prototype.undone_at;
+/** type{string} */ ActionBatch.prototype.error;
+/** @interface @extends {DAOFactory} */
+function StreamShard() {};
+/** type{number} */ StreamShard.prototype.shard;
+/** type{string} */ StreamShard.prototype.locked_by;
+/** type{Date} */ StreamShard.prototype.locked_until;
+/** @interface @extends {DAOFactory} */
+function StreamWorker() {};
+/** type{string} */ StreamWorker.prototype.worker_id;
+/** type{Date} */ StreamWorker.prototype.alive_until;
+/** @interface @extends {DAOFactory} */
+function AutoBlockKeyword() {};
+/** type{string} */ AutoBlockKeyword.prototype.uid;
+/** type{string} */ AutoBlockKeyword.prototype.kind;
+/** type{string} */ AutoBlockKeyword.prototype.pattern;
+/** type{string} */ AutoBlockKeyword.prototype.type;
+/** @interface @extends {DAOFactory} */
+function AllowlistEntry() {};
+/** type{string} */ AllowlistEntry.prototype.uid;
+/** type{string} */ AllowlistEntry.prototype.sink_uid;
+/** @interface @extends {DAOFactory} */
 function Action() {};
 /** type{string} */ Action.prototype.source_uid;
 /** type{string} */ Action.prototype.sink_uid;
@@ -106,20 +154,43 @@ function Action() {};
 /** type{string} */ Action.prototype.status;
 /** type{string} */ Action.prototype.cause;
 /** type{string} */ Action.prototype.cause_uid;
+/** type{string} */ Action.prototype.rule_name;
+/** type{string} */ Action.prototype.cause_tweet_id;
+/** type{number} */ Action.prototype.attempts;
+/** type{number} */ Action.prototype.last_error_code;
+/** type{Date} */ Action.prototype.next_attempt_at;
+/** type{string} */ Action.prototype.locked_by;
+/** type{Date} */ Action.prototype.locked_until;
+/** type{Date} */ Action.prototype.expires_at;
+/** type{boolean} */ Action.prototype.expired;
+/** type{number} */ Action.prototype.action_batch_id;
 /** type{string} */ Action.prototype.PENDING;
 /** type{string} */ Action.prototype.DONE;
 /** type{string} */ Action.prototype.CANCELLED_FOLLOWING;
+/** type{string} */ Action.prototype.CANCELLED_FOLLOWER;
 /** type{string} */ Action.prototype.CANCELLED_SUSPENDED;
 /** type{string} */ Action.prototype.CANCELLED_DUPLICATE;
 /** type{string} */ Action.prototype.CANCELLED_UNBLOCKED;
 /** type{string} */ Action.prototype.CANCELLED_SELF;
+/** type{string} */ Action.prototype.CANCELLED_ALLOWLISTED;
 /** type{string} */ Action.prototype.DEFERRED_TARGET_SUSPENDED;
 /** type{string} */ Action.prototype.DEFERRED_SOURCE_DEACTIVATED;
+/** type{string} */ Action.prototype.CANCELLED_BY_USER;
+/** type{string} */ Action.prototype.FAILED;
 /** type{string} */ Action.prototype.BLOCK;
 /** type{string} */ Action.prototype.UNBLOCK;
+/** type{string} */ Action.prototype.MUTE;
+/** type{string} */ Action.prototype.UNMUTE;
 /** type{string} */ Action.prototype.BULK_MANUAL_BLOCK;
 /** type{string} */ Action.prototype.NEW_ACCOUNT;
 /** type{string} */ Action.prototype.LOW_FOLLOWERS;
+/** type{string} */ Action.prototype.DEFAULT_PROFILE_IMAGE;
+/** type{string} */ Action.prototype.LOW_STATUSES;
+/** type{string} */ Action.prototype.FOLLOW_RATIO;
+/** type{string} */ Action.prototype.RULE;
+/** type{string} */ Action.prototype.KEYWORD;
+/** type{string} */ Action.prototype.EXPIRY;
+/** type{string} */ Action.prototype.UNDO;
 
 /** An Express request object
  * @interface */
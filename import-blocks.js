@@ -0,0 +1,337 @@
+'use strict';
+(function() {
+
+/**
+ * Import a list of accounts to block into the Actions table, so they go through
+ * the same checks (following, previously unblocked, duplicate) as every other
+ * block, and show up on /actions.
+ *
+ * Accepts either:
+ *  - A CSV of uids or screen names, one per line. If the first line is a
+ *    header naming a uid, user_id, id or screen_name column, only that column
+ *    is used, so a CSV from /show-blocks/:slug.csv can be imported directly.
+ *  - The block.js file from a Twitter archive, which holds a list of
+ *    {"blocking": {"accountId": "..."}} objects.
+ */
+var Q = require('q'),
+    _ = require('sequelize').Utils._,
+    actions = require('./actions'),
+    rateLimit = require('./rate-limit'),
+    updateUsers = require('./update-users'),
+    setup = require('./setup');
+
+var logger = setup.logger,
+    Action = setup.Action,
+    ActionBatch = setup.ActionBatch;
+
+// The most accounts we'll accept in a single import.
+var MAX_IMPORT_SIZE = 25000;
+
+// How many times in a row a lookup waits out a users/lookup rate limit before
+// the import gives up. A full-size import needs about 250 lookups, which takes
+// a couple of rate limit windows.
+var MAX_RATE_LIMIT_WAITS = 5;
+
+var UID_COLUMNS = ['uid', 'user_id', 'id', 'accountid'];
+var SCREEN_NAME_COLUMNS = ['screen_name', 'screenname', 'username'];
+
+/**
+ * Remove surrounding whitespace and quotes from a CSV cell.
+ * @param {string} cell
+ * @return {string}
+ */
+function cleanCell(cell) {
+  return cell.trim().replace(/^"(.*)"$/, '$1').trim();
+}
+
+/**
+ * Parse the text of an import into uids and screen names.
+ *
+ * @param {string} text Contents of a CSV or a Twitter archive block.js file.
+ * @return {Object} An object with fields uids and screenNames, each an Array of
+ *   strings with duplicates removed, and invalid, a count of entries that were
+ *   neither.
+ */
+function parseImport(text) {
+  var uids = [];
+  var screenNames = [];
+  var invalid = 0;
+
+  // Twitter archive export. Rather than evaluating the file, which starts with
+  // a JavaScript assignment, just pick out the account ids.
+  if (/"accountId"\s*:/.test(text)) {
+    var accountIdRegex = /"accountId"\s*:\s*"(\d+)"/g;
+    var match;
+    while ((match = accountIdRegex.exec(text))) {
+      uids.push(match[1]);
+    }
+    return {
+      uids: _.uniq(uids),
+      screenNames: [],
+      invalid: 0
+    };
+  }
+
+  var lines = text.split(/\r?\n/).filter(function(line) {
+    return line.trim().length > 0;
+  });
+  var column = 0;
+  var columnIsUid = null;
+  if (lines.length > 0) {
+    var header = lines[0].split(',').map(function(cell) {
+      return cleanCell(cell).toLowerCase();
+    });
+    var uidColumn = _.findIndex(header, function(name) {
+      return _.contains(UID_COLUMNS, name);
+    });
+    var screenNameColumn = _.findIndex(header, function(name) {
+      return _.contains(SCREEN_NAME_COLUMNS, name);
+    });
+    if (uidColumn !== -1) {
+      column = uidColumn;
+      columnIsUid = true;
+      lines.shift();
+    } else if (screenNameColumn !== -1) {
+      column = screenNameColumn;
+      columnIsUid = false;
+      lines.shift();
+    }
+  }
+
+  lines.forEach(function(line) {
+    var cell = cleanCell(line.split(',')[column] || '');
+    if (columnIsUid !== false && /^\d{1,20}$/.test(cell)) {
+      uids.push(cell);
+    } else if (columnIsUid !== true && /^@?\w{1,15}$/.test(cell)) {
+      screenNames.push(cell.replace(/^@/, '').toLowerCase());
+    } else {
+      invalid++;
+    }
+  });
+  return {
+    uids: _.uniq(uids),
+    screenNames: _.uniq(screenNames),
+    invalid: invalid
+  };
+}
+
+/**
+ * Look up a batch of up to 100 screen names, storing the resulting users.
+ *
+ * @param {BtUser} btUser The user whose credentials to use.
+ * @param {Array.<string>} screenNames
+ * @return {Promise.<Array.<Object>>} JSON User objects for the accounts found.
+ *   Suspended and nonexistent accounts are simply missing.
+ */
+function lookupUsers(btUser, screenNames) {
+  return rateLimit.call(btUser, 'users', 'lookup', {
+      screen_name: screenNames.join(','),
+      skip_status: 1
+    }).spread(function(users, response) {
+      users.forEach(updateUsers.storeUser);
+      return users;
+    }).catch(function(err) {
+      // Twitter returns 404 when none of the requested users exist.
+      if (err.statusCode === 404) {
+        return [];
+      }
+      throw err;
+    });
+}
+
+/**
+ * Like lookupUsers, but just return uids.
+ *
+ * @param {BtUser} btUser The user whose credentials to use.
+ * @param {Array.<string>} screenNames
+ * @return {Promise.<Array.<string>>} Uids of the accounts found.
+ */
+function lookupScreenNames(btUser, screenNames) {
+  return lookupUsers(btUser, screenNames).then(function(users) {
+    return _.pluck(users, 'id_str');
+  });
+}
+
+/**
+ * Look up a batch of screen names, waiting for the rate limit window to reset
+ * and trying again if users/lookup is rate limited.
+ *
+ * @param {BtUser} btUser The user whose credentials to use.
+ * @param {Array.<string>} screenNames
+ * @param {number} waitsLeft How many more times to wait out a rate limit.
+ * @return {Promise.<Array.<string>>} Uids of the accounts found.
+ */
+function lookupScreenNamesWaiting(btUser, screenNames, waitsLeft) {
+  return lookupScreenNames(btUser, screenNames).catch(function(err) {
+    if (err.statusCode !== 429 || waitsLeft === 0) {
+      throw err;
+    }
+    var budget = rateLimit.getBudget(btUser.uid, 'users/lookup');
+    var waitMs = budget ? budget.reset - Date.now() : 15 * 60 * 1000;
+    logger.info('Import for', btUser, 'rate limited, waiting', waitMs, 'ms');
+    return Q.delay(Math.max(waitMs, 0) + 1000).then(function() {
+      return lookupScreenNamesWaiting(btUser, screenNames, waitsLeft - 1);
+    });
+  });
+}
+
+/**
+ * Record that part of an import failed, as an empty ActionBatch whose error
+ * shows up among the recent operations on /actions.
+ *
+ * @param {BtUser} btUser The user doing the import.
+ * @param {string} error What failed, for the user.
+ * @param {string} route What started the import.
+ * @return {Promise}
+ */
+function recordImportFailure(btUser, error, route) {
+  return Q(ActionBatch.create({
+    source_uid: btUser.uid,
+    type: Action.BLOCK,
+    cause: Action.IMPORT,
+    route: route,
+    size: 0,
+    error: error + ' Import them again to retry.'
+  }));
+}
+
+/**
+ * Enqueue blocks of some of an import's uids. queueActions logs its own errors
+ * and resolves to null, so record a failure for the user in that case.
+ *
+ * @param {BtUser} btUser The user doing the import.
+ * @param {Array.<string>} uids
+ * @param {string} route What started the import.
+ * @return {Promise.<Number>} The number of blocks queued.
+ */
+function queueImportBlocks(btUser, uids, route) {
+  return actions.queueActions(
+    btUser.uid, uids, Action.BLOCK, Action.IMPORT, null, null, route
+  ).then(function(result) {
+    if (result) {
+      return result.queued;
+    }
+    return recordImportFailure(btUser,
+      'Could not queue blocks of ' + uids.length + ' accounts.', route
+    ).thenResolve(0);
+  });
+}
+
+/**
+ * Resolve screen names to uids in batches of 100, one batch at a time, and
+ * enqueue blocks for each batch as it's resolved. If a lookup fails, the
+ * screen names not yet resolved are recorded as an import failure.
+ *
+ * @param {BtUser} btUser The user doing the import.
+ * @param {Array.<string>} screenNames
+ * @param {string} route What started the import, for the ActionBatches.
+ * @return {Promise.<Number>} The number of blocks queued.
+ */
+function blockScreenNames(btUser, screenNames, route) {
+  if (screenNames.length === 0) {
+    return Q.resolve(0);
+  }
+  var batches = [];
+  for (var i = 0; i < screenNames.length; i += 100) {
+    batches.push(screenNames.slice(i, i + 100));
+  }
+  var found = 0;
+  var looked = 0;
+  var queued = 0;
+  return batches.reduce(function(previous, batch) {
+    return previous.then(function() {
+      return lookupScreenNamesWaiting(btUser, batch, MAX_RATE_LIMIT_WAITS);
+    }).then(function(uids) {
+      looked += batch.length;
+      found += uids.length;
+      if (uids.length > 0) {
+        return queueImportBlocks(btUser, uids, route).then(function(count) {
+          queued += count;
+        });
+      }
+    });
+  }, Q.resolve()).then(function() {
+    logger.info('Import for', btUser, 'found', found, 'of',
+      screenNames.length, 'screen names.');
+    return queued;
+  }).catch(function(err) {
+    logger.error('Error /users/lookup during import for', btUser,
+      err.statusCode, err.data || err);
+    return recordImportFailure(btUser,
+      'Could not look up ' + (screenNames.length - looked) + ' screen names' +
+      (err.statusCode ? ' (Twitter error ' + err.statusCode + ').' : '.'),
+      route
+    ).then(function() {
+      return queued;
+    });
+  });
+}
+
+/**
+ * Enqueue blocks for everything in a parsed import. Uids are queued right
+ * away; screen names are queued as they are looked up, which can take a while
+ * for large imports. Each of those steps gets its own ActionBatch.
+ *
+ * @param {BtUser} btUser The user doing the import.
+ * @param {Object} parsed The result of parseImport.
+ * @param {string} route What started the import, e.g. '/import-blocks.json'.
+ * @return {Promise.<Number>} Resolves to the number of accounts queued, once
+ *   all screen names have been looked up.
+ */
+function importBlocks(btUser, parsed, route) {
+  logger.info('Importing', parsed.uids.length, 'uids and',
+    parsed.screenNames.length, 'screen names for', btUser);
+  var uidsPromise = parsed.uids.length === 0 ? Q.resolve(0) :
+    queueImportBlocks(btUser, parsed.uids, route);
+  return uidsPromise.then(function(uidsQueued) {
+    return blockScreenNames(btUser, parsed.screenNames, route
+    ).then(function(screenNamesQueued) {
+      return uidsQueued + screenNamesQueued;
+    });
+  });
+}
+
+module.exports = {
+  MAX_IMPORT_SIZE: MAX_IMPORT_SIZE,
+  importBlocks: importBlocks,
+  lookupUsers: lookupUsers,
+  parseImport: parseImport
+};
+
+if (require.main === module) {
+  // A micro sanity test.
+  var assert = require('assert');
+  assert.deepEqual(parseImport('12345\n@Foo\nbar_baz\n12345\nnot a name\n'), {
+    uids: ['12345'],
+    screenNames: ['foo', 'bar_baz'],
+    invalid: 1
+  });
+  assert.deepEqual(parseImport(
+      'uid,screen_name,followers_count\r\n' +
+      '111,alice,5\r\n' +
+      '222,,\r\n'), {
+    uids: ['111', '222'],
+    screenNames: [],
+    invalid: 0
+  });
+  assert.deepEqual(parseImport('screen_name\n@carol\n'), {
+    uids: [],
+    screenNames: ['carol'],
+    invalid: 0
+  });
+  assert.deepEqual(parseImport(
+      'window.YTD.block.part0 = [ {\n' +
+      '  "blocking" : {\n' +
+      '    "accountId" : "333",\n' +
+      '    "userLink" : "https://twitter.com/intent/user?user_id=333"\n' +
+      '  }\n' +
+      '}, {\n' +
+      '  "blocking" : { "accountId" : "444" }\n' +
+      '} ]'), {
+    uids: ['333', '444'],
+    screenNames: [],
+    invalid: 0
+  });
+  console.log('Done!');
+}
+})();
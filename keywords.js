@@ -0,0 +1,233 @@
+'use strict';
+(function() {
+
+/**
+ * User-defined keyword auto-blocks. Each AutoBlockKeyword has a kind, a
+ * pattern and a type, the action to take on a match ('block' or 'mute'):
+ *   keyword: A word or hashtag, matched case-insensitively as a whole word,
+ *     e.g. "foo" matches "Foo!" but not "food".
+ *   phrase: Several words, matched case-insensitively with any whitespace
+ *     between them.
+ *   regex: A regular expression, matched case-insensitively. These run on
+ *     linear-regex.js rather than RegExp, so a pattern can't take exponential
+ *     time to match, and only support the syntax described there.
+ * They're matched by stream.js against the text of tweets that mention the
+ * user, with t.co links expanded and hashtags included.
+ */
+var _ = require('sequelize').Utils._,
+    linearRegex = require('./linear-regex.js');
+
+var KINDS = ['keyword', 'phrase', 'regex'];
+var TYPES = ['block', 'mute'];
+
+// Limits to keep keyword lists small and quick to match.
+var MAX_KEYWORDS = 100;
+// Patterns are recorded in Actions.rule_name, a VARCHAR(100).
+var MAX_PATTERN_LENGTH = 100;
+
+/**
+ * Escape a string for use in a regular expression.
+ * @param {string} text
+ * @return {string}
+ */
+function escapeRegExp(text) {
+  return text.replace(/[\\^$.*+?()[\]{}|\/-]/g, '\\$&');
+}
+
+/**
+ * Compile a keyword's pattern into a function that tests a text against it.
+ * @param {Object} keyword An object with kind and pattern.
+ * @return {Function} A function from a string to whether it matches.
+ * @throws {Error} If a regex pattern is invalid or unsupported.
+ */
+function compile(keyword) {
+  var pattern = keyword.pattern.trim();
+  var regex;
+  if (keyword.kind === 'keyword') {
+    // \b doesn't work next to '#' or non-ASCII letters, so spell out what
+    // can't be on either side of the word.
+    regex = new RegExp(
+      '(^|[^\\w#@])' + escapeRegExp(pattern) + '(?![\\w])', 'i');
+  } else if (keyword.kind === 'phrase') {
+    regex = new RegExp(
+      pattern.split(/\s+/).map(escapeRegExp).join('\\s+'), 'i');
+  } else {
+    var program = linearRegex.compile(pattern);
+    return function(text) {
+      return linearRegex.match(program, text);
+    };
+  }
+  return regex.test.bind(regex);
+}
+
+/**
+ * Check that a keyword is well-formed.
+ *
+ * @param {Object} keyword An object with kind, pattern and type.
+ * @return {string|null} A description of the problem, or null if the keyword
+ *   is valid.
+ */
+function validateKeyword(keyword) {
+  if (!_.isObject(keyword) || !_.contains(KINDS, keyword.kind)) {
+    return 'Kind must be one of ' + KINDS.join(', ') + '.';
+  } else if (!_.contains(TYPES, keyword.type)) {
+    return 'Type must be one of ' + TYPES.join(', ') + '.';
+  } else if (!_.isString(keyword.pattern) || !keyword.pattern.trim()) {
+    return 'Pattern must not be empty.';
+  } else if (keyword.pattern.length > MAX_PATTERN_LENGTH) {
+    return 'Patterns can be at most ' + MAX_PATTERN_LENGTH + ' characters.';
+  } else if (keyword.kind === 'keyword' && /\s/.test(keyword.pattern.trim())) {
+    return 'Keywords must be a single word. Use a phrase for several words.';
+  } else if (keyword.kind === 'regex') {
+    try {
+      compile(keyword);
+    } catch (e) {
+      return 'Invalid regex: ' + e.message + '.';
+    }
+  }
+  return null;
+}
+
+/**
+ * Get the text to match keywords against from a tweet: its text with t.co
+ * links replaced by the URLs they point to, followed by its hashtags.
+ *
+ * @param {Object} tweet A JSON Tweet object as specified by the Twitter API.
+ * @return {string}
+ */
+function tweetText(tweet) {
+  var text = tweet.text || '';
+  var entities = tweet.entities || {};
+  (entities.urls || []).forEach(function(url) {
+    if (url.url && url.expanded_url) {
+      text = text.split(url.url).join(url.expanded_url);
+    }
+  });
+  var hashtags = (entities.hashtags || []).map(function(hashtag) {
+    return '#' + hashtag.text;
+  });
+  return [text].concat(hashtags).join(' ');
+}
+
+/**
+ * Compile a user's keywords for firstMatch, once, rather than on every
+ * mention.
+ *
+ * @param {Array.<Object>} keywords Objects with kind, pattern and type, e.g.
+ *   AutoBlockKeyword instances. Invalid ones are left out.
+ * @return {Array.<Object>} Objects with keyword, one of keywords, and matches,
+ *   a function from a string to whether the keyword matches it.
+ */
+function compileKeywords(keywords) {
+  return keywords.filter(function(keyword) {
+    return !validateKeyword(keyword);
+  }).map(function(keyword) {
+    return {
+      keyword: keyword,
+      matches: compile(keyword)
+    };
+  });
+}
+
+/**
+ * Find the first keyword that matches any of a list of tweets.
+ *
+ * @param {Array.<Object>} compiled Keywords, as returned by compileKeywords.
+ * @param {Array.<Object>} tweets JSON Tweet objects.
+ * @return {Object|null} An object with keyword, the first matching keyword,
+ *   and tweet, the tweet it matched, or null if none match.
+ */
+function firstMatch(compiled, tweets) {
+  var texts = tweets.map(tweetText);
+  for (var i = 0; i < compiled.length; i++) {
+    for (var j = 0; j < tweets.length; j++) {
+      if (compiled[i].matches(texts[j])) {
+        return {
+          keyword: compiled[i].keyword,
+          tweet: tweets[j]
+        };
+      }
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  KINDS: KINDS,
+  MAX_KEYWORDS: MAX_KEYWORDS,
+  TYPES: TYPES,
+  compileKeywords: compileKeywords,
+  firstMatch: firstMatch,
+  tweetText: tweetText,
+  validateKeyword: validateKeyword
+};
+
+/**
+ * A micro sanity test. The mentions are made up: one with a hashtag and a t.co
+ * link to expand, and one that contains "Goaway" and "Food" as plain words, to
+ * check that keywords only match whole words and hashtags only match hashtags.
+ */
+function sanityTest() {
+  var assert = require('assert');
+  var hashtagMention = {
+    id_str: '537215632164610048',
+    text: '@twestact3 nobody wants you here #GoAway http://t.co/AbC123xyz',
+    entities: {
+      hashtags: [{ text: 'GoAway', indices: [33, 40] }],
+      urls: [{
+        url: 'http://t.co/AbC123xyz',
+        expanded_url: 'http://example.com/pile-on',
+        indices: [41, 62]
+      }]
+    }
+  };
+  var friendlyMention = {
+    id_str: '537215911022923776',
+    text: '@twestact3 Goaway? No, stay! Food at 8.',
+    entities: { hashtags: [], urls: [] }
+  };
+  assert.equal(tweetText(hashtagMention),
+    '@twestact3 nobody wants you here #GoAway http://example.com/pile-on ' +
+    '#GoAway');
+
+  var goAwayTag = { kind: 'keyword', pattern: '#goaway', type: 'block' };
+  var goAwayWord = { kind: 'keyword', pattern: 'goaway', type: 'block' };
+  var foo = { kind: 'keyword', pattern: 'foo', type: 'block' };
+  var phrase = { kind: 'phrase', pattern: 'wants   you here', type: 'mute' };
+  var link = { kind: 'regex', pattern: 'example\\.com/pile', type: 'block' };
+  assert.equal(validateKeyword(goAwayTag), null);
+  assert.equal(validateKeyword(phrase), null);
+  assert.equal(validateKeyword(link), null);
+  assert.ok(validateKeyword({ kind: 'word', pattern: 'x', type: 'block' }));
+  assert.ok(validateKeyword({ kind: 'keyword', pattern: 'x', type: 'mute!' }));
+  assert.ok(validateKeyword({ kind: 'keyword', pattern: ' ', type: 'block' }));
+  assert.ok(validateKeyword({ kind: 'keyword', pattern: 'a b', type: 'mute' }));
+  assert.ok(validateKeyword({ kind: 'regex', pattern: '(', type: 'block' }));
+  assert.ok(validateKeyword({ kind: 'regex', pattern: '(?=a)', type: 'mute' }));
+
+  var test = function(keywords, tweets) {
+    return firstMatch(compileKeywords(keywords), tweets);
+  };
+  assert.equal(test([goAwayTag], [friendlyMention]), null);
+  assert.equal(test([goAwayWord], [friendlyMention]).tweet, friendlyMention);
+  assert.equal(test([foo], [friendlyMention]), null);
+  assert.equal(test([goAwayTag], [hashtagMention]).tweet, hashtagMention);
+  assert.equal(test([phrase], [hashtagMention]).keyword, phrase);
+  assert.equal(test([foo, link], [friendlyMention, hashtagMention]).keyword,
+    link);
+  assert.equal(compileKeywords([
+    { kind: 'regex', pattern: '(', type: 'block' }, foo
+  ])[0].keyword, foo);
+  // Patterns that backtrack catastrophically in RegExp are fine here.
+  var slow = { kind: 'regex', pattern: '^(a|a)*$', type: 'block' };
+  assert.equal(validateKeyword(slow), null);
+  assert.equal(test([slow], [{
+    text: new Array(141).join('a') + '!'
+  }]), null);
+  console.log('Done!');
+}
+
+if (require.main === module) {
+  sanityTest();
+}
+})();
@@ -0,0 +1,540 @@
+'use strict';
+(function() {
+
+/**
+ * A small regular expression engine whose matching time is linear in the
+ * length of the text, for running user-supplied patterns (see keywords.js)
+ * against untrusted tweets. JavaScript's own RegExp backtracks, so patterns
+ * like (a|a)*$ can take exponential time on a short string, and would stall
+ * every stream in a stream.js worker.
+ *
+ * Patterns are compiled to a Thompson NFA and simulated one text character at
+ * a time, keeping the set of states reached (a "Pike VM" without captures), so
+ * matching takes O(text length * program size). Matching always ignores case
+ * and looks for the pattern anywhere in the text.
+ *
+ * Supported syntax is a subset of JavaScript's:
+ *   literals, and \ before any punctuation to match it literally
+ *   .  [abc]  [^a-z0-9]  \d \D \w \W \s \S  \n \t \r
+ *   ^  $  \b  \B
+ *   (...)  (?:...)  |
+ *   *  +  ?  {n}  {n,}  {n,m}, optionally followed by ? (which makes no
+ *     difference to whether a pattern matches)
+ * Backreferences and lookarounds are rejected, as are repeat counts over
+ * MAX_REPEAT and patterns that compile to more than MAX_PROGRAM_SIZE states.
+ */
+var _ = require('sequelize').Utils._;
+
+// Largest count allowed in {n,m}.
+var MAX_REPEAT = 20;
+// Most NFA states a pattern may compile to. Counted repeats copy their
+// subpattern, so this bounds both memory and matching time.
+var MAX_PROGRAM_SIZE = 400;
+
+/**
+ * @param {string} ch A single character.
+ * @return {boolean}
+ */
+function isWordChar(ch) {
+  return /[A-Za-z0-9_]/.test(ch);
+}
+
+var CLASS_ESCAPES = {
+  d: function(ch) { return ch >= '0' && ch <= '9'; },
+  w: isWordChar,
+  s: function(ch) { return /\s/.test(ch); }
+};
+
+var CHAR_ESCAPES = {
+  n: '\n',
+  t: '\t',
+  r: '\r',
+  f: '\f',
+  v: '\v'
+};
+
+/**
+ * Parse a pattern into a syntax tree. Nodes are objects with a type of:
+ *   'char', with test, a function from a character to whether it matches;
+ *   'assert', with kind 'bol', 'eol', 'wordb' or 'notwordb';
+ *   'cat', with items, a list of nodes to match in order;
+ *   'alt', with options, a list of nodes of which one must match;
+ *   'repeat', with node, min and max, which may be Infinity.
+ *
+ * @param {string} pattern
+ * @return {Object} The root node.
+ * @throws {Error} If the pattern is invalid or unsupported, with a message
+ *   that can be shown to users.
+ */
+function parse(pattern) {
+  var pos = 0;
+
+  function fail(message) {
+    throw new Error(message + ' (at character ' + (pos + 1) + ')');
+  }
+
+  function peek() {
+    return pattern.charAt(pos);
+  }
+
+  function parseAlt() {
+    var options = [parseSeq()];
+    while (peek() === '|') {
+      pos++;
+      options.push(parseSeq());
+    }
+    return options.length === 1 ? options[0] :
+      { type: 'alt', options: options };
+  }
+
+  function parseSeq() {
+    var items = [];
+    while (pos < pattern.length && peek() !== '|' && peek() !== ')') {
+      var atom = parseAtom();
+      var quantifier = parseQuantifier();
+      if (quantifier) {
+        if (atom.type === 'assert') {
+          fail('Nothing to repeat');
+        }
+        atom = {
+          type: 'repeat',
+          node: atom,
+          min: quantifier.min,
+          max: quantifier.max
+        };
+      }
+      items.push(atom);
+    }
+    return { type: 'cat', items: items };
+  }
+
+  /**
+   * Parse a {n}, {n,} or {n,m} at pos, if there is one.
+   * @return {Object|null} An object with min and max, or null if the text at
+   *   pos isn't a counted repeat, in which case { is a literal.
+   */
+  function parseCount() {
+    var match = /^\{(\d+)(,(\d*))?\}/.exec(pattern.slice(pos));
+    if (!match) {
+      return null;
+    }
+    var min = parseInt(match[1], 10);
+    var max = !match[2] ? min :
+      match[3] === '' ? Infinity : parseInt(match[3], 10);
+    if (min > MAX_REPEAT || (max !== Infinity && max > MAX_REPEAT)) {
+      fail('Repeat counts can be at most ' + MAX_REPEAT);
+    } else if (min > max) {
+      fail('Repeat count out of order');
+    }
+    pos += match[0].length;
+    return { min: min, max: max };
+  }
+
+  function parseQuantifier() {
+    var quantifier = null;
+    var ch = peek();
+    if (ch === '*') {
+      quantifier = { min: 0, max: Infinity };
+      pos++;
+    } else if (ch === '+') {
+      quantifier = { min: 1, max: Infinity };
+      pos++;
+    } else if (ch === '?') {
+      quantifier = { min: 0, max: 1 };
+      pos++;
+    } else if (ch === '{') {
+      quantifier = parseCount();
+    }
+    if (quantifier && peek() === '?') {
+      // Lazy and greedy repeats match the same texts.
+      pos++;
+    }
+    return quantifier;
+  }
+
+  function literal(ch) {
+    var lower = ch.toLowerCase();
+    return {
+      type: 'char',
+      test: function(c) {
+        return c.toLowerCase() === lower;
+      }
+    };
+  }
+
+  function parseAtom() {
+    var ch = peek();
+    if (ch === '(') {
+      pos++;
+      if (peek() === '?') {
+        if (pattern.charAt(pos + 1) !== ':') {
+          fail('Lookarounds are not supported');
+        }
+        pos += 2;
+      }
+      var node = parseAlt();
+      if (peek() !== ')') {
+        fail('Missing )');
+      }
+      pos++;
+      return node;
+    } else if (ch === ')') {
+      fail('Unmatched )');
+    } else if (ch === '*' || ch === '+' || ch === '?' ||
+        (ch === '{' && parseCount())) {
+      fail('Nothing to repeat');
+    } else if (ch === '[') {
+      pos++;
+      return parseClass();
+    } else if (ch === '.') {
+      pos++;
+      return {
+        type: 'char',
+        test: function(c) {
+          return c !== '\n' && c !== '\r';
+        }
+      };
+    } else if (ch === '^') {
+      pos++;
+      return { type: 'assert', kind: 'bol' };
+    } else if (ch === '$') {
+      pos++;
+      return { type: 'assert', kind: 'eol' };
+    } else if (ch === '\\') {
+      pos++;
+      return parseEscape();
+    }
+    pos++;
+    return literal(ch);
+  }
+
+  function parseEscape() {
+    var ch = peek();
+    pos++;
+    if (ch === '') {
+      fail('\\ at end of pattern');
+    } else if (ch === 'b' || ch === 'B') {
+      return { type: 'assert', kind: ch === 'b' ? 'wordb' : 'notwordb' };
+    } else if (CLASS_ESCAPES[ch.toLowerCase()]) {
+      return { type: 'char', test: classEscape(ch) };
+    } else if (CHAR_ESCAPES[ch]) {
+      return literal(CHAR_ESCAPES[ch]);
+    } else if (/[A-Za-z0-9]/.test(ch)) {
+      fail('Unsupported escape \\' + ch);
+    }
+    return literal(ch);
+  }
+
+  /**
+   * @param {string} ch One of d, D, w, W, s or S.
+   * @return {Function} A test for characters in the class.
+   */
+  function classEscape(ch) {
+    var test = CLASS_ESCAPES[ch.toLowerCase()];
+    if (ch === ch.toLowerCase()) {
+      return test;
+    }
+    return function(c) {
+      return !test(c);
+    };
+  }
+
+  function parseClass() {
+    var negate = false;
+    if (peek() === '^') {
+      negate = true;
+      pos++;
+    }
+    var tests = [];
+    while (peek() !== ']') {
+      if (pos >= pattern.length) {
+        fail('Missing ]');
+      }
+      var start = parseClassChar();
+      if (typeof start === 'string' && peek() === '-' &&
+          pattern.charAt(pos + 1) !== ']' && pos + 1 < pattern.length) {
+        pos++;
+        var end = parseClassChar();
+        if (typeof end !== 'string') {
+          fail('Invalid range in class');
+        } else if (start > end) {
+          fail('Range out of order in class');
+        }
+        tests.push(rangeTest(start, end));
+      } else if (typeof start === 'string') {
+        tests.push(rangeTest(start, start));
+      } else {
+        tests.push(start);
+      }
+    }
+    pos++;
+    var inClass = function(c) {
+      return _.some(tests, function(test) {
+        return test(c);
+      });
+    };
+    return {
+      type: 'char',
+      test: function(c) {
+        var found = inClass(c) || inClass(c.toLowerCase()) ||
+          inClass(c.toUpperCase());
+        return negate ? !found : found;
+      }
+    };
+  }
+
+  function rangeTest(start, end) {
+    return function(c) {
+      return c >= start && c <= end;
+    };
+  }
+
+  /**
+   * Parse one character or escape inside a class.
+   * @return {string|Function} The character, or a test for an escape like \d.
+   */
+  function parseClassChar() {
+    var ch = peek();
+    pos++;
+    if (ch !== '\\') {
+      return ch;
+    }
+    var escaped = peek();
+    pos++;
+    if (escaped === '') {
+      fail('\\ at end of pattern');
+    } else if (CLASS_ESCAPES[escaped.toLowerCase()]) {
+      return classEscape(escaped);
+    } else if (CHAR_ESCAPES[escaped]) {
+      return CHAR_ESCAPES[escaped];
+    } else if (escaped === 'b') {
+      return '\b';
+    } else if (/[A-Za-z0-9]/.test(escaped)) {
+      fail('Unsupported escape \\' + escaped);
+    }
+    return escaped;
+  }
+
+  var root = parseAlt();
+  if (pos < pattern.length) {
+    fail('Unmatched )');
+  }
+  return root;
+}
+
+/**
+ * Compile a syntax tree from parse into a program for match. Instructions are
+ * objects with an op of:
+ *   'char': Consume a character if test(character), and go to the next one.
+ *   'assert': Go to the next instruction if the assertion holds here.
+ *   'split': Go to both x and y.
+ *   'jmp': Go to x.
+ *   'match': The pattern matched.
+ *
+ * @param {Object} root
+ * @return {Array.<Object>}
+ * @throws {Error} If the program would be larger than MAX_PROGRAM_SIZE.
+ */
+function compileTree(root) {
+  var program = [];
+
+  function emit(instruction) {
+    if (program.length >= MAX_PROGRAM_SIZE) {
+      throw new Error('Pattern is too complex');
+    }
+    program.push(instruction);
+    return instruction;
+  }
+
+  function compileNode(node) {
+    if (node.type === 'char') {
+      emit({ op: 'char', test: node.test });
+    } else if (node.type === 'assert') {
+      emit({ op: 'assert', kind: node.kind });
+    } else if (node.type === 'cat') {
+      node.items.forEach(compileNode);
+    } else if (node.type === 'alt') {
+      var jumps = [];
+      node.options.forEach(function(option, i) {
+        if (i === node.options.length - 1) {
+          compileNode(option);
+          return;
+        }
+        var split = emit({ op: 'split', x: program.length + 1 });
+        compileNode(option);
+        jumps.push(emit({ op: 'jmp' }));
+        split.y = program.length;
+      });
+      jumps.forEach(function(jmp) {
+        jmp.x = program.length;
+      });
+    } else if (node.type === 'repeat') {
+      for (var i = 0; i < node.min; i++) {
+        compileNode(node.node);
+      }
+      if (node.max === Infinity) {
+        var loop = emit({ op: 'split', x: program.length + 1 });
+        compileNode(node.node);
+        emit({ op: 'jmp', x: program.indexOf(loop) });
+        loop.y = program.length;
+      } else {
+        var splits = [];
+        for (var j = node.min; j < node.max; j++) {
+          splits.push(emit({ op: 'split', x: program.length + 1 }));
+          compileNode(node.node);
+        }
+        splits.forEach(function(split) {
+          split.y = program.length;
+        });
+      }
+    }
+  }
+
+  compileNode(root);
+  emit({ op: 'match' });
+  return program;
+}
+
+/**
+ * Compile a pattern.
+ *
+ * @param {string} pattern In the syntax described above.
+ * @return {Array.<Object>} A program for match.
+ * @throws {Error} If the pattern is invalid, unsupported or too complex, with
+ *   a message that can be shown to users.
+ */
+function compile(pattern) {
+  return compileTree(parse(pattern));
+}
+
+/**
+ * Check whether an assertion holds at a position in a text.
+ * @param {string} kind
+ * @param {string} text
+ * @param {number} pos
+ * @return {boolean}
+ */
+function assertionHolds(kind, text, pos) {
+  if (kind === 'bol') {
+    return pos === 0;
+  } else if (kind === 'eol') {
+    return pos === text.length;
+  }
+  var before = pos > 0 && isWordChar(text.charAt(pos - 1));
+  var after = pos < text.length && isWordChar(text.charAt(pos));
+  return (before !== after) === (kind === 'wordb');
+}
+
+/**
+ * Find out whether a compiled pattern matches anywhere in a text.
+ *
+ * @param {Array.<Object>} program As returned by compile.
+ * @param {string} text
+ * @return {boolean}
+ */
+function match(program, text) {
+  // onList[pc] is the step at which pc was last added to a list, so each
+  // instruction is on a list at most once.
+  var onList = new Array(program.length);
+  var step = 0;
+
+  /**
+   * Add the instruction at pc, and everything reachable from it without
+   * consuming a character, to list. The char instructions among them are
+   * the states the NFA can be in at pos.
+   * @return {boolean} Whether a match instruction was reached.
+   */
+  function addThread(list, pc, pos) {
+    var stack = [pc];
+    var matched = false;
+    while (stack.length > 0) {
+      pc = stack.pop();
+      if (onList[pc] === step) {
+        continue;
+      }
+      onList[pc] = step;
+      var instruction = program[pc];
+      if (instruction.op === 'char') {
+        list.push(pc);
+      } else if (instruction.op === 'match') {
+        matched = true;
+      } else if (instruction.op === 'jmp') {
+        stack.push(instruction.x);
+      } else if (instruction.op === 'split') {
+        stack.push(instruction.y, instruction.x);
+      } else if (assertionHolds(instruction.kind, text, pos)) {
+        stack.push(pc + 1);
+      }
+    }
+    return matched;
+  }
+
+  var list = [];
+  for (var pos = 0; ; pos++) {
+    // Start a new attempt at every position, so the pattern can match
+    // anywhere.
+    if (addThread(list, 0, pos)) {
+      return true;
+    }
+    if (pos === text.length) {
+      return false;
+    }
+    var ch = text.charAt(pos);
+    var next = [];
+    step++;
+    for (var i = 0; i < list.length; i++) {
+      if (program[list[i]].test(ch) && addThread(next, list[i] + 1, pos + 1)) {
+        return true;
+      }
+    }
+    list = next;
+  }
+}
+
+module.exports = {
+  MAX_PROGRAM_SIZE: MAX_PROGRAM_SIZE,
+  MAX_REPEAT: MAX_REPEAT,
+  compile: compile,
+  match: match
+};
+
+if (require.main === module) {
+  // A micro sanity test.
+  var assert = require('assert');
+  var test = function(pattern, text) {
+    return match(compile(pattern), text);
+  };
+  assert.ok(test('example\\.com/pile', 'see http://EXAMPLE.com/pile-on'));
+  assert.ok(!test('example\\.com', 'exampleXcom'));
+  assert.ok(test('^@foo\\b', '@Foo bar'));
+  assert.ok(!test('^@foo\\b', '@foobar'));
+  assert.ok(test('go+ away$', 'please gooo AWAY'));
+  assert.ok(!test('go+ away$', 'gooo away now'));
+  assert.ok(test('(cat|dog)s?\\d{2,3}', 'Dogs123'));
+  assert.ok(!test('(cat|dog)s?\\d{2,3}', 'dogs1'));
+  assert.ok(test('[^a-z ]{3}', 'abc 123'));
+  assert.ok(!test('[^a-z ]{3}', 'ABC def'));
+  assert.ok(test('x(?:ab)*y', 'xababy'));
+  assert.ok(test('a{2,}', 'baab'));
+  assert.ok(!test('a{2,}', 'bab'));
+  assert.ok(test('', 'anything'));
+  assert.ok(test('\\w+@\\w+\\.com', 'mail bob@example.com'));
+  ['(?=a)', '(a)\\1', 'a**', '*a', '(a', 'a)', '[a', 'a{2,1}', 'a{21}',
+   '[z-a]', '\\', '\\p{L}', '(a{20}){20}'].forEach(function(pattern) {
+    assert.throws(function() {
+      compile(pattern);
+    }, Error, pattern);
+  });
+  // Patterns that take exponential or high polynomial time with backtracking
+  // must still be quick, even on long texts.
+  var long = new Array(2001).join('a') + '!';
+  var started = Date.now();
+  ['^(a|a)*$', '^(a+)+$', '^(\\w*\\s?)*$', new Array(21).join('\\w*') + 'x',
+   '^(.*a){15}$'].forEach(function(pattern) {
+    assert.ok(!test(pattern, long), pattern);
+  });
+  assert.ok(test('^(a|a)*!$', long));
+  assert.ok(Date.now() - started < 2000, 'Took ' + (Date.now() - started));
+  console.log('Done!');
+}
+})();
@@ -1,55 +1,33 @@
 'use strict';
 (function() {
 /**
- * Script to block a list of screen names using credentials for a given user id
+ * Script to block a list of screen names using credentials for a given user id.
+ * The file can be anything /import-blocks accepts. Blocks are queued in the
+ * Actions table like any other import, and performed by actions.js.
  */
-var twitterAPI = require('node-twitter-api'),
-    fs = require('fs'),
+var fs = require('fs'),
+    Q = require('q'),
+    importBlocks = require('./import-blocks'),
     setup = require('./setup');
 
-var twitter = setup.twitter,
-    logger = setup.logger,
-    BtUser = setup.BtUser,
-    TwitterUser = setup.TwitterUser,
-    BlockBatch = setup.BlockBatch,
-    Block = setup.Block;
+var logger = setup.logger,
+    BtUser = setup.BtUser;
 
 if (process.argv.length < 4) {
   logger.fatal('Usage: js many-blocks.js UID FILE_SCREEN_NAMES');
   process.exit();
 }
 
-BtUser
-  .find(process.argv[2])
-  .error(function(err) {
+Q(BtUser.find(process.argv[2]))
+  .then(function(user) {
+    var parsed = importBlocks.parseImport(
+      fs.readFileSync(process.argv[3]).toString());
+    return importBlocks.importBlocks(user, parsed, 'many-blocks.js');
+  }).then(function(count) {
+    logger.info('Queued', count, 'blocks.');
+  }).catch(function(err) {
     logger.error(err);
-  }).success(function(user) {
-    var filename = process.argv[3];
-
-    var accessToken = user.access_token;
-    var accessTokenSecret = user.access_token_secret;
-    var targets = fs.readFileSync(filename)
-      .toString().replace(/\n$/, '').split('\n');
-
-    var blockAndNext = function(targets) {
-      if (targets.length > 0) {
-        var targetScreenName = targets.pop();
-        logger.info('Blocking ' + targetScreenName);
-        twitter.blocks('create', {
-          screen_name: targetScreenName,
-          skip_status: 1
-        }, accessToken, accessTokenSecret,
-        function(err, results) {
-          if (err) {
-            logger.error('Error blocking: %j', err);
-          } else {
-            logger.info('Blocked ' + targetScreenName);
-          }
-          // In 100 ms, run this again for the next item.
-          setTimeout(blockAndNext.bind(null, targets), 100);
-        });
-      }
-    };
-    blockAndNext(targets);
+  }).finally(function() {
+    process.exit(0);
   });
 })();
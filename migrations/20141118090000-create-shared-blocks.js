@@ -0,0 +1,43 @@
+// Make the SharedBlocks table (created empty by the add-subscriptions
+// migration) hold each author's curated shared block list, and seed it from
+// each user's most recent complete BlockBatch, leaving out accounts that Block
+// Together auto-blocked on their behalf.
+module.exports = {
+  up: function(migration, DataTypes, done) {
+    var sequelize = migration.queryInterface.sequelize;
+    // The table was created without an id column, which the SharedBlock model
+    // expects, and which we use to page through large lists.
+    sequelize.query(
+      'ALTER TABLE SharedBlocks ADD COLUMN id INTEGER NOT NULL ' +
+      'AUTO_INCREMENT PRIMARY KEY FIRST;'
+    ).then(function() {
+      return migration.addIndex('SharedBlocks', ['author_uid', 'sink_uid'], {
+        indicesType: 'UNIQUE'
+      });
+    }).then(function() {
+      return sequelize.query(
+        'INSERT IGNORE INTO SharedBlocks ' +
+        '(author_uid, sink_uid, createdAt, updatedAt) ' +
+        'SELECT bb.source_uid, b.sink_uid, NOW(), NOW() ' +
+        'FROM BlockBatches bb JOIN Blocks b ON b.BlockBatchId = bb.id ' +
+        'WHERE bb.id = (SELECT MAX(id) FROM BlockBatches latest ' +
+        '  WHERE latest.source_uid = bb.source_uid AND latest.complete) ' +
+        'AND NOT EXISTS (SELECT 1 FROM Actions a ' +
+        '  WHERE a.source_uid = bb.source_uid AND a.sink_uid = b.sink_uid ' +
+        '  AND a.type = "block" AND a.status = "done" ' +
+        '  AND a.cause IN ("new-account", "low-followers", "subscription"));');
+    }).then(function() {
+      done();
+    });
+  },
+  down: function(migration, DataTypes, done) {
+    var sequelize = migration.queryInterface.sequelize;
+    sequelize.query('DELETE FROM SharedBlocks;').then(function() {
+      return migration.removeIndex('SharedBlocks', ['author_uid', 'sink_uid']);
+    }).then(function() {
+      return sequelize.query('ALTER TABLE SharedBlocks DROP COLUMN id;');
+    }).then(function() {
+      done();
+    });
+  }
+}
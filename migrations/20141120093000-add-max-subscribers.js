@@ -0,0 +1,14 @@
+module.exports = {
+  up: function(migration, DataTypes, done) {
+    migration.addColumn(
+      'BtUsers',
+      'max_subscribers',
+      DataTypes.INTEGER
+    );
+    done();
+  },
+  down: function(migration, DataTypes, done) {
+    migration.removeColumn('BtUsers', 'max_subscribers');
+    done()
+  }
+}
@@ -0,0 +1,45 @@
+// Per-user thresholds for the existing auto-block criteria, which used to be
+// hard-coded in stream.js, and switches and thresholds for new criteria.
+module.exports = {
+  up: function(migration, DataTypes, done) {
+    migration.addColumn('BtUsers', 'new_account_days', {
+      type: DataTypes.INTEGER,
+      defaultValue: 7
+    });
+    migration.addColumn('BtUsers', 'low_followers_threshold', {
+      type: DataTypes.INTEGER,
+      defaultValue: 15
+    });
+    migration.addColumn('BtUsers', 'block_default_profile_image', {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false
+    });
+    migration.addColumn('BtUsers', 'block_low_statuses', {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false
+    });
+    migration.addColumn('BtUsers', 'low_statuses_threshold', {
+      type: DataTypes.INTEGER,
+      defaultValue: 10
+    });
+    migration.addColumn('BtUsers', 'block_follow_ratio', {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false
+    });
+    migration.addColumn('BtUsers', 'follow_ratio_threshold', {
+      type: DataTypes.FLOAT,
+      defaultValue: 20
+    });
+    done()
+  },
+  down: function(migration, DataTypes, done) {
+    migration.removeColumn('BtUsers', 'new_account_days');
+    migration.removeColumn('BtUsers', 'low_followers_threshold');
+    migration.removeColumn('BtUsers', 'block_default_profile_image');
+    migration.removeColumn('BtUsers', 'block_low_statuses');
+    migration.removeColumn('BtUsers', 'low_statuses_threshold');
+    migration.removeColumn('BtUsers', 'block_follow_ratio');
+    migration.removeColumn('BtUsers', 'follow_ratio_threshold');
+    done()
+  }
+}
@@ -0,0 +1,31 @@
+module.exports = {
+  up: function(migration, DataTypes, done) {
+    migration.createTable('AutoBlockRules', {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+      uid: 'VARCHAR(20) NOT NULL',
+      name: 'VARCHAR(100) NOT NULL',
+      // JSON text of the rule, as described in rules.js.
+      rule: DataTypes.TEXT,
+      enabled: { type: DataTypes.BOOLEAN, defaultValue: true },
+      createdAt: DataTypes.DATE,
+      updatedAt: DataTypes.DATE
+    }, {
+      charset: 'utf8mb4',
+      collate: 'utf8mb4_unicode_ci'
+    }).then(function() {
+      return migration.addIndex('AutoBlockRules', ['uid', 'name'], {
+        indicesType: 'UNIQUE'
+      });
+    }).then(function() {
+      // Records which AutoBlockRule caused a block with cause 'rule'.
+      return migration.addColumn('Actions', 'rule_name', 'VARCHAR(100)');
+    }).then(function() {
+      done();
+    });
+  },
+  down: function(migration, DataTypes, done) {
+    migration.dropTable('AutoBlockRules');
+    migration.removeColumn('Actions', 'rule_name');
+    done()
+  }
+}
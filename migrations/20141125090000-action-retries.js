@@ -0,0 +1,17 @@
+module.exports = {
+  up: function(migration, DataTypes, done) {
+    migration.addColumn('Actions', 'attempts', {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    });
+    migration.addColumn('Actions', 'last_error_code', DataTypes.INTEGER);
+    migration.addColumn('Actions', 'next_attempt_at', DataTypes.DATE);
+    done();
+  },
+  down: function(migration, DataTypes, done) {
+    migration.removeColumn('Actions', 'attempts');
+    migration.removeColumn('Actions', 'last_error_code');
+    migration.removeColumn('Actions', 'next_attempt_at');
+    done()
+  }
+}
@@ -0,0 +1,53 @@
+module.exports = {
+  up: function(migration, DataTypes, done) {
+    migration.createTable('MuteBatches', {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+      source_uid: 'VARCHAR(20) NOT NULL',
+      currentCursor: DataTypes.STRING,
+      complete: DataTypes.BOOLEAN,
+      size: DataTypes.INTEGER,
+      createdAt: DataTypes.DATE,
+      updatedAt: DataTypes.DATE
+    }, {
+      charset: 'utf8mb4',
+      collate: 'utf8mb4_unicode_ci'
+    }).then(function() {
+      return migration.createTable('Mutes', {
+        id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+        sink_uid: DataTypes.STRING,
+        MuteBatchId: DataTypes.INTEGER
+      }, {
+        charset: 'utf8mb4',
+        collate: 'utf8mb4_unicode_ci'
+      });
+    }).then(function() {
+      migration.addIndex('MuteBatches', ['source_uid']);
+      migration.addIndex('Mutes', ['MuteBatchId']);
+      // Mutes get deleted when their MuteBatch gets deleted, and MuteBatches
+      // when their BtUser does.
+      migration.queryInterface.sequelize.query(
+        'ALTER TABLE Mutes ADD ' +
+        'CONSTRAINT `Mutes_ibfk_1` FOREIGN KEY (`MuteBatchId`) ' +
+        'REFERENCES `MuteBatches` (`id`) ' +
+        'ON DELETE CASCADE ON UPDATE CASCADE;');
+      migration.queryInterface.sequelize.query(
+        'ALTER TABLE MuteBatches ADD ' +
+        'CONSTRAINT `MuteBatches_ibfk_1` FOREIGN KEY (`source_uid`) ' +
+        'REFERENCES `BtUsers` (`uid`) ' +
+        'ON DELETE CASCADE ON UPDATE CASCADE;');
+      // Subscribers can apply a shared block list as mutes instead of blocks.
+      return migration.addColumn('Subscriptions', 'mute_only', {
+        type: DataTypes.BOOLEAN,
+        defaultValue: false
+      });
+    }).then(function() {
+      done();
+    });
+  },
+  down: function(migration, DataTypes, done) {
+    migration.dropTable('Mutes');
+    migration.dropTable('MuteBatches');
+    migration.removeColumn('Subscriptions', 'mute_only');
+    done()
+  }
+}
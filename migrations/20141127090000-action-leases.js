@@ -0,0 +1,14 @@
+module.exports = {
+  up: function(migration, DataTypes, done) {
+    migration.addColumn('Actions', 'locked_by', DataTypes.STRING);
+    migration.addColumn('Actions', 'locked_until', DataTypes.DATE);
+    migration.addIndex('Actions', ['source_uid', 'locked_until']);
+    done();
+  },
+  down: function(migration, DataTypes, done) {
+    migration.removeIndex('Actions', ['source_uid', 'locked_until']);
+    migration.removeColumn('Actions', 'locked_by');
+    migration.removeColumn('Actions', 'locked_until');
+    done()
+  }
+}
@@ -0,0 +1,17 @@
+module.exports = {
+  up: function(migration, DataTypes, done) {
+    migration.addColumn('Actions', 'expires_at', DataTypes.DATE);
+    migration.addColumn('Actions', 'expired', {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false
+    });
+    migration.addIndex('Actions', ['expires_at']);
+    done();
+  },
+  down: function(migration, DataTypes, done) {
+    migration.removeIndex('Actions', ['expires_at']);
+    migration.removeColumn('Actions', 'expires_at');
+    migration.removeColumn('Actions', 'expired');
+    done()
+  }
+}
@@ -0,0 +1,35 @@
+module.exports = {
+  up: function(migration, DataTypes, done) {
+    migration.createTable('ActionBatches', {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+      source_uid: 'VARCHAR(20) NOT NULL',
+      type: DataTypes.STRING,
+      cause: DataTypes.STRING,
+      cause_uid: 'VARCHAR(20)',
+      route: DataTypes.STRING,
+      size: DataTypes.INTEGER,
+      undo_of: DataTypes.INTEGER,
+      undone_at: DataTypes.DATE,
+      createdAt: DataTypes.DATE,
+      updatedAt: DataTypes.DATE
+    }, {
+      charset: 'utf8mb4',
+      collate: 'utf8mb4_unicode_ci'
+    }).then(function() {
+      return migration.addIndex('ActionBatches', ['source_uid']);
+    }).then(function() {
+      return migration.addColumn('Actions', 'action_batch_id',
+        DataTypes.INTEGER);
+    }).then(function() {
+      return migration.addIndex('Actions', ['action_batch_id']);
+    }).then(function() {
+      done();
+    });
+  },
+  down: function(migration, DataTypes, done) {
+    migration.dropTable('ActionBatches');
+    migration.removeIndex('Actions', ['action_batch_id']);
+    migration.removeColumn('Actions', 'action_batch_id');
+    done()
+  }
+}
@@ -0,0 +1,24 @@
+module.exports = {
+  up: function(migration, DataTypes, done) {
+    migration.createTable('AllowlistEntries', {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+      uid: 'VARCHAR(20) NOT NULL',
+      sink_uid: 'VARCHAR(20) NOT NULL',
+      createdAt: DataTypes.DATE,
+      updatedAt: DataTypes.DATE
+    }, {
+      charset: 'utf8mb4',
+      collate: 'utf8mb4_unicode_ci'
+    }).then(function() {
+      return migration.addIndex('AllowlistEntries', ['uid', 'sink_uid'], {
+        indicesType: 'UNIQUE'
+      });
+    }).then(function() {
+      done();
+    });
+  },
+  down: function(migration, DataTypes, done) {
+    migration.dropTable('AllowlistEntries');
+    done()
+  }
+}
@@ -0,0 +1,24 @@
+// Per-cause switches for not blocking accounts that follow the user.
+module.exports = {
+  up: function(migration, DataTypes, done) {
+    migration.addColumn('BtUsers', 'protect_followers_auto_blocks', {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false
+    });
+    migration.addColumn('BtUsers', 'protect_followers_subscriptions', {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false
+    });
+    migration.addColumn('BtUsers', 'protect_followers_bulk_blocks', {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false
+    });
+    done()
+  },
+  down: function(migration, DataTypes, done) {
+    migration.removeColumn('BtUsers', 'protect_followers_auto_blocks');
+    migration.removeColumn('BtUsers', 'protect_followers_subscriptions');
+    migration.removeColumn('BtUsers', 'protect_followers_bulk_blocks');
+    done()
+  }
+}
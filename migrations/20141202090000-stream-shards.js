@@ -0,0 +1,32 @@
+module.exports = {
+  up: function(migration, DataTypes, done) {
+    migration.createTable('StreamShards', {
+      shard: { type: DataTypes.INTEGER, primaryKey: true },
+      locked_by: DataTypes.STRING,
+      locked_until: DataTypes.DATE,
+      createdAt: DataTypes.DATE,
+      updatedAt: DataTypes.DATE
+    }, {
+      charset: 'utf8mb4',
+      collate: 'utf8mb4_unicode_ci'
+    }).then(function() {
+      return migration.createTable('StreamWorkers', {
+        // Short enough to be a primary key in utf8mb4.
+        worker_id: { type: 'VARCHAR(100)', primaryKey: true },
+        alive_until: DataTypes.DATE,
+        createdAt: DataTypes.DATE,
+        updatedAt: DataTypes.DATE
+      }, {
+        charset: 'utf8mb4',
+        collate: 'utf8mb4_unicode_ci'
+      });
+    }).then(function() {
+      done();
+    });
+  },
+  down: function(migration, DataTypes, done) {
+    migration.dropTable('StreamShards');
+    migration.dropTable('StreamWorkers');
+    done()
+  }
+}
@@ -0,0 +1,30 @@
+module.exports = {
+  up: function(migration, DataTypes, done) {
+    migration.createTable('AutoBlockKeywords', {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+      uid: 'VARCHAR(20) NOT NULL',
+      // 'keyword', 'phrase' or 'regex', as described in keywords.js.
+      kind: 'VARCHAR(20) NOT NULL',
+      pattern: 'VARCHAR(100) NOT NULL',
+      // The action to take on a match: 'block' or 'mute'.
+      type: 'VARCHAR(20) NOT NULL',
+      createdAt: DataTypes.DATE,
+      updatedAt: DataTypes.DATE
+    }, {
+      charset: 'utf8mb4',
+      collate: 'utf8mb4_unicode_ci'
+    }).then(function() {
+      return migration.addIndex('AutoBlockKeywords', ['uid']);
+    }).then(function() {
+      // Records the mention that matched for actions with cause 'keyword'.
+      return migration.addColumn('Actions', 'cause_tweet_id', 'VARCHAR(20)');
+    }).then(function() {
+      done();
+    });
+  },
+  down: function(migration, DataTypes, done) {
+    migration.dropTable('AutoBlockKeywords');
+    migration.removeColumn('Actions', 'cause_tweet_id');
+    done()
+  }
+}
@@ -0,0 +1,13 @@
+module.exports = {
+  up: function(migration, DataTypes, done) {
+    // Records why part of an operation, e.g. an import, couldn't be queued.
+    migration.addColumn('ActionBatches', 'error', DataTypes.STRING
+    ).then(function() {
+      done();
+    });
+  },
+  down: function(migration, DataTypes, done) {
+    migration.removeColumn('ActionBatches', 'error');
+    done()
+  }
+}
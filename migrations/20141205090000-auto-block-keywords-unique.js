@@ -0,0 +1,23 @@
+module.exports = {
+  up: function(migration, DataTypes, done) {
+    // Keep one of each (uid, kind, pattern), so /auto-block-keywords.json can
+    // rely on the index below instead of a find-then-create that can race.
+    migration.queryInterface.sequelize.query(
+      'DELETE later FROM AutoBlockKeywords later ' +
+      'JOIN AutoBlockKeywords earlier ON later.uid = earlier.uid AND ' +
+      'later.kind = earlier.kind AND later.pattern = earlier.pattern AND ' +
+      'later.id > earlier.id;'
+    ).then(function() {
+      return migration.addIndex('AutoBlockKeywords',
+        ['uid', 'kind', 'pattern'], {
+          indicesType: 'UNIQUE'
+        });
+    }).then(function() {
+      done();
+    });
+  },
+  down: function(migration, DataTypes, done) {
+    migration.removeIndex('AutoBlockKeywords', ['uid', 'kind', 'pattern']);
+    done()
+  }
+}
@@ -0,0 +1,311 @@
+'use strict';
+(function() {
+
+/**
+ * Rate-limit-aware Twitter REST calls for the action processor.
+ *
+ * Twitter reports the remaining requests in the current window, and when the
+ * window resets, in the x-rate-limit-remaining and x-rate-limit-reset headers
+ * of each response. We remember those per user and per endpoint. Once a user
+ * has used up their budget for an endpoint, further calls fail fast with a 429
+ * without hitting the network, and actions.js pauses that user's queue until
+ * the reset time.
+ */
+var Q = require('q'),
+    setup = require('./setup');
+
+var twitter = setup.twitter,
+    logger = setup.logger;
+
+// Length of a Twitter rate limit window. Used when we get a 429 without
+// rate limit headers.
+var DEFAULT_WINDOW_MS = 15 * 60 * 1000;
+
+/**
+ * Map from uid to a map from endpoint, e.g. 'blocks/create', to the last
+ * budget Twitter told us about, with fields limit, remaining and reset, a
+ * Date.
+ */
+var budgets = {};
+
+/**
+ * Update a user's budget for an endpoint from a Twitter response.
+ *
+ * @param {string} uid The user the request was made for.
+ * @param {string} endpoint E.g. 'blocks/create'.
+ * @param {http.IncomingMessage} response The response, if there was one.
+ * @param {Object} err The error, if the request failed.
+ */
+function record(uid, endpoint, response, err) {
+  var headers = (response && response.headers) || {};
+  var remaining = parseInt(headers['x-rate-limit-remaining'], 10);
+  var reset = parseInt(headers['x-rate-limit-reset'], 10);
+  var budget = null;
+  if (!isNaN(remaining) && !isNaN(reset)) {
+    budget = {
+      limit: parseInt(headers['x-rate-limit-limit'], 10) || null,
+      remaining: remaining,
+      reset: new Date(reset * 1000)
+    };
+  }
+  if (err && err.statusCode === 429 && (!budget || budget.remaining > 0)) {
+    // Rate limited without usable headers; assume a full window.
+    budget = {
+      limit: budget ? budget.limit : null,
+      remaining: 0,
+      reset: new Date(Date.now() + DEFAULT_WINDOW_MS)
+    };
+  }
+  if (!budget) {
+    return;
+  }
+  budgets[uid] = budgets[uid] || {};
+  budgets[uid][endpoint] = budget;
+  if (budget.remaining === 0) {
+    logger.info('Rate limit exhausted', uid, endpoint, 'pausing until',
+      budget.reset);
+  } else {
+    logger.debug('Rate limit', uid, endpoint, budget.remaining, 'of',
+      budget.limit, 'left until', budget.reset);
+  }
+}
+
+/**
+ * Get a user's current budget for an endpoint.
+ *
+ * @param {string} uid
+ * @param {string} endpoint E.g. 'blocks/create'.
+ * @return {Object|null} An object with fields limit, remaining and reset, or
+ *   null if we know of no limit in effect, e.g. because the window has reset.
+ */
+function getBudget(uid, endpoint) {
+  var budget = budgets[uid] && budgets[uid][endpoint];
+  if (!budget) {
+    return null;
+  } else if (budget.reset <= new Date()) {
+    delete budgets[uid][endpoint];
+    if (Object.keys(budgets[uid]).length === 0) {
+      delete budgets[uid];
+    }
+    return null;
+  }
+  return budget;
+}
+
+/**
+ * Find out whether a user has used up their budget for any of the given
+ * endpoints.
+ *
+ * @param {string} uid
+ * @param {Array.<string>} endpoints
+ * @return {Date|null} The latest time at which one of the exhausted budgets
+ *   resets, or null if none are exhausted.
+ */
+function pausedUntil(uid, endpoints) {
+  var until = null;
+  endpoints.forEach(function(endpoint) {
+    var budget = getBudget(uid, endpoint);
+    if (budget && budget.remaining === 0 && (!until || budget.reset > until)) {
+      until = budget.reset;
+    }
+  });
+  return until;
+}
+
+/**
+ * Call a Twitter REST endpoint on behalf of a user, unless they are out of
+ * budget for it, and record the budget from the response.
+ *
+ * @param {BtUser} btUser The user to make the request as.
+ * @param {string} resource The node-twitter-api method, e.g. 'blocks'.
+ * @param {string} type The endpoint within resource, e.g. 'create'.
+ * @param {Object} params
+ * @return {Promise.<Array>} Resolves to the parsed result and the response, for
+ *   use with spread. Rejects with the error from Twitter, or a 429 error with
+ *   rateLimited set if we didn't make the request because of the budget.
+ */
+function call(btUser, resource, type, params) {
+  var endpoint = resource + '/' + type;
+  var until = pausedUntil(btUser.uid, [endpoint]);
+  if (until) {
+    var err = new Error('Rate limited ' + endpoint + ' until ' + until);
+    err.statusCode = 429;
+    err.rateLimited = true;
+    return Q.reject(err);
+  }
+  var deferred = Q.defer();
+  // Not Q.ninvoke, because it drops the response on errors, and 429s are the
+  // responses we most care about.
+  twitter[resource](type, params,
+    btUser.access_token, btUser.access_token_secret,
+    function(err, result, response) {
+      record(btUser.uid, endpoint, response, err);
+      if (err) {
+        deferred.reject(err);
+      } else {
+        deferred.resolve([result, response]);
+      }
+    });
+  return deferred.promise;
+}
+
+/**
+ * Snapshot of every budget currently in effect, for logging and for tests
+ * against a fake Twitter server.
+ * @return {Object} Map from uid to a map from endpoint to budget.
+ */
+function getBudgets() {
+  Object.keys(budgets).forEach(function(uid) {
+    Object.keys(budgets[uid]).forEach(getBudget.bind(null, uid));
+  });
+  return JSON.parse(JSON.stringify(budgets));
+}
+
+/**
+ * Forget all budgets. For tests.
+ */
+function clearBudgets() {
+  budgets = {};
+}
+
+module.exports = {
+  call: call,
+  clearBudgets: clearBudgets,
+  getBudget: getBudget,
+  getBudgets: getBudgets,
+  pausedUntil: pausedUntil,
+  record: record
+};
+
+/**
+ * Test call against a fake Twitter server on localhost, which answers with
+ * scripted rate limit headers and 429s, using a real node-twitter-api client
+ * whose requests are redirected to it.
+ *
+ * @return {Promise} Resolved once all checks pass.
+ */
+function fakeServerTest() {
+  var assert = require('assert'),
+      http = require('http'),
+      twitterAPI = require('node-twitter-api');
+  var inAMinute = Math.floor(Date.now() / 1000) + 60;
+  // Responses to give, in order, as status code, headers and body.
+  var script = [
+    [200, {
+      'x-rate-limit-limit': '15',
+      'x-rate-limit-remaining': '1',
+      'x-rate-limit-reset': String(inAMinute)
+    }, '[{"id_str":"2","connections":["none"]}]'],
+    [429, {
+      'x-rate-limit-limit': '15',
+      'x-rate-limit-remaining': '0',
+      'x-rate-limit-reset': String(inAMinute)
+    }, '{"errors":[{"message":"Rate limit exceeded","code":88}]}'],
+    [429, {}, '{"errors":[{"message":"Rate limit exceeded","code":88}]}']
+  ];
+  var requests = [];
+  var server = http.createServer(function(req, res) {
+    requests.push(req);
+    var response = script.shift() || [500, {}, '{}'];
+    res.writeHead(response[0], response[1]);
+    res.end(response[2]);
+  });
+  var btUser = {
+    uid: '1',
+    access_token: 'fake-token',
+    access_token_secret: 'fake-secret'
+  };
+  var rejection = function(promise) {
+    return promise.then(function() {
+      assert.fail('Expected an error');
+    }, function(err) {
+      return err;
+    });
+  };
+
+  clearBudgets();
+  return Q.ninvoke(server, 'listen', 0, 'localhost').then(function() {
+    var base = 'http://localhost:' + server.address().port + '/1.1/';
+    var client = new twitterAPI({
+      consumerKey: 'fake-key',
+      consumerSecret: 'fake-secret'
+    });
+    ['get', 'post'].forEach(function(method) {
+      var original = client.oa[method];
+      client.oa[method] = function(url) {
+        var args = Array.prototype.slice.call(arguments);
+        args[0] = url.replace('https://api.twitter.com/1.1/', base);
+        return original.apply(this, args);
+      };
+    });
+    twitter = client;
+    return call(btUser, 'friendships', 'lookup', { user_id: '2' });
+  }).spread(function(result, response) {
+    assert.equal(result[0].id_str, '2');
+    assert.equal(requests[0].url, '/1.1/friendships/lookup.json?user_id=2');
+    assert.ok(/oauth_token="fake-token"/.test(
+      requests[0].headers.authorization));
+    assert.equal(getBudget('1', 'friendships/lookup').remaining, 1);
+    assert.equal(pausedUntil('1', ['friendships/lookup']), null);
+    return rejection(call(btUser, 'friendships', 'lookup', { user_id: '3' }));
+  }).then(function(err) {
+    // Twitter's own 429: passed through, and the budget is exhausted.
+    assert.equal(err.statusCode, 429);
+    assert.ok(!err.rateLimited);
+    assert.equal(pausedUntil('1', ['friendships/lookup']).getTime(),
+      inAMinute * 1000);
+    return rejection(call(btUser, 'friendships', 'lookup', { user_id: '4' }));
+  }).then(function(err) {
+    // Out of budget: fails fast without a request.
+    assert.equal(err.statusCode, 429);
+    assert.ok(err.rateLimited);
+    assert.equal(requests.length, 2);
+    return rejection(call(btUser, 'blocks', 'create', { user_id: '2' }));
+  }).then(function(err) {
+    // A 429 without headers pauses the endpoint for a whole window.
+    assert.equal(err.statusCode, 429);
+    assert.equal(requests[2].method, 'POST');
+    assert.equal(requests[2].url, '/1.1/blocks/create.json');
+    assert.ok(pausedUntil('1', ['blocks/create']) >
+      new Date(Date.now() + DEFAULT_WINDOW_MS - 60 * 1000));
+    assert.deepEqual(Object.keys(getBudgets()['1']).sort(),
+      ['blocks/create', 'friendships/lookup']);
+    clearBudgets();
+  }).finally(function() {
+    server.close();
+  });
+}
+
+if (require.main === module && process.argv[2] === '--fake-server-test') {
+  fakeServerTest().then(function() {
+    console.log('Done!');
+    process.exit(0);
+  }).catch(function(err) {
+    console.error(err.stack || err);
+    process.exit(1);
+  });
+} else if (require.main === module) {
+  // A micro sanity test.
+  var assert = require('assert');
+  var inAMinute = Math.floor(Date.now() / 1000) + 60;
+  record('1', 'blocks/create', { headers: {
+    'x-rate-limit-limit': '15',
+    'x-rate-limit-remaining': '3',
+    'x-rate-limit-reset': String(inAMinute)
+  }}, null);
+  assert.equal(getBudget('1', 'blocks/create').remaining, 3);
+  assert.equal(pausedUntil('1', ['blocks/create']), null);
+  record('1', 'friendships/lookup', { headers: {} }, { statusCode: 429 });
+  assert.ok(pausedUntil('1', ['blocks/create', 'friendships/lookup']) >
+    new Date(inAMinute * 1000));
+  record('2', 'blocks/destroy', { headers: {
+    'x-rate-limit-remaining': '0',
+    'x-rate-limit-reset': String(inAMinute - 120)
+  }}, null);
+  assert.equal(pausedUntil('2', ['blocks/destroy']), null);
+  assert.deepEqual(Object.keys(getBudgets()), ['1']);
+  clearBudgets();
+  assert.deepEqual(getBudgets(), {});
+  console.log('Done!');
+}
+})();
@@ -0,0 +1,264 @@
+'use strict';
+(function() {
+
+/**
+ * User-defined auto-block rules. A rule combines conditions on the account
+ * that mentioned a user, for instance "age < 30 days AND followers < 50 AND
+ * default profile image". Rules are stored as JSON in the AutoBlockRules table
+ * and evaluated by stream.js against the mentioning user's JSON User object.
+ *
+ * A rule is a group:
+ *   {"match": "all" | "any", "conditions": [...]}
+ * where each condition is either another group, or a comparison:
+ *   {"field": "followers_count", "op": "<", "value": 50}
+ */
+var _ = require('sequelize').Utils._;
+
+var MILLIS_PER_DAY = 86400 * 1000;
+
+// Limits to keep stored rules small and quick to evaluate.
+var MAX_CONDITIONS = 20;
+var MAX_DEPTH = 3;
+
+/**
+ * Fields a condition can test, as functions of a JSON User object and the
+ * current time.
+ */
+var FIELDS = {
+  age_days: function(user, now) {
+    return (now - Date.parse(user.created_at)) / MILLIS_PER_DAY;
+  },
+  followers_count: function(user) {
+    return user.followers_count;
+  },
+  friends_count: function(user) {
+    return user.friends_count;
+  },
+  statuses_count: function(user) {
+    return user.statuses_count;
+  },
+  // How many accounts they follow per account following them.
+  follow_ratio: function(user) {
+    return user.friends_count / Math.max(user.followers_count, 1);
+  },
+  default_profile_image: function(user) {
+    return !!user.default_profile_image;
+  },
+  default_profile: function(user) {
+    return !!user.default_profile;
+  },
+  verified: function(user) {
+    return !!user.verified;
+  }
+};
+
+var OPS = {
+  '<': function(a, b) { return a < b; },
+  '<=': function(a, b) { return a <= b; },
+  '>': function(a, b) { return a > b; },
+  '>=': function(a, b) { return a >= b; },
+  '==': function(a, b) { return a === b; },
+  '!=': function(a, b) { return a !== b; }
+};
+
+/**
+ * Check that a rule is well-formed.
+ *
+ * @param {Object} rule A rule group, as parsed from JSON.
+ * @return {string|null} A description of the first problem found, or null if
+ *   the rule is valid.
+ */
+function validateRule(rule) {
+  var count = 0;
+  function check(group, depth) {
+    if (!_.isObject(group) || !_.contains(['all', 'any'], group.match) ||
+        !_.isArray(group.conditions) || group.conditions.length === 0) {
+      return 'Each group needs "match" of "all" or "any" and a non-empty ' +
+        'list of "conditions".';
+    }
+    if (depth > MAX_DEPTH) {
+      return 'Groups can be nested at most ' + MAX_DEPTH + ' deep.';
+    }
+    for (var i = 0; i < group.conditions.length; i++) {
+      var condition = group.conditions[i];
+      var problem = null;
+      if (_.has(condition, 'match')) {
+        problem = check(condition, depth + 1);
+      } else if (!_.has(FIELDS, condition.field)) {
+        problem = 'Unknown field: ' + condition.field + '. Valid fields are ' +
+          Object.keys(FIELDS).join(', ') + '.';
+      } else if (!_.has(OPS, condition.op)) {
+        problem = 'Unknown operator: ' + condition.op + '.';
+      } else if (!_.isNumber(condition.value) &&
+          !_.isBoolean(condition.value)) {
+        problem = 'Condition values must be numbers or true / false.';
+      } else if (++count > MAX_CONDITIONS) {
+        problem = 'Rules can have at most ' + MAX_CONDITIONS + ' conditions.';
+      }
+      if (problem) {
+        return problem;
+      }
+    }
+    return null;
+  }
+  return check(rule, 1);
+}
+
+/**
+ * Evaluate a rule against a user.
+ *
+ * @param {Object} rule A valid rule group.
+ * @param {Object} user A JSON User object as specified by the Twitter API.
+ * @param {Date=} opt_now The time to compute account age relative to. Defaults
+ *   to the current time.
+ * @return {boolean} Whether the user matches the rule.
+ */
+function evaluate(rule, user, opt_now) {
+  var now = opt_now || new Date();
+  var test = function(condition) {
+    if (_.has(condition, 'match')) {
+      return evaluate(condition, user, now);
+    }
+    var actual = FIELDS[condition.field](user, now);
+    return OPS[condition.op](actual, condition.value);
+  };
+  if (rule.match === 'all') {
+    return _.every(rule.conditions, test);
+  } else {
+    return _.some(rule.conditions, test);
+  }
+}
+
+/**
+ * Find the first of a user's rules that matches the mentioning user.
+ *
+ * @param {Array.<Object>} namedRules Objects with a name and a rule, e.g.
+ *   AutoBlockRule instances. Rules that fail to parse or validate are skipped.
+ * @param {Object} user A JSON User object as specified by the Twitter API.
+ * @param {Date=} opt_now As for evaluate.
+ * @return {string|null} The name of the matching rule, if any.
+ */
+function firstMatch(namedRules, user, opt_now) {
+  var match = _.find(namedRules, function(namedRule) {
+    var rule = parse(namedRule.rule);
+    return rule && evaluate(rule, user, opt_now);
+  });
+  return match ? match.name : null;
+}
+
+/**
+ * Parse and validate a stored rule.
+ * @param {string|Object} rule JSON text of a rule, or an already parsed rule.
+ * @return {Object|null} The rule, or null if it's not valid.
+ */
+function parse(rule) {
+  if (_.isString(rule)) {
+    try {
+      rule = JSON.parse(rule);
+    } catch (e) {
+      return null;
+    }
+  }
+  return validateRule(rule) ? null : rule;
+}
+
+module.exports = {
+  FIELDS: Object.keys(FIELDS),
+  evaluate: evaluate,
+  firstMatch: firstMatch,
+  parse: parse,
+  validateRule: validateRule
+};
+
+/**
+ * A micro sanity test. The mentions are hand-written, with just the User
+ * fields that rules can use: an egg account a few days old, and an established
+ * account with a few dozen followers.
+ */
+function sanityTest() {
+  var assert = require('assert');
+  var now = new Date('Mon Nov 24 12:00:00 +0000 2014');
+  var eggMention = {
+    created_at: 'Mon Nov 24 11:59:30 +0000 2014',
+    id_str: '536853386497781760',
+    text: '@twestact3 hi',
+    in_reply_to_screen_name: 'twestact3',
+    user: {
+      id_str: '2896523891',
+      screen_name: 'new2',
+      created_at: 'Fri Nov 21 08:14:02 +0000 2014',
+      followers_count: 2,
+      friends_count: 120,
+      statuses_count: 4,
+      default_profile: true,
+      default_profile_image: true,
+      verified: false
+    }
+  };
+  var regularMention = {
+    created_at: 'Mon Nov 24 11:58:02 +0000 2014',
+    id_str: '536853017625915392',
+    text: '@twestact3 see you there',
+    in_reply_to_screen_name: 'twestact3',
+    user: {
+      id_str: '2573153346',
+      screen_name: 'twestact5',
+      created_at: 'Wed Jun 18 01:07:46 +0000 2014',
+      followers_count: 48,
+      friends_count: 60,
+      statuses_count: 311,
+      default_profile: false,
+      default_profile_image: false,
+      verified: false
+    }
+  };
+  var freshEggs = {
+    match: 'all',
+    conditions: [
+      { field: 'age_days', op: '<', value: 30 },
+      { field: 'followers_count', op: '<', value: 50 },
+      { field: 'default_profile_image', op: '==', value: true }
+    ]
+  };
+  var lowFollowersOrSpammy = {
+    match: 'any',
+    conditions: [
+      { field: 'followers_count', op: '<', value: 50 },
+      { match: 'all', conditions: [
+        { field: 'follow_ratio', op: '>', value: 20 },
+        { field: 'statuses_count', op: '<', value: 10 }
+      ]}
+    ]
+  };
+  assert.equal(validateRule(freshEggs), null);
+  assert.equal(validateRule(lowFollowersOrSpammy), null);
+  assert.ok(validateRule({ match: 'all', conditions: [] }));
+  assert.ok(validateRule({ match: 'all', conditions: [
+    { field: 'location', op: '==', value: 1 }] }));
+  assert.ok(validateRule({ match: 'all', conditions: [
+    { field: 'age_days', op: '=~', value: 1 }] }));
+  assert.ok(validateRule({ match: 'all', conditions: [
+    { field: 'age_days', op: '<', value: '7' }] }));
+
+  assert.ok(evaluate(freshEggs, eggMention.user, now));
+  assert.ok(!evaluate(freshEggs, regularMention.user, now));
+  assert.ok(evaluate(lowFollowersOrSpammy, eggMention.user, now));
+  assert.ok(evaluate(lowFollowersOrSpammy, regularMention.user, now));
+
+  var namedRules = [
+    { name: 'broken', rule: '{"match": "all"' },
+    { name: 'fresh eggs', rule: JSON.stringify(freshEggs) },
+    { name: 'low followers', rule: JSON.stringify(lowFollowersOrSpammy) }
+  ];
+  assert.equal(firstMatch(namedRules, eggMention.user, now), 'fresh eggs');
+  assert.equal(firstMatch(namedRules, regularMention.user, now),
+    'low followers');
+  assert.equal(firstMatch(namedRules.slice(0, 2), regularMention.user, now),
+    null);
+  console.log('Done!');
+}
+
+if (require.main === module) {
+  sanityTest();
+}
+})();
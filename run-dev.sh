@@ -11,5 +11,6 @@ run stream
 run actions
 run update-users
 run update-blocks
+run subscriptions
 
 while :; do sleep 10000 ; done
@@ -8,7 +8,8 @@ var fs = require('fs'),
     twitterAPI = require('node-twitter-api'),
     log4js = require('log4js'),
     https = require('https'),
-    _ = require('sequelize').Utils._;
+    _ = require('sequelize').Utils._,
+    actionConstants = require('./action-constants');
 
 /*
  * Config file should look like this:
@@ -84,19 +85,45 @@ var BtUser = sequelize.define('BtUser', {
   access_token_secret: Sequelize.STRING,
   // If non-null, the slug with which the user's shared blocks can be accessed.
   shared_blocks_key: Sequelize.STRING,
-  // True if the user has elected to block accounts < 7 days old that at-reply.
-  // If this field is true, Block Together will monitor their User Stream to
-  // detect such accounts.
+  // True if the user has elected to block accounts < new_account_days old that
+  // at-reply. If this field is true, Block Together will monitor their User
+  // Stream to detect such accounts. The same goes for the other block_ fields
+  // below.
   block_new_accounts: Sequelize.BOOLEAN,
-  // True if the user has elected to block accounts with < 15 followers that at-reply.
-  // If this field is true, Block Together will monitor their User Stream to
-  // detect such accounts.
+  new_account_days: { type: Sequelize.INTEGER, defaultValue: 7 },
+  // True if the user has elected to block accounts with
+  // < low_followers_threshold followers that at-reply.
   block_low_followers: Sequelize.BOOLEAN,
+  low_followers_threshold: { type: Sequelize.INTEGER, defaultValue: 15 },
+  // True if the user has elected to block accounts that at-reply and still
+  // have the default profile image.
+  block_default_profile_image: { type: Sequelize.BOOLEAN, defaultValue: false },
+  // True if the user has elected to block accounts with
+  // < low_statuses_threshold tweets that at-reply.
+  block_low_statuses: { type: Sequelize.BOOLEAN, defaultValue: false },
+  low_statuses_threshold: { type: Sequelize.INTEGER, defaultValue: 10 },
+  // True if the user has elected to block accounts that at-reply and follow
+  // more than follow_ratio_threshold times as many accounts as follow them.
+  block_follow_ratio: { type: Sequelize.BOOLEAN, defaultValue: false },
+  follow_ratio_threshold: { type: Sequelize.FLOAT, defaultValue: 20 },
+  // True if the user has elected not to block accounts that follow them, for
+  // blocks from each of: the auto-block criteria above, AutoBlockRules and
+  // AutoBlockKeywords;
+  // subscriptions; and Block All, imports and other bulk manual blocks.
+  protect_followers_auto_blocks:
+    { type: Sequelize.BOOLEAN, defaultValue: false },
+  protect_followers_subscriptions:
+    { type: Sequelize.BOOLEAN, defaultValue: false },
+  protect_followers_bulk_blocks:
+    { type: Sequelize.BOOLEAN, defaultValue: false },
   // Whether the user elected to follow @blocktogether from the settings screen.
   // This doesn't actually track their current following status, but we keep
   // track of it so that if they re-load the settings page it remembers the
   // value.
   follow_blocktogether: Sequelize.BOOLEAN,
+  // If non-null, the most subscribers the user will accept on their shared
+  // block list. Further subscribe attempts are rejected.
+  max_subscribers: Sequelize.INTEGER,
   // When a user revokes the app, deactivates their Twitter account, or gets
   // suspended, we set deactivatedAt to the time we observed that fact.
   // Since each of those states can be undone, we periodically retry credentials
@@ -163,7 +190,10 @@ BtUser.hasOne(TwitterUser, {foreignKey: 'uid'});
 
 var Subscription = sequelize.define('Subscription', {
   author_uid: Sequelize.STRING,
-  subscriber_uid: Sequelize.STRING
+  subscriber_uid: Sequelize.STRING,
+  // If true, the subscriber mutes the accounts on the author's list instead of
+  // blocking them.
+  mute_only: { type: Sequelize.BOOLEAN, defaultValue: false }
 });
 BtUser.hasMany(Subscription, {foreignKey: 'author_uid', as: 'Subscribers'});
 BtUser.hasMany(Subscription, {foreignKey: 'subscriber_uid', as: 'Subscriptions'});
@@ -183,6 +213,42 @@ var SharedBlock = sequelize.define('SharedBlock', {
 SharedBlock.belongsTo(BtUser, {foreignKey: 'author_uid'});
 SharedBlock.belongsTo(TwitterUser, {foreignKey: 'sink_uid'});
 
+/**
+ * A user-defined auto-block rule, evaluated by stream.js against accounts that
+ * mention the user. The rule field holds JSON as described in rules.js.
+ */
+var AutoBlockRule = sequelize.define('AutoBlockRule', {
+  uid: Sequelize.STRING,
+  name: Sequelize.STRING,
+  rule: Sequelize.TEXT,
+  enabled: { type: Sequelize.BOOLEAN, defaultValue: true }
+});
+BtUser.hasMany(AutoBlockRule, {foreignKey: 'uid', onDelete: 'cascade'});
+
+/**
+ * A user-defined keyword, phrase or regex, matched by stream.js against the
+ * text of tweets that mention the user, as described in keywords.js. type is
+ * the action to take on a match, 'block' or 'mute'.
+ */
+var AutoBlockKeyword = sequelize.define('AutoBlockKeyword', {
+  uid: Sequelize.STRING,
+  kind: Sequelize.STRING,
+  pattern: Sequelize.STRING,
+  type: Sequelize.STRING
+});
+BtUser.hasMany(AutoBlockKeyword, {foreignKey: 'uid', onDelete: 'cascade'});
+
+/**
+ * An account a user never wants Block Together to block or mute for them,
+ * whatever the cause. Checked by actions.js before performing a block or mute.
+ */
+var AllowlistEntry = sequelize.define('AllowlistEntry', {
+  uid: Sequelize.STRING,
+  sink_uid: Sequelize.STRING
+});
+BtUser.hasMany(AllowlistEntry, {foreignKey: 'uid', onDelete: 'cascade'});
+AllowlistEntry.belongsTo(TwitterUser, {foreignKey: 'sink_uid'});
+
 var Block = sequelize.define('Block', {
   sink_uid: Sequelize.STRING,
   type: Sequelize.STRING
@@ -203,6 +269,26 @@ BlockBatch.hasMany(Block, {onDelete: 'cascade'});
 Block.belongsTo(TwitterUser, {foreignKey: 'sink_uid'});
 BtUser.hasMany(BlockBatch, {foreignKey: 'source_uid', onDelete: 'cascade'});
 
+var Mute = sequelize.define('Mute', {
+  sink_uid: Sequelize.STRING
+}, {
+  timestamps: false
+});
+
+/**
+ * Represents a batch of mutes fetched from Twitter, using cursoring. Works the
+ * same way as BlockBatch.
+ */
+var MuteBatch = sequelize.define('MuteBatch', {
+  source_uid: Sequelize.STRING,
+  currentCursor: Sequelize.STRING,
+  complete: Sequelize.BOOLEAN,
+  size: Sequelize.INTEGER
+});
+MuteBatch.hasMany(Mute, {onDelete: 'cascade'});
+Mute.belongsTo(TwitterUser, {foreignKey: 'sink_uid'});
+BtUser.hasMany(MuteBatch, {foreignKey: 'source_uid', onDelete: 'cascade'});
+
 /**
  * An action (block or unblock) that we performed on behalf of a user, or that
  * we observed the user perform from an external client (like twitter.com or
@@ -220,10 +306,31 @@ var Action = sequelize.define('Action', {
   // A cause indicates why the action occurred, e.g. 'bulk-manual-block',
   // or 'new-account'. When the cause is another Block Together user,
   // e.g. in the bulk-manual-block case, the uid of that user is recorded in
-  // cause_uid. When cause is 'new-account' or 'low-followers'
-  // the cause_uid is empty.
+  // cause_uid. When cause is one of the auto-block criteria like
+  // 'new-account' or 'low-followers' the cause_uid is empty.
   cause: Sequelize.STRING,
-  cause_uid: Sequelize.STRING
+  cause_uid: Sequelize.STRING,
+  // When cause is 'rule', the name of the AutoBlockRule that matched. When
+  // cause is 'keyword', the pattern of the AutoBlockKeyword that matched.
+  rule_name: Sequelize.STRING,
+  // When cause is 'keyword', the id of the mention that matched.
+  cause_tweet_id: Sequelize.STRING,
+  // Number of times performing this action has failed with an error we expect
+  // to be temporary, the HTTP status of the last such error, and when to try
+  // again. After too many attempts the action is marked 'failed'.
+  attempts: { type: Sequelize.INTEGER, defaultValue: 0 },
+  last_error_code: Sequelize.INTEGER,
+  next_attempt_at: Sequelize.DATE,
+  // The actions.js worker processing this action, if any, and when its claim
+  // expires. Once expired, any worker may claim the action again.
+  locked_by: Sequelize.STRING,
+  locked_until: Sequelize.DATE,
+  // For a temporary block, when actions.js should unblock the target again,
+  // and whether it has dealt with that yet.
+  expires_at: Sequelize.DATE,
+  expired: { type: Sequelize.BOOLEAN, defaultValue: false },
+  // The ActionBatch this action was queued in.
+  action_batch_id: Sequelize.INTEGER
 });
 // From a BtUser we want to get a list of Actions.
 BtUser.hasMany(Action, {foreignKey: 'source_uid'});
@@ -233,40 +340,49 @@ Action.belongsTo(TwitterUser, {foreignKey: 'sink_uid'});
 // subscription.
 Action.belongsTo(BtUser, {foreignKey: 'cause_uid', as: 'CauseUser'});
 
-_.extend(Action, {
-  // Constants for the valid values of `status'.
-  PENDING: 'pending',
-  DONE: 'done',
-  CANCELLED_FOLLOWING: 'cancelled-following',
-  CANCELLED_SUSPENDED: 'cancelled-suspended',
-  // If the action did not need to be performed because the source was already
-  // blocking the sink.
-  CANCELLED_DUPLICATE: 'cancelled-duplicate',
-  // If a user has previously unblocked the target, the target should be immune
-  // from future automated blocks.
-  CANCELLED_UNBLOCKED: 'cancelled-unblocked',
-  // You cannot block yourself.
-  CANCELLED_SELF: 'cancelled-self',
-  // When we find a suspended user, we put it in a deferred state to be tried
-  // later.
-  DEFERRED_TARGET_SUSPENDED: 'deferred-target-suspended',
-  // When a user with pending actions is deactivated/suspended/revokes,
-  // cancel those pending actions.
-  CANCELLED_SOURCE_DEACTIVATED: 'cancelled-source-deactivated',
-
-  // Constants for the valid values of 'type'.
-  BLOCK: 'block',
-  UNBLOCK: 'unblock',
+/**
+ * The Actions queued by a single call to actions.queueActions, e.g. one Block
+ * All, so they can be listed and undone together. Route records what queued
+ * them: a web route like '/block-all.json', or a script like 'stream.js'.
+ * An undo is itself a batch, with undo_of set to the batch it undoes.
+ */
+var ActionBatch = sequelize.define('ActionBatch', {
+  source_uid: Sequelize.STRING,
+  type: Sequelize.STRING,
+  cause: Sequelize.STRING,
+  cause_uid: Sequelize.STRING,
+  route: Sequelize.STRING,
+  size: Sequelize.INTEGER,
+  undo_of: Sequelize.INTEGER,
+  undone_at: Sequelize.DATE,
+  // Why part of an operation couldn't be queued, e.g. an import whose screen
+  // names Twitter failed to look up. Such a batch may have no actions.
+  error: Sequelize.STRING
+});
+BtUser.hasMany(ActionBatch, {foreignKey: 'source_uid'});
+ActionBatch.hasMany(Action, {foreignKey: 'action_batch_id'});
 
-  // Constants for the valid values of 'cause'
-  BULK_MANUAL_BLOCK: 'bulk-manual-block', // 'Block all' from a shared list.
-  NEW_ACCOUNT: 'new-account', // "Block new accounts"
-  LOW_FOLLOWERS: 'low-followers', // "Block accounts with < 15 followers."
-  SUBSCRIPTION: 'subscription', // Blocked because of a subscription.
+/**
+ * A shard of the users whose streams stream.js watches, and the stream.js
+ * worker holding a lease on it until locked_until. See stream-shards.js.
+ */
+var StreamShard = sequelize.define('StreamShard', {
+  shard: { type: Sequelize.INTEGER, primaryKey: true },
+  locked_by: Sequelize.STRING,
+  locked_until: Sequelize.DATE
+});
 
-  EXTERNAL: 'external' // Done byTwitter web or other app, and observed by BT.
+/**
+ * A stream.js worker, which counts as alive until alive_until.
+ */
+var StreamWorker = sequelize.define('StreamWorker', {
+  worker_id: { type: Sequelize.STRING, primaryKey: true },
+  alive_until: Sequelize.DATE
 });
 
+// Constants for Action's status, type and cause fields, e.g. Action.PENDING.
+_.extend(Action, actionConstants);
+
 // User to follow from settings page. In prod this is @blocktogether.
 // Initially blank, and loaded asynchronously. It's unlikely the
 // variable will be referenced before it is initialized.
@@ -289,9 +405,8 @@ BtUser.find({
  */
 var updateBlocksService = null;
 
-// Call the updateBlocksService to update blocks for a user, and return a
-// promise.
-function remoteUpdateBlocks(user) {
+// Call a method of the updateBlocksService for a user, and return a promise.
+function callUpdateBlocksService(method, user) {
   var deferred = Q.defer();
   if (!updateBlocksService) {
     updateBlocksService = upnode.connect({
@@ -313,17 +428,23 @@ function remoteUpdateBlocks(user) {
       }
     });
   }
-  logger.debug('Requesting block update for', user);
+  logger.debug('Requesting', method, 'for', user);
   // Note: We can't just call this once and store 'remote', because upnode
   // queues the request in case the remote server is down.
   updateBlocksService(function(remote) {
-    remote.updateBlocksForUid(user.uid, scriptName, function(result) {
+    remote[method](user.uid, scriptName, function(result) {
       deferred.resolve(result);
     });
   });
   return deferred.promise;
 }
 
+// Ask the update-blocks process to update blocks or mutes for a user.
+var remoteUpdateBlocks =
+  callUpdateBlocksService.bind(null, 'updateBlocksForUid');
+var remoteUpdateMutes =
+  callUpdateBlocksService.bind(null, 'updateMutesForUid');
+
 function gracefulShutdown() {
   if (updateBlocksService) {
     updateBlocksService.close();
@@ -332,12 +453,20 @@ function gracefulShutdown() {
 
 module.exports = {
   Action: Action,
+  ActionBatch: ActionBatch,
+  AllowlistEntry: AllowlistEntry,
+  AutoBlockKeyword: AutoBlockKeyword,
+  AutoBlockRule: AutoBlockRule,
   Block: Block,
   BlockBatch: BlockBatch,
   BtUser: BtUser,
+  Mute: Mute,
+  MuteBatch: MuteBatch,
   TwitterUser: TwitterUser,
   Subscription: Subscription,
   SharedBlock: SharedBlock,
+  StreamShard: StreamShard,
+  StreamWorker: StreamWorker,
   config: config,
   configDir: configDir,
   logger: logger,
@@ -345,6 +474,7 @@ module.exports = {
   twitter: twitter,
   userToFollow: userToFollow,
   remoteUpdateBlocks: remoteUpdateBlocks,
+  remoteUpdateMutes: remoteUpdateMutes,
   gracefulShutdown: gracefulShutdown
 };
 })();
@@ -0,0 +1,253 @@
+'use strict';
+(function() {
+
+/**
+ * Maintenance of curated shared block lists (the SharedBlocks table).
+ *
+ * An author's shared block list starts out as the blocks from their first
+ * BlockBatch, and from then on follows the blocks and unblocks that
+ * update-blocks.js observes them making on Twitter. Accounts that Block
+ * Together auto-blocked on the author's behalf are never added, and the author
+ * can remove accounts from the list while continuing to block them.
+ */
+var Q = require('q'),
+    _ = require('sequelize').Utils._,
+    setup = require('./setup');
+
+var logger = setup.logger,
+    Action = setup.Action,
+    SharedBlock = setup.SharedBlock;
+
+/**
+ * Causes of blocks that Block Together performed automatically. Accounts
+ * blocked for these reasons don't belong on the blocking user's shared list,
+ * per the design doc: blocks that flow in from subscriptions or from 'block
+ * new accounts' features should not propagate any further.
+ */
+var AUTO_BLOCK_CAUSES = [
+  Action.NEW_ACCOUNT,
+  Action.LOW_FOLLOWERS,
+  Action.DEFAULT_PROFILE_IMAGE,
+  Action.LOW_STATUSES,
+  Action.FOLLOW_RATIO,
+  Action.RULE,
+  Action.KEYWORD,
+  Action.SUBSCRIPTION
+];
+
+/**
+ * Split a list into chunks of at most size elements.
+ * @param {Array} list
+ * @param {number} size
+ * @return {Array.<Array>}
+ */
+function chunk(list, size) {
+  var chunks = [];
+  for (var i = 0; i < list.length; i += size) {
+    chunks.push(list.slice(i, i + size));
+  }
+  return chunks;
+}
+
+/**
+ * Run findAll on a model once per chunk of sink_uids, so the IN clause stays
+ * a reasonable size, and return the concatenated sink_uid values.
+ *
+ * @param {Object} model A sequelize model with a sink_uid column.
+ * @param {Object} where Conditions other than sink_uid.
+ * @param {Array.<string>} sink_uids
+ * @return {Promise.<Array.<string>>} The sink_uids of the matching rows.
+ */
+function findSinkUids(model, where, sink_uids) {
+  return Q.all(chunk(sink_uids, 1000).map(function(sinkUidChunk) {
+    return model.findAll({
+      where: _.extend({sink_uid: sinkUidChunk}, where),
+      attributes: ['sink_uid']
+    });
+  })).then(function(results) {
+    return _.pluck(_.flatten(results), 'sink_uid');
+  });
+}
+
+/**
+ * Given a list of uids an author blocks, remove those that Block Together
+ * auto-blocked on the author's behalf.
+ *
+ * Normally we look up auto-block Actions by sink_uid. When seeding a list from
+ * the author's first BlockBatch, the list can be too large for that to be
+ * efficient, so we look up all of the author's auto-block Actions instead.
+ *
+ * @param {string} author_uid The uid of the author.
+ * @param {Array.<string>} sink_uids Uids the author blocks.
+ * @param {boolean} seeding Whether sink_uids is an entire BlockBatch.
+ * @return {Promise.<Array.<string>>} The subset of sink_uids that were not
+ *   auto-blocked.
+ */
+function filterAutoBlocks(author_uid, sink_uids, seeding) {
+  if (sink_uids.length === 0) {
+    return Q.resolve([]);
+  }
+  var where = {
+    source_uid: author_uid,
+    type: Action.BLOCK,
+    status: Action.DONE,
+    cause: AUTO_BLOCK_CAUSES
+  };
+  var autoBlockUids;
+  if (seeding) {
+    autoBlockUids = Q(Action.findAll({
+      where: where,
+      attributes: ['sink_uid']
+    })).then(function(autoBlocks) {
+      return _.pluck(autoBlocks, 'sink_uid');
+    });
+  } else {
+    autoBlockUids = findSinkUids(Action, where, sink_uids);
+  }
+  return autoBlockUids.then(function(uids) {
+    return _.difference(sink_uids, uids);
+  });
+}
+
+/**
+ * Fetch the uids currently on an author's shared block list, out of the given
+ * candidates.
+ * @param {string} author_uid The uid of the author.
+ * @param {Array.<string>} sink_uids Uids to look for.
+ * @param {boolean} seeding Whether sink_uids is an entire BlockBatch, in which
+ *   case the whole list is fetched instead of querying by sink_uid.
+ * @return {Promise.<Array.<string>>}
+ */
+function getSharedBlockUids(author_uid, sink_uids, seeding) {
+  if (!seeding) {
+    return findSinkUids(SharedBlock, {author_uid: author_uid}, sink_uids);
+  }
+  return Q(SharedBlock.findAll({
+    where: {
+      author_uid: author_uid
+    },
+    attributes: ['sink_uid']
+  })).then(function(sharedBlocks) {
+    return _.pluck(sharedBlocks, 'sink_uid');
+  });
+}
+
+/**
+ * Add accounts to an author's shared block list, skipping any that were
+ * auto-blocked and any that are already on the list.
+ *
+ * @param {string} author_uid The uid of the author.
+ * @param {Array.<string>} sink_uids Uids to add.
+ * @param {boolean=} opt_seeding Whether sink_uids is the author's entire first
+ *   BlockBatch. See seedSharedBlocks.
+ * @return {Promise.<Array.<string>>} The uids that were newly added.
+ */
+function addSharedBlocks(author_uid, sink_uids, opt_seeding) {
+  return Q.all([
+    filterAutoBlocks(author_uid, sink_uids, !!opt_seeding),
+    getSharedBlockUids(author_uid, sink_uids, !!opt_seeding)
+  ]).spread(function(candidates, existing) {
+    var toAdd = _.uniq(_.difference(candidates, existing));
+    // Insert in chunks so that seeding a list from a large BlockBatch doesn't
+    // produce a single enormous INSERT statement.
+    return Q.all(chunk(toAdd, 5000).map(function(sinkUidChunk) {
+      return SharedBlock.bulkCreate(sinkUidChunk.map(function(sink_uid) {
+        return {
+          author_uid: author_uid,
+          sink_uid: sink_uid
+        };
+      }), {
+        ignoreDuplicates: true
+      });
+    })).then(function() {
+      if (toAdd.length > 0) {
+        logger.debug('Added', toAdd.length, 'shared blocks for', author_uid);
+      }
+      return toAdd;
+    });
+  });
+}
+
+/**
+ * Start an author's shared block list off with the blocks from their first
+ * BlockBatch.
+ *
+ * @param {string} author_uid The uid of the author.
+ * @param {Array.<string>} sink_uids All uids in the BlockBatch.
+ * @return {Promise.<Array.<string>>} The uids that were newly added.
+ */
+function seedSharedBlocks(author_uid, sink_uids) {
+  return addSharedBlocks(author_uid, sink_uids, true);
+}
+
+/**
+ * Remove accounts from an author's shared block list. Removing an account
+ * does not unblock it for the author.
+ *
+ * @param {string} author_uid The uid of the author.
+ * @param {Array.<string>} sink_uids Uids to remove.
+ * @return {Promise.<Array.<string>>} The uids that were on the list and have
+ *   now been removed.
+ */
+function removeSharedBlocks(author_uid, sink_uids) {
+  if (sink_uids.length === 0) {
+    return Q.resolve([]);
+  }
+  return SharedBlock.findAll({
+    where: {
+      author_uid: author_uid,
+      sink_uid: sink_uids
+    },
+    attributes: ['sink_uid']
+  }).then(function(sharedBlocks) {
+    var toRemove = _.pluck(sharedBlocks, 'sink_uid');
+    if (toRemove.length === 0) {
+      return [];
+    }
+    return SharedBlock.destroy({
+      author_uid: author_uid,
+      sink_uid: toRemove
+    }).then(function() {
+      logger.debug('Removed', toRemove.length, 'shared blocks for', author_uid);
+      return toRemove;
+    });
+  });
+}
+
+/**
+ * Given external block and unblock Actions observed by update-blocks, update
+ * the author's shared block list to match: external blocks are added (unless
+ * the account was auto-blocked), external unblocks are removed.
+ *
+ * @param {Array.<Action>} actions External Actions for a single source_uid.
+ *   May contain nulls, which are ignored.
+ * @return {Promise.<Array.<Action>>} The subset of actions that changed the
+ *   shared block list, and so should be fanned out to subscribers.
+ */
+function applyExternalActions(actions) {
+  actions = _.filter(actions, null);
+  if (actions.length === 0) {
+    return Q.resolve([]);
+  }
+  var author_uid = actions[0].source_uid;
+  var byType = _.groupBy(actions, 'type');
+  var blocks = byType[Action.BLOCK] || [];
+  var unblocks = byType[Action.UNBLOCK] || [];
+  return Q.all([
+    addSharedBlocks(author_uid, _.pluck(blocks, 'sink_uid')),
+    removeSharedBlocks(author_uid, _.pluck(unblocks, 'sink_uid'))
+  ]).spread(function(added, removed) {
+    var changed = _.object(added.concat(removed), []);
+    return actions.filter(function(action) {
+      return _.has(changed, action.sink_uid);
+    });
+  });
+}
+
+module.exports = {
+  addSharedBlocks: addSharedBlocks,
+  applyExternalActions: applyExternalActions,
+  removeSharedBlocks: removeSharedBlocks,
+  seedSharedBlocks: seedSharedBlocks
+};
+})();
@@ -0,0 +1,58 @@
+/**
+ * Handle events for /actions
+ */
+$(function(){
+  function post(url, data) {
+    data.csrf_token = document.body.getAttribute('data-csrf-token');
+    $.ajax({
+      type: 'POST',
+      url: url,
+      contentType: 'application/json',
+      dataType: 'json',
+      data: JSON.stringify(data),
+      success: function(data, textStatus, jqXHR) {
+        document.location.reload();
+      },
+      error: function(jqXHR, textStatus, errorThrown) {
+        if (jqXHR.responseJSON && jqXHR.responseJSON.error) {
+          alert('Error: ' + jqXHR.responseJSON.error);
+        } else {
+          alert('Error: ' + textStatus + ',' + errorThrown);
+        }
+      }
+    });
+  }
+
+  $('.retry').click(function(ev) {
+    var id = $(ev.target).closest('.action').data('id');
+    post('/retry-actions.json', { action_ids: [id] });
+  });
+
+  $('.retry-all').click(function(ev) {
+    post('/retry-actions.json', {});
+  });
+
+  $('.cancel').click(function(ev) {
+    var id = $(ev.target).closest('.action').data('id');
+    post('/cancel-actions.json', { action_ids: [id] });
+  });
+
+  $('.cancel-cause').click(function(ev) {
+    post('/cancel-actions.json', {
+      cause_uid: String($(ev.target).data('cause-uid'))
+    });
+  });
+
+  $('.undo-batch').click(function(ev) {
+    var id = $(ev.target).closest('.action-batch').data('id');
+    if (confirm('Undo this operation?')) {
+      post('/undo-action-batch.json', { action_batch_id: id });
+    }
+  });
+
+  $('.cancel-all').click(function(ev) {
+    if (confirm('Cancel all pending actions?')) {
+      post('/cancel-actions.json', {});
+    }
+  });
+});
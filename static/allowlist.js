@@ -0,0 +1,67 @@
+/**
+ * Handle events for /allowlist.
+ */
+$(function(){
+  function showError(jqXHR, textStatus, errorThrown) {
+    if (jqXHR && jqXHR.responseJSON && jqXHR.responseJSON.error) {
+      var message = 'Error: ' + jqXHR.responseJSON.error;
+    } else {
+      var message = 'Error: ' + textStatus + " " + errorThrown;
+    }
+    // Note: using .text and not .html is important for XSS safety.
+    $('.allowlist-result').text(message).show();
+  }
+
+  $('button.allowlist-add').click(function(ev) {
+    var screenNames = $('#allowlist-screen-names').val().split(/[\s,]+/)
+      .filter(function(screenName) {
+        return screenName.length > 0;
+      });
+    $(ev.target).prop('disabled', true);
+    $.ajax({
+      type: 'POST',
+      url: '/allowlist.json',
+      contentType: 'application/json',
+      dataType: 'json',
+      data: JSON.stringify({
+        csrf_token: document.body.getAttribute('data-csrf-token'),
+        add: screenNames
+      }),
+      success: function(data, textStatus, jqXHR) {
+        var notAdded = data.not_found.concat(data.invalid);
+        if (notAdded.length > 0) {
+          $('.allowlist-result').text('Added ' + data.added.length +
+            ' accounts. Could not find: ' + notAdded.join(', ')).show();
+          $(ev.target).prop('disabled', false);
+        } else {
+          window.location.reload();
+        }
+      },
+      error: function(jqXHR, textStatus, errorThrown) {
+        showError(jqXHR, textStatus, errorThrown);
+        $(ev.target).prop('disabled', false);
+      }
+    });
+  });
+
+  $('button.allowlist-remove').click(function(ev) {
+    // See show-blocks.js for why uids are converted back to strings.
+    var checkedUids = $('.checkbox:checked').map(function (el) {
+      return $(this).data('uid').toString();
+    });
+    $.ajax({
+      type: 'POST',
+      url: '/allowlist.json',
+      contentType: 'application/json',
+      dataType: 'json',
+      data: JSON.stringify({
+        csrf_token: document.body.getAttribute('data-csrf-token'),
+        remove: $.makeArray(checkedUids)
+      }),
+      success: function(data, textStatus, jqXHR) {
+        $('.checkbox:checked').closest('tr').remove();
+      },
+      error: showError
+    });
+  });
+});
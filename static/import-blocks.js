@@ -0,0 +1,54 @@
+/**
+ * Handle events for /import-blocks.
+ */
+$(function(){
+  $('#import-file').change(function(ev) {
+    var file = ev.target.files[0];
+    if (!file) {
+      return;
+    }
+    var reader = new FileReader();
+    reader.onload = function() {
+      $('#import-text').val(reader.result);
+    };
+    reader.readAsText(file);
+  });
+
+  $('button.import-blocks').click(function(ev) {
+    $(ev.target).prop('disabled', true);
+    $.ajax({
+      type: 'POST',
+      url: '/import-blocks.json',
+      contentType: 'application/json',
+      dataType: 'json',
+      data: JSON.stringify({
+        csrf_token: document.body.getAttribute('data-csrf-token'),
+        text: $('#import-text').val()
+      }),
+      success: function(data, textStatus, jqXHR) {
+        var message = 'Queued ' + data.uid_count + ' blocks.';
+        if (data.screen_name_count > 0) {
+          message += ' Looking up ' + data.screen_name_count +
+            ' screen names; they will be queued as they are found.';
+        }
+        if (data.invalid_count > 0) {
+          message += ' Skipped ' + data.invalid_count +
+            ' lines that were not a uid or screen name.';
+        }
+        // Note: using .text and not .html is important for XSS safety.
+        $('.import-result').text(message).show();
+        $('#import-text').val('');
+        $(ev.target).prop('disabled', false);
+      },
+      error: function(jqXHR, textStatus, errorThrown) {
+        if (jqXHR && jqXHR.responseJSON && jqXHR.responseJSON.error) {
+          var message = 'Error: ' + jqXHR.responseJSON.error;
+        } else {
+          var message = 'Error: ' + textStatus + " " + errorThrown;
+        }
+        $('.import-result').text(message).show();
+        $(ev.target).prop('disabled', false);
+      }
+    });
+  });
+});
@@ -0,0 +1,30 @@
+/**
+ * Handle events for /my-mutes.
+ */
+$(function(){
+  function unmuteSelected() {
+    // See show-blocks.js for why uids are converted back to strings.
+    var checkedUids = $('.checkbox:checked').map(function (el) {
+      return $(this).data('uid').toString();
+    });
+    $.ajax({
+      type: 'POST',
+      url: '/do-actions.json',
+      contentType: 'application/json',
+      dataType: 'json',
+      data: JSON.stringify({
+        csrf_token: document.body.getAttribute('data-csrf-token'),
+        type: 'unmute',
+        list: $.makeArray(checkedUids)
+      }),
+      success: function(data, textStatus, jqXHR) {
+        $('.unblock-processing').show();
+      },
+      error: function(jqXHR, textStatus, errorThrown) {
+        alert('Error: ' + textStatus + " " + errorThrown);
+      }
+    });
+  }
+
+  $('button.unmute').click(unmuteSelected);
+});
@@ -1,5 +1,5 @@
 $(document).ready(function(){
-    $(":checkbox").change(function(ev) {
+    $(":checkbox, input[type=number]").change(function(ev) {
         $.ajax({
           type: 'POST',
           url: '/settings.json',
@@ -8,9 +8,24 @@ $(document).ready(function(){
           data: JSON.stringify({
             csrf_token: document.body.getAttribute('data-csrf-token'),
             block_new_accounts: $('#block_new_accounts').prop('checked'),
+            new_account_days: $('#new_account_days').val(),
             block_low_followers: $('#block_low_followers').prop('checked'),
+            low_followers_threshold: $('#low_followers_threshold').val(),
+            block_default_profile_image:
+              $('#block_default_profile_image').prop('checked'),
+            block_low_statuses: $('#block_low_statuses').prop('checked'),
+            low_statuses_threshold: $('#low_statuses_threshold').val(),
+            block_follow_ratio: $('#block_follow_ratio').prop('checked'),
+            follow_ratio_threshold: $('#follow_ratio_threshold').val(),
+            protect_followers_auto_blocks:
+              $('#protect_followers_auto_blocks').prop('checked'),
+            protect_followers_subscriptions:
+              $('#protect_followers_subscriptions').prop('checked'),
+            protect_followers_bulk_blocks:
+              $('#protect_followers_bulk_blocks').prop('checked'),
             share_blocks: $('#share_blocks').prop('checked'),
-            follow_blocktogether: $('#follow_blocktogether').prop('checked')
+            follow_blocktogether: $('#follow_blocktogether').prop('checked'),
+            max_subscribers: $('#max_subscribers').val()
           }),
           success: function(data, textStatus, jqXHR) {
             $('.saved').show();
@@ -21,8 +36,93 @@ $(document).ready(function(){
             }
           },
           error: function(jqXHR, textStatus, errorThrown) {
-            alert('Error: ' + textStatus + " " + errorThrown);
+            if (jqXHR && jqXHR.responseJSON && jqXHR.responseJSON.error) {
+              alert('Error: ' + jqXHR.responseJSON.error);
+            } else {
+              alert('Error: ' + textStatus + " " + errorThrown);
+            }
           }
         });
     });
+
+    function showError(jqXHR, textStatus, errorThrown) {
+      if (jqXHR && jqXHR.responseJSON && jqXHR.responseJSON.error) {
+        alert('Error: ' + jqXHR.responseJSON.error);
+      } else {
+        alert('Error: ' + textStatus + " " + errorThrown);
+      }
+    }
+
+    $('button.save-rule').click(function(ev) {
+        $.ajax({
+          type: 'POST',
+          url: '/auto-block-rules.json',
+          contentType: "application/json",
+          dataType: "json",
+          data: JSON.stringify({
+            csrf_token: document.body.getAttribute('data-csrf-token'),
+            name: $('#rule_name').val(),
+            rule: $('#rule_json').val()
+          }),
+          success: function(data, textStatus, jqXHR) {
+            document.location.reload();
+          },
+          error: showError
+        });
+    });
+
+    $('button.delete-rule').click(function(ev) {
+        var rule = $(ev.target).closest('.auto-block-rule');
+        $.ajax({
+          type: 'POST',
+          url: '/delete-auto-block-rule.json',
+          contentType: "application/json",
+          dataType: "json",
+          data: JSON.stringify({
+            csrf_token: document.body.getAttribute('data-csrf-token'),
+            name: rule.data('name').toString()
+          }),
+          success: function(data, textStatus, jqXHR) {
+            rule.remove();
+          },
+          error: showError
+        });
+    });
+
+    $('button.add-keyword').click(function(ev) {
+        $.ajax({
+          type: 'POST',
+          url: '/auto-block-keywords.json',
+          contentType: "application/json",
+          dataType: "json",
+          data: JSON.stringify({
+            csrf_token: document.body.getAttribute('data-csrf-token'),
+            kind: $('#keyword_kind').val(),
+            pattern: $('#keyword_pattern').val(),
+            type: $('#keyword_type').val()
+          }),
+          success: function(data, textStatus, jqXHR) {
+            document.location.reload();
+          },
+          error: showError
+        });
+    });
+
+    $('button.delete-keyword').click(function(ev) {
+        var keyword = $(ev.target).closest('.auto-block-keyword');
+        $.ajax({
+          type: 'POST',
+          url: '/delete-auto-block-keyword.json',
+          contentType: "application/json",
+          dataType: "json",
+          data: JSON.stringify({
+            csrf_token: document.body.getAttribute('data-csrf-token'),
+            id: Number(keyword.data('id'))
+          }),
+          success: function(data, textStatus, jqXHR) {
+            keyword.remove();
+          },
+          error: showError
+        });
+    });
 });
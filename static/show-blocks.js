@@ -8,13 +8,19 @@ $(function(){
 
   // Prevent people from subscribing to their own block lists.
   if (author_uid === user_uid) {
-    $('button.block-all').prop('disabled', true);
+    $('button.block-all, button.mute-all').prop('disabled', true);
   }
 
   function errorHandler(jqXHR, textStatus, errorThrown) {
-    alert('Error: ' + textStatus + " " + errorThrown);
+    if (jqXHR && jqXHR.responseJSON && jqXHR.responseJSON.error) {
+      alert('Error: ' + jqXHR.responseJSON.error);
+    } else {
+      alert('Error: ' + textStatus + " " + errorThrown);
+    }
   }
-  function doAction(type) {
+  // Queue an action on the selected accounts. opt_expiresInDays makes blocks
+  // temporary.
+  function doAction(type, opt_expiresInDays) {
     var checkedUids = $('.checkbox:checked').map(function (el) {
       // jQuery's .data() will make every attempt to convert to a
       // JavaScript object (https://api.jquery.com/data/), which means turning
@@ -36,10 +42,12 @@ $(function(){
       data: JSON.stringify({
         csrf_token: document.body.getAttribute('data-csrf-token'),
         type: type,
-        list: $.makeArray(checkedUids)
+        list: $.makeArray(checkedUids),
+        expires_in_days: opt_expiresInDays
       }),
       success: function(data, textStatus, jqXHR) {
-        if (type === 'unblock' || type === 'unblock-mute') {
+        if (type === 'unblock' || type === 'unblock-mute' ||
+            opt_expiresInDays) {
           $('.unblock-processing').show();
         }
       },
@@ -47,10 +55,45 @@ $(function(){
     });
   }
 
-  function blockAll() {
+  function removeShared() {
+    var checkedUids = $('.checkbox:checked').map(function (el) {
+      return $(this).data('uid').toString();
+    });
     $.ajax({
       type: 'POST',
-      url: '/block-all.json',
+      url: '/remove-shared-blocks.json',
+      contentType: 'application/json',
+      dataType: 'json',
+      data: JSON.stringify({
+        csrf_token: document.body.getAttribute('data-csrf-token'),
+        list: $.makeArray(checkedUids)
+      }),
+      success: function(data, textStatus, jqXHR) {
+        $('.checkbox:checked').closest('tr').remove();
+        $('.remove-shared-processing').show();
+      },
+      error: errorHandler
+    });
+  }
+
+  // Descriptions of the outcomes in a preview from /block-all-preview.json.
+  var PREVIEW_OUTCOMES = {
+    will_block: 'will be blocked',
+    already_blocked: 'you already block',
+    following: 'you follow, so they won\'t be blocked',
+    follower: 'follow you, so they won\'t be blocked',
+    previously_unblocked: 'you unblocked before, so they won\'t be blocked',
+    suspended: 'are suspended or deactivated, and will be blocked if they ' +
+      'come back',
+    self: 'is your own account',
+    allowlisted: 'are on your allowlist, so they won\'t be blocked'
+  };
+
+  // Show what Block All would do before the user confirms it.
+  function previewBlockAll() {
+    $.ajax({
+      type: 'POST',
+      url: '/block-all-preview.json',
       contentType: 'application/json',
       dataType: 'json',
       data: JSON.stringify({
@@ -59,9 +102,56 @@ $(function(){
         shared_blocks_key: shared_blocks_key.toString()
       }),
       success: function(data, textStatus, jqXHR) {
+        $('.preview-checked').text(data.checked);
+        $('.preview-total').text(data.total);
+        var list = $('.preview-outcomes').empty();
+        $.each(PREVIEW_OUTCOMES, function(outcome, description) {
+          if (!data.counts[outcome]) {
+            return;
+          }
+          var examples = $.map(data.samples[outcome], function(sample) {
+            return sample.screen_name ? '@' + sample.screen_name : sample.uid;
+          });
+          $('<li>').text(data.counts[outcome] + ' ' + description +
+            ' (e.g. ' + examples.join(', ') + ')').appendTo(list);
+        });
+        $('.preview-rate-limited').toggle(data.rate_limited);
+        $('.block-all-preview').show();
+      },
+      error: function(jqXHR, textStatus, errorThrown) {
+        $('.block-all, .mute-all').prop('disabled', false);
+        errorHandler(jqXHR, textStatus, errorThrown);
+      }
+    });
+  }
+
+  // Subscribe to the list, applying it as blocks, or as mutes if muteOnly is
+  // true.
+  function blockAll(muteOnly) {
+    $.ajax({
+      type: 'POST',
+      url: '/block-all.json',
+      contentType: 'application/json',
+      dataType: 'json',
+      data: JSON.stringify({
+        csrf_token: document.body.getAttribute('data-csrf-token'),
+        author_uid: author_uid,
+        shared_blocks_key: shared_blocks_key.toString(),
+        mute_only: muteOnly
+      }),
+      success: function(data, textStatus, jqXHR) {
+        $('.block-all, .mute-all').hide();
+        if (muteOnly) {
+          $('.mute-all-processing').show();
+          $('#muted-users').text(data['block_count']);
+          return;
+        }
         $('.block-all-processing').show();
-        $('.block-all').hide();
         $('#blocked-users').text(data['block_count']);
+        if (data['skipped_count']) {
+          $('#skipped-users').text(data['skipped_count']);
+          $('.skipped-users').show();
+        }
       },
       error: errorHandler
     });
@@ -91,9 +181,24 @@ $(function(){
     } else if ($(ev.target).hasClass('unblock-mute')) {
       doAction('unblock');
       doAction('mute');
+    } else if ($(ev.target).hasClass('expire')) {
+      // Setting an expiry on accounts that are already blocked: actions.js
+      // records the block as done and schedules the unblock.
+      doAction('block', parseInt($('.expires-in-days').val(), 10));
+    } else if ($(ev.target).hasClass('remove-shared')) {
+      removeShared();
     } else if ($(ev.target).hasClass('block-all')) {
-      $(ev.target).prop('disabled', true);
-      blockAll();
+      $('.block-all, .mute-all').prop('disabled', true);
+      previewBlockAll();
+    } else if ($(ev.target).hasClass('confirm-block-all')) {
+      $('.block-all-preview').hide();
+      blockAll(false);
+    } else if ($(ev.target).hasClass('cancel-block-all')) {
+      $('.block-all-preview').hide();
+      $('.block-all, .mute-all').prop('disabled', false);
+    } else if ($(ev.target).hasClass('mute-all')) {
+      $('.block-all, .mute-all').prop('disabled', true);
+      blockAll(true);
     } else {
       console.log(ev.target);
     }
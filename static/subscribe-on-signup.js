@@ -24,6 +24,10 @@ $(function(){
       $('.block-all-processing').show();
       $('.block-all-submitting').hide();
       $('#blocked-users').text(data['block_count']);
+      if (data['skipped_count']) {
+        $('#skipped-users').text(data['skipped_count']);
+        $('.skipped-users').show();
+      }
     },
     error: function(jqXHR, textStatus, errorThrown) {
       $('.block-all-submitting').hide();
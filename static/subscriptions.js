@@ -18,6 +18,15 @@ $(function(){
       }),
       success: function(data, textStatus, jqXHR) {
         item.remove();
+        if (data.unblock_count && $(ev.target).data('mute-only')) {
+          $('.unsubscribe-result').text('Block Together will now unmute ' +
+            data.unblock_count + ' accounts that you muted only because ' +
+            'of that list.').show();
+        } else if (data.unblock_count) {
+          $('.unsubscribe-result').text('Block Together will now unblock ' +
+            data.unblock_count + ' accounts that you blocked only because ' +
+            'of that list.').show();
+        }
       },
       error: function(jqXHR, textStatus, errorThrown) {
         item.removeClass(WORKING);
@@ -0,0 +1,282 @@
+'use strict';
+(function() {
+
+/**
+ * Assignment of users' streams to stream.js workers, which may run on several
+ * hosts. Users are split into config.streamShards shards by uid, and each
+ * worker holds a lease on some of the shards, recorded in the StreamShards
+ * table. A worker streams only the users in shards it holds.
+ *
+ * Every worker also records a heartbeat in StreamWorkers, so workers know how
+ * many of them are alive and can aim for an even share of the shards. Each
+ * renewal, a worker with more than its share releases a shard, and a worker
+ * with less claims a free or expired one. So when a worker dies its shards
+ * move to the others once its leases expire, and when one is added the others
+ * hand it shards.
+ *
+ * Two workers must never stream the same user, since Twitter responds to
+ * duplicate connections with 420s. So a worker stops a shard's streams before
+ * releasing it, and stops all its streams on its own if it hasn't managed to
+ * renew its leases LEASE_SAFETY_MS before they expire. That assumes host clocks
+ * are within LEASE_SAFETY_MS of each other.
+ *
+ * All hosts must use the same config.streamShards. Changing it means stopping
+ * every stream.js first.
+ */
+var _ = require('sequelize').Utils._,
+    setup = require('./setup');
+
+var config = setup.config,
+    logger = setup.logger,
+    sequelize = setup.sequelize;
+
+var NUM_SHARDS = config.streamShards || 2;
+var LEASE_MS = (config.streamShardLeaseSeconds || 90) * 1000;
+// Leases are renewed three times per lease period, so a worker survives a
+// couple of failed renewals.
+var RENEW_MS = LEASE_MS / 3;
+var LEASE_SAFETY_MS = 15 * 1000;
+
+/**
+ * The id this worker records in the tables, set by start.
+ * @type {string|null}
+ */
+var workerId = null;
+
+/**
+ * Shards this worker holds, as a map from shard number to 1.
+ */
+var held = {};
+
+/**
+ * When this worker's leases expire, as far as it knows: the time it started
+ * its last successful renewal plus LEASE_MS.
+ */
+var leaseExpiresAt = 0;
+
+/**
+ * Functions to call with a shard number when this worker gains or loses a
+ * shard. Set by start.
+ */
+var callbacks = null;
+
+/**
+ * Find which shard a uid belongs to. Uids can be too big for a JavaScript
+ * number, so this works on the decimal string, and matches
+ * CAST(uid AS UNSIGNED) % numShards in MySQL.
+ *
+ * @param {string} uid
+ * @param {number} numShards
+ * @return {number}
+ */
+function shardForUid(uid, numShards) {
+  var remainder = 0;
+  for (var i = 0; i < uid.length; i++) {
+    remainder = (remainder * 10 + (uid.charCodeAt(i) - 48)) % numShards;
+  }
+  return remainder;
+}
+
+/**
+ * The most shards a worker should hold so that they're spread evenly.
+ *
+ * @param {number} numShards
+ * @param {number} numWorkers Live workers, including this one.
+ * @return {number}
+ */
+function fairShare(numShards, numWorkers) {
+  return Math.ceil(numShards / Math.max(numWorkers, 1));
+}
+
+/**
+ * Make sure there is a StreamShards row for every shard.
+ * @return {Promise}
+ */
+function createShards() {
+  var now = new Date();
+  var rows = _.range(NUM_SHARDS).map(function() {
+    return '(?, ?, ?)';
+  }).join(', ');
+  var values = _.flatten(_.range(NUM_SHARDS).map(function(shard) {
+    return [shard, now, now];
+  }));
+  return sequelize.query(
+    'INSERT IGNORE INTO StreamShards (shard, createdAt, updatedAt) VALUES ' +
+    rows, null, { raw: true }, values);
+}
+
+/**
+ * Record that this worker is alive until the end of the lease period.
+ * @return {Promise}
+ */
+function heartbeat() {
+  var now = new Date();
+  return sequelize.query(
+    'INSERT INTO StreamWorkers ' +
+    '(worker_id, alive_until, createdAt, updatedAt) ' +
+    'VALUES (?, ?, ?, ?) ON DUPLICATE KEY UPDATE ' +
+    'alive_until = VALUES(alive_until), updatedAt = VALUES(updatedAt)',
+    null, { raw: true },
+    [workerId, new Date(now.getTime() + LEASE_MS), now, now]);
+}
+
+/**
+ * Stop streaming the users in a shard and forget it.
+ * @param {number} shard
+ * @param {string} why For logging.
+ */
+function drop(shard, why) {
+  logger.info('Worker', workerId, 'dropping shard', shard, why);
+  delete held[shard];
+  callbacks.lost(shard);
+}
+
+/**
+ * Renew this worker's leases, and find out which shards it holds, starting or
+ * stopping streams for any that changed hands.
+ * @return {Promise}
+ */
+function renew() {
+  var started = new Date();
+  var leaseUntil = new Date(started.getTime() + LEASE_MS);
+  return sequelize.query(
+    'UPDATE StreamShards SET locked_until = ? ' +
+    'WHERE locked_by = ? AND shard < ?',
+    null, { raw: true }, [leaseUntil, workerId, NUM_SHARDS]
+  ).then(function() {
+    return sequelize.query(
+      'SELECT shard FROM StreamShards WHERE locked_by = ? AND shard < ? ' +
+      'AND locked_until > ?',
+      null, { raw: true }, [workerId, NUM_SHARDS, started]);
+  }).then(function(rows) {
+    leaseExpiresAt = leaseUntil.getTime();
+    var nowHeld = {};
+    rows.forEach(function(row) {
+      nowHeld[row.shard] = 1;
+    });
+    Object.keys(held).forEach(function(shard) {
+      if (!nowHeld[shard]) {
+        drop(Number(shard), 'lost lease');
+      }
+    });
+    Object.keys(nowHeld).forEach(function(shard) {
+      if (!held[shard]) {
+        logger.info('Worker', workerId, 'holds shard', shard);
+        held[shard] = 1;
+        callbacks.gained(Number(shard));
+      }
+    });
+  });
+}
+
+/**
+ * Release one shard, stopping its streams first.
+ * @param {number} shard
+ * @return {Promise}
+ */
+function release(shard) {
+  drop(shard, 'to rebalance');
+  return sequelize.query(
+    'UPDATE StreamShards SET locked_by = NULL, locked_until = NULL ' +
+    'WHERE shard = ? AND locked_by = ?',
+    null, { raw: true }, [shard, workerId]);
+}
+
+/**
+ * Claim one shard that nobody holds, preferring one this worker held before
+ * it was restarted. The next renew picks it up.
+ * @return {Promise}
+ */
+function claim() {
+  var now = new Date();
+  return sequelize.query(
+    'UPDATE StreamShards SET locked_by = ?, locked_until = ? ' +
+    'WHERE shard < ? AND shard NOT IN (?) AND ' +
+    '(locked_by = ? OR locked_until IS NULL OR locked_until <= ?) ' +
+    'ORDER BY locked_by = ? DESC, shard ASC LIMIT 1',
+    null, { raw: true },
+    [workerId, new Date(now.getTime() + LEASE_MS), NUM_SHARDS,
+     [-1].concat(Object.keys(held).map(Number)), workerId, now, workerId]);
+}
+
+/**
+ * Move this worker towards its fair share of the shards, by at most one shard.
+ * @return {Promise}
+ */
+function balance() {
+  return heartbeat().then(renew).then(function() {
+    return sequelize.query(
+      'SELECT COUNT(*) AS workers FROM StreamWorkers WHERE alive_until > ?',
+      null, { raw: true }, [new Date()]);
+  }).then(function(rows) {
+    var share = fairShare(NUM_SHARDS, rows[0].workers);
+    var shards = Object.keys(held).map(Number);
+    if (shards.length > share) {
+      return release(_.max(shards));
+    } else if (shards.length < share) {
+      return claim().then(renew);
+    }
+  }).catch(function(err) {
+    logger.error('Worker', workerId, 'failed to balance shards', err);
+  });
+}
+
+/**
+ * Stop every stream if this worker's leases are about to expire without having
+ * been renewed, so another worker can take them over safely.
+ */
+function checkLeaseExpiry() {
+  if (Date.now() > leaseExpiresAt - LEASE_SAFETY_MS) {
+    Object.keys(held).forEach(function(shard) {
+      drop(Number(shard), 'lease about to expire');
+    });
+  }
+}
+
+/**
+ * Start holding shards.
+ *
+ * @param {string} id A worker id that stays the same when the worker is
+ *   restarted, so it can reclaim its shards straight away.
+ * @param {Object} shardCallbacks With functions gained and lost, called with a
+ *   shard number when this worker starts or stops holding it. lost must stop
+ *   the shard's streams before returning.
+ * @return {Promise} Resolves once the first round of claiming is done.
+ */
+function start(id, shardCallbacks) {
+  workerId = id;
+  callbacks = shardCallbacks;
+  return createShards().then(balance).then(function() {
+    setInterval(balance, RENEW_MS);
+    setInterval(checkLeaseExpiry, 5000);
+  });
+}
+
+/**
+ * @return {Array.<number>} The shards this worker holds.
+ */
+function heldShards() {
+  return Object.keys(held).map(Number);
+}
+
+module.exports = {
+  NUM_SHARDS: NUM_SHARDS,
+  heldShards: heldShards,
+  shardForUid: shardForUid,
+  start: start
+};
+
+if (require.main === module) {
+  // A micro sanity test.
+  var assert = require('assert');
+  assert.equal(shardForUid('596947990', 2), 596947990 % 2);
+  assert.equal(shardForUid('2896523891', 7), 2896523891 % 7);
+  // Past 2^53, where Number(uid) % 10 would be wrong.
+  assert.equal(shardForUid('1234567890123456789', 10), 9);
+  assert.equal(shardForUid('1234567890123456789', 1), 0);
+  assert.equal(fairShare(8, 3), 3);
+  assert.equal(fairShare(8, 0), 8);
+  assert.equal(fairShare(2, 4), 1);
+  console.log('Done!');
+}
+})();
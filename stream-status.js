@@ -0,0 +1,172 @@
+'use strict';
+(function() {
+
+/**
+ * Local HTTP status endpoints for stream.js. Each worker serves its own status
+ * as JSON, and the master serves a summary across all of its workers, which it
+ * gets from them over the cluster IPC channel. Both listen on localhost only:
+ * the master on config.streamStatusPort, and worker N on that port + 1 + N.
+ */
+var http = require('http'),
+    Q = require('q'),
+    _ = require('sequelize').Utils._,
+    setup = require('./setup');
+
+var config = setup.config,
+    logger = setup.logger;
+
+var STATUS_PORT = config.streamStatusPort || 8200;
+// How long the master waits for each worker to report its status.
+var WORKER_TIMEOUT_MS = 2000;
+
+/**
+ * Respond to every request on a local port with JSON from a function.
+ *
+ * @param {number} port
+ * @param {Function} getStatus Returns the status object, or a Promise for it.
+ * @return {http.Server}
+ */
+function serveJson(port, getStatus) {
+  var server = http.createServer(function(req, res) {
+    Q.fcall(getStatus).then(function(status) {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(status, null, 2) + '\n');
+    }).catch(function(err) {
+      logger.error(err);
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end('{"error": "Failed to get status."}\n');
+    });
+  });
+  // A status port that can't be opened, e.g. because another stream.js on
+  // this host has it, shouldn't stop the process from streaming.
+  server.on('error', function(err) {
+    logger.error('Status server on port', port, 'failed:', err);
+  });
+  server.listen(port, '127.0.0.1');
+  // Don't keep the process alive just for the status endpoint.
+  server.unref();
+  return server;
+}
+
+/**
+ * In a worker, serve its status over HTTP, and answer status requests from the
+ * master.
+ *
+ * @param {number} index The worker's index on this host.
+ * @param {Function} getStatus Returns the worker's status object.
+ */
+function serveWorkerStatus(index, getStatus) {
+  serveJson(STATUS_PORT + 1 + index, getStatus);
+  process.on('message', function(message) {
+    if (message && message.type === 'status-request') {
+      process.send({
+        type: 'status',
+        requestId: message.requestId,
+        status: getStatus()
+      });
+    }
+  });
+}
+
+var nextRequestId = 1;
+
+/**
+ * Ask a worker for its status over IPC.
+ *
+ * @param {cluster.Worker} worker
+ * @return {Promise.<Object>} The worker's status, or an object with an error
+ *   field if it didn't answer in time.
+ */
+function requestWorkerStatus(worker) {
+  var deferred = Q.defer();
+  var requestId = nextRequestId++;
+  function onMessage(message) {
+    if (message && message.type === 'status' &&
+        message.requestId === requestId) {
+      deferred.resolve(message.status);
+    }
+  }
+  worker.on('message', onMessage);
+  worker.send({ type: 'status-request', requestId: requestId });
+  return deferred.promise.timeout(WORKER_TIMEOUT_MS).catch(function() {
+    return {
+      pid: worker.process.pid,
+      error: 'No answer within ' + WORKER_TIMEOUT_MS + 'ms.'
+    };
+  }).finally(function() {
+    worker.removeListener('message', onMessage);
+  });
+}
+
+/**
+ * Sum up the statuses of several workers.
+ *
+ * @param {Array.<Object>} statuses Worker statuses as returned by stream.js's
+ *   getStatus, or objects with an error field for workers that didn't answer.
+ * @return {Object} Totals of the workers' counters, plus the statuses
+ *   themselves in workers.
+ */
+function aggregate(statuses) {
+  var answered = statuses.filter(function(status) {
+    return !status.error;
+  });
+  function total(field) {
+    return answered.reduce(function(sum, status) {
+      return sum + status[field];
+    }, 0);
+  }
+  return {
+    workers: statuses.length,
+    workers_answering: answered.length,
+    shards: _.flatten(_.pluck(answered, 'shards')).sort(function(a, b) {
+      return a - b;
+    }),
+    active_streams: total('active_streams'),
+    backoffs: total('backoffs'),
+    reconnects: total('reconnects'),
+    timeout_aborts: total('timeout_aborts'),
+    events_last_minute: total('events_last_minute'),
+    worker_statuses: statuses
+  };
+}
+
+/**
+ * In the master, serve a summary of all workers' statuses over HTTP.
+ *
+ * @param {Function} getWorkers Returns the current cluster.Worker objects.
+ */
+function serveAggregateStatus(getWorkers) {
+  serveJson(STATUS_PORT, function() {
+    return Q.all(getWorkers().map(requestWorkerStatus)).then(aggregate);
+  });
+  logger.info('Serving stream status on port', STATUS_PORT);
+}
+
+module.exports = {
+  aggregate: aggregate,
+  serveAggregateStatus: serveAggregateStatus,
+  serveWorkerStatus: serveWorkerStatus
+};
+
+if (require.main === module) {
+  // A micro sanity test.
+  var assert = require('assert');
+  var summary = aggregate([{
+    worker_id: 'host:stream:0', shards: [2, 0], active_streams: 10,
+    backoffs: 1, reconnects: 3, timeout_aborts: 1, events_last_minute: 40
+  }, {
+    worker_id: 'host:stream:1', shards: [1], active_streams: 5,
+    backoffs: 0, reconnects: 2, timeout_aborts: 0, events_last_minute: 2
+  }, {
+    pid: 123, error: 'No answer within 2000ms.'
+  }]);
+  assert.equal(summary.workers, 3);
+  assert.equal(summary.workers_answering, 2);
+  assert.deepEqual(summary.shards, [0, 1, 2]);
+  assert.equal(summary.active_streams, 15);
+  assert.equal(summary.reconnects, 5);
+  assert.equal(summary.events_last_minute, 42);
+  assert.equal(summary.worker_statuses.length, 3);
+  console.log('Done!');
+}
+})();
@@ -5,56 +5,159 @@ var twitterAPI = require('node-twitter-api'),
     cluster = require('cluster'),
     fs = require('fs'),
     https = require('https'),
+    os = require('os'),
+    Q = require('q'),
     _ = require('sequelize').Utils._,
     actions = require('./actions'),
+    keywords = require('./keywords'),
+    rules = require('./rules'),
+    streamShards = require('./stream-shards'),
+    streamStatus = require('./stream-status'),
     updateUsers = require('./update-users'),
     util = require('./util'),
     setup = require('./setup');
 
 var twitter = setup.twitter,
+    config = setup.config,
     logger = setup.logger,
     sequelize = setup.sequelize,
     remoteUpdateBlocks = setup.remoteUpdateBlocks,
     Action = setup.Action,
+    AutoBlockKeyword = setup.AutoBlockKeyword,
+    AutoBlockRule = setup.AutoBlockRule,
     BtUser = setup.BtUser;
 
-var workerId = -1;
-var numWorkers = 2;
+// Number of worker processes to run on this host. Users' streams are spread
+// over the workers on all hosts by stream-shards.js.
+var WORKERS_PER_HOST = config.streamWorkersPerHost || 2;
+
+// This worker's id in the StreamShards table, set on startup.
+var workerId = null;
 
 // An associative array of streams currently running. Indexed by uid.
 var streams = {};
 
+/**
+ * Stats for the status endpoint. streamStartedAt maps uids to when their
+ * current stream started, reconnects maps uids to how many times their stream
+ * has been restarted, and backoffUntil maps uids whose stream got a 420 to
+ * when we'll try again. Users are dropped from all three when their shard
+ * moves to another worker.
+ */
+var streamStartedAt = {};
+var reconnects = {};
+var backoffUntil = {};
+var timeoutAborts = 0;
+// Stream events (mentions, blocks, etc., not keepalives) received so far this
+// minute, and in the whole of the previous minute.
+var eventsThisMinute = 0;
+var eventsLastMinute = 0;
+
 /**
  * Keep an in-memory map of the BtUsers table to be able to easily figure out
- * which dead streams need to be restarted.
+ * which dead streams need to be restarted. Each user also carries their
+ * enabled AutoBlockRules and their AutoBlockKeywords, compiled with
+ * keywords.compileKeywords, as autoBlockRules and autoBlockKeywords, so
+ * mentions can be checked without querying the DB or recompiling patterns.
+ * refreshUsers keeps them up to date.
  * @type {Object.<string>} A map from uids to user objects.
  */
 var allUsers = {};
 var allUsersLastUpdate = 0;
 
 /**
- * Do the initial stream startup for all users belonging to this worker.
- * Stream startup is spaced out every 100ms, and streams that fail will
- * not be retried until every stream has had a chance at being started.
- * Once all streams have started, move to a refresh mode that both restarts any
- * failed streams and updates any new users from the DB.
+ * Start streams for all users in a shard this worker has just gained.
+ * Stream startup is spaced out every 100ms. Streams that fail are restarted by
+ * refreshStreams.
+ * @param {number} shard
  */
-function startStreams() {
-  var uids = Object.keys(allUsers);
-  // Start a stream for each user, spaced 100 ms apart. Once all users have had
-  // their stream started, start the periodic process of checking for any
-  // streams that have failed and restarting them.
-  util.slowForEach(uids, 100, function(uid) {
-    startStream(allUsers[uid]);
+function startShard(shard) {
+  loadUsers([shard]).then(function(users) {
+    return util.slowForEach(users, 100, function(user) {
+      // The shard may have been dropped again in the meantime.
+      if (allUsers[user.uid]) {
+        startStream(user);
+      }
+    });
   }).then(function() {
-    logger.info('Done with initial stream starts, moving to refresh mode.');
-    setInterval(refreshUsers, 20000);
-    setInterval(refreshStreams, 10000);
+    logger.info('Done with stream starts for shard', shard);
   }).catch(function(err) {
     logger.error(err);
   });
 }
 
+/**
+ * Stop the streams of all users in a shard this worker no longer holds, and
+ * forget those users. This must finish before the shard can go to another
+ * worker, so it's synchronous.
+ * @param {number} shard
+ */
+function stopShard(shard) {
+  var uids = _.union(Object.keys(allUsers), Object.keys(streams));
+  var stopped = 0;
+  uids.forEach(function(uid) {
+    if (streamShards.shardForUid(uid, streamShards.NUM_SHARDS) === shard) {
+      delete allUsers[uid];
+      delete reconnects[uid];
+      if (streams[uid]) {
+        var req = streams[uid];
+        forgetStream(uid, req);
+        req.abort();
+        stopped++;
+      }
+    }
+  });
+  logger.info('Stopped', stopped, 'streams for shard', shard);
+}
+
+/**
+ * Forget a user's stream once it has ended, unless it has already been
+ * replaced or stopped.
+ * @param {string} uid
+ * @param {http.ClientRequest} req The stream's request.
+ */
+function forgetStream(uid, req) {
+  if (streams[uid] === req) {
+    delete streams[uid];
+    delete streamStartedAt[uid];
+    delete backoffUntil[uid];
+  }
+}
+
+/**
+ * Describe this worker's streams, for the status endpoint.
+ * @return {Object}
+ */
+function getStatus() {
+  var now = Date.now();
+  var uids = Object.keys(streams);
+  var backoffs = Object.keys(backoffUntil).length;
+  return {
+    worker_id: workerId,
+    pid: process.pid,
+    shards: streamShards.heldShards(),
+    active_streams: uids.length - backoffs,
+    backoffs: backoffs,
+    reconnects: _.reduce(reconnects, function(sum, count) {
+      return sum + count;
+    }, 0),
+    timeout_aborts: timeoutAborts,
+    events_last_minute: eventsLastMinute,
+    streams: uids.map(function(uid) {
+      var user = allUsers[uid];
+      return {
+        uid: uid,
+        screen_name: user ? user.screen_name : null,
+        age_seconds: streamStartedAt[uid] ?
+          Math.round((now - streamStartedAt[uid]) / 1000) : null,
+        reconnects: reconnects[uid] || 0,
+        backoff_until: backoffUntil[uid] ?
+          new Date(backoffUntil[uid]).toISOString() : null
+      };
+    })
+  };
+}
+
 /**
  * When a stream ends, it is removed from the global streams map. Generally we
  * will want to restart the stream. This function finds users that are in
@@ -76,9 +179,13 @@ function refreshStreams() {
     logger.debug('Restarting stream for', userId);
     BtUser.find(userId)
       .then(function(user) {
-        if (user && !user.deactivatedAt) {
-          allUsers[userId] = user;
-          startStream(user);
+        if (!allUsers[userId]) {
+          // Its shard was dropped while we were looking it up.
+          return;
+        } else if (user && !user.deactivatedAt) {
+          return cacheUsers([user]).then(function(users) {
+            users.forEach(startStream);
+          });
         } else {
           logger.info('User', user, 'missing or deactivated.');
           delete allUsers[userId];
@@ -90,33 +197,121 @@ function refreshStreams() {
 }
 
 /**
- * Update the global allUsers map with any recently-updated users that belong to
- * this worker. Uses a simple modulus to decide which users belong to which
- * workers. Checkpoint the last update time so we can query for only the
- * updated users.
+ * Update the global allUsers map with any recently-updated users in the shards
+ * this worker holds. Checkpoint the last update time so we can query for only
+ * the updated users.
+ *
+ * Users already in allUsers who no longer meet any of loadUsers' criteria are
+ * updated too, so that mentions are checked against their current settings.
+ * Changing settings, rules or keywords bumps a user's updatedAt.
  */
 function refreshUsers() {
   var now = new Date();
+  var since = allUsersLastUpdate;
+  var shards = streamShards.heldShards();
+  if (shards.length === 0) {
+    allUsersLastUpdate = now;
+    return;
+  }
+  return loadUsers(shards, since).then(function(loaded) {
+    return BtUser.findAll({
+      where: sequelize.and({
+        updatedAt: {
+          gt: since
+        }
+      }, ['CAST(uid AS UNSIGNED) % ? IN (?)', streamShards.NUM_SHARDS, shards])
+    }).then(function(updated) {
+      var loadedUids = _.pluck(loaded, 'uid');
+      return cacheUsers(updated.filter(function(user) {
+        return allUsers[user.uid] && !_.contains(loadedUids, user.uid);
+      }));
+    });
+  }).then(function() {
+    allUsersLastUpdate = now;
+  }).catch(function(err) {
+    logger.error(err);
+  });
+}
+
+/**
+ * Load users' enabled AutoBlockRules and their AutoBlockKeywords onto them,
+ * and put them in the global allUsers map.
+ *
+ * @param {Array.<BtUser>} users
+ * @return {Promise.<Array.<BtUser>>} The users added. Users whose shard this
+ *   worker dropped while the queries ran are left out.
+ */
+function cacheUsers(users) {
+  if (users.length === 0) {
+    return Q.resolve([]);
+  }
+  var uids = _.pluck(users, 'uid');
+  return Q.all([
+    AutoBlockRule.findAll({
+      where: {
+        uid: uids,
+        enabled: true
+      },
+      order: 'id ASC'
+    }),
+    AutoBlockKeyword.findAll({
+      where: {
+        uid: uids
+      },
+      order: 'id ASC'
+    })
+  ]).spread(function(autoBlockRules, autoBlockKeywords) {
+    var rulesByUid = _.groupBy(autoBlockRules, 'uid');
+    var keywordsByUid = _.groupBy(autoBlockKeywords, 'uid');
+    var held = streamShards.heldShards();
+    users = users.filter(function(user) {
+      return _.contains(held,
+        streamShards.shardForUid(user.uid, streamShards.NUM_SHARDS));
+    });
+    users.forEach(function(user) {
+      user.autoBlockRules = rulesByUid[user.uid] || [];
+      user.autoBlockKeywords =
+        keywords.compileKeywords(keywordsByUid[user.uid] || []);
+    });
+    _.extend(allUsers, _.indexBy(users, 'uid'));
+    return users;
+  });
+}
+
+/**
+ * Find the users in some shards who need their stream watched, and add them to
+ * the global allUsers map.
+ *
+ * @param {Array.<number>} shards
+ * @param {Date|number=} opt_updatedSince If given, only find users updated
+ *   since then.
+ * @return {Promise.<Array.<BtUser>>} The users added. Users whose shard this
+ *   worker dropped while the query ran are left out.
+ */
+function loadUsers(shards, opt_updatedSince) {
   return BtUser
     .findAll({
       where: sequelize.and({
         deactivatedAt: null,
         updatedAt: {
-          gt: allUsersLastUpdate
+          gt: opt_updatedSince || 0
         },
       },
-      ['uid % ? = ?', numWorkers, workerId % numWorkers],
+      ['CAST(uid AS UNSIGNED) % ? IN (?)', streamShards.NUM_SHARDS, shards],
       // Check for any option that monitors stream for autoblock criteria
       sequelize.or(
         { block_new_accounts: true },
         { block_low_followers: true },
+        { block_default_profile_image: true },
+        { block_low_statuses: true },
+        { block_follow_ratio: true },
+        'uid IN (SELECT uid FROM AutoBlockRules WHERE enabled)',
+        'uid IN (SELECT uid FROM AutoBlockKeywords)',
         'shared_blocks_key IS NOT NULL'
       ))
-    }).then(function(users) {
-      _.extend(allUsers, _.indexBy(users, 'uid'));
-      allUsersLastUpdate = now;
-    }).error(function(err) {
+    }).then(cacheUsers).error(function(err) {
       logger.error(err);
+      return [];
     });
 }
 
@@ -127,13 +322,23 @@ function refreshUsers() {
  * @param {BtUser} User to receive streaming events for.
  */
 function startStream(user) {
+  // Never open a second stream for a user; Twitter responds with 420s.
+  if (streams[user.uid]) {
+    return;
+  }
   var accessToken = user.access_token;
   var accessTokenSecret = user.access_token_secret;
+  var req = null;
   var boundDataCallback = dataCallback.bind(undefined, user);
-  var boundEndCallback = endCallback.bind(undefined, user);
+  var boundEndCallback = function(httpIncomingMessage) {
+    endCallback(user, req, httpIncomingMessage);
+  };
 
   logger.info('Starting stream for user', user);
-  var req = twitter.getStream('user', {
+  reconnects[user.uid] = _.has(reconnects, user.uid) ?
+    reconnects[user.uid] + 1 : 0;
+  streamStartedAt[user.uid] = Date.now();
+  req = twitter.getStream('user', {
     // Get events for all replies, not just people the user follows.
     'replies': 'all',
     // Only get user-related events, not all tweets in timeline.
@@ -144,7 +349,7 @@ function startStream(user) {
   // like it should be. Catch it here as a backup.
   req.on('error', function(err) {
     logger.error('Socket error for', user, err.message);
-    delete streams[user.uid];
+    forgetStream(user.uid, req);
   });
   // In normal operation, each open stream should receive an empty data item
   // '{}' every 30 seconds for keepalive. Sometimes a connection will die
@@ -154,6 +359,7 @@ function startStream(user) {
   // again.
   req.setTimeout(70000, function() {
     logger.error('Stream timeout for user', user, 'aborting.');
+    timeoutAborts++;
     req.abort();
   });
 
@@ -181,11 +387,15 @@ function checkPastMentions(user) {
       } else {
         logger.debug('Replaying', mentions.length, 'past mentions for', user);
         // It's common to have a large number of mentions from each user,
-        // because of back-and-forth conversations. De-dupe users before
-        // checking for block criteria.
-        var mentioningUsers = _.indexBy(_.pluck(mentions, 'user'), 'id_str');
-        Object.keys(mentioningUsers).forEach(function(id_str) {
-          checkReplyAndBlock(user, mentioningUsers[id_str]);
+        // because of back-and-forth conversations. Group mentions by user
+        // before checking for block criteria, so each user is checked once
+        // with all their mentions.
+        var mentionsByUser = _.groupBy(mentions, function(mention) {
+          return mention.user.id_str;
+        });
+        Object.keys(mentionsByUser).forEach(function(id_str) {
+          var userMentions = mentionsByUser[id_str];
+          checkReplyAndBlock(user, userMentions[0].user, userMentions);
         });
       }
     });
@@ -196,13 +406,14 @@ function checkPastMentions(user) {
  * mark them as deactivated if necessary, and remove them from the active
  * streams map.
  * @param {BtUser} user The user whose stream ended.
+ * @param {http.ClientRequest} req The stream's request.
  */
-function endCallback(user, httpIncomingMessage) {
+function endCallback(user, req, httpIncomingMessage) {
   var statusCode = httpIncomingMessage.statusCode;
   logger.warn('Ending stream for', user, statusCode);
   if (statusCode === 401 || statusCode === 403) {
     user.verifyCredentials();
-    delete streams[user.uid];
+    forgetStream(user.uid, req);
   } else if (statusCode === 420) {
     // The streaming API will return 420 Enhance Your Calm
     // (http://httpstatusdogs.com/420-enhance-your-calm) if the user is connected
@@ -211,18 +422,17 @@ function endCallback(user, httpIncomingMessage) {
     // load, stream.js would lose track of some connections and reconnect too
     // fast, leading to an unproductive high-CPU loop of trying to restart those
     // loops once a second.
-    var stream = streams[user.uid];
+    // If the user's shard is dropped meanwhile, the stream will already be
+    // gone.
+    if (streams[user.uid] === req) {
+      delete streamStartedAt[user.uid];
+      backoffUntil[user.uid] = Date.now() + 15 * 60 * 1000;
+    }
     setTimeout(function() {
-      // Double-check it's still the same stream before deleting.
-      if (stream === streams[user.uid]) {
-        delete streams[user.uid];
-      } else {
-        // This shouldn't happen.
-        logger.error('Tried to delete stream but it had already been replaced', user);
-      }
+      forgetStream(user.uid, req);
     }, 15 * 60 * 1000);
   } else {
-    delete streams[user.uid];
+    forgetStream(user.uid, req);
   }
 }
 
@@ -231,12 +441,16 @@ function endCallback(user, httpIncomingMessage) {
  * Given the arguments passed to getStream, the only events we receive should be
  * at-replies. TODO: Add sanity check to filter non-at-replies, just in case.
  *
- * On receiving an at-reply, check the age of the sender. If it is less than
- * seven days, block them. Exception: Do not block someone our user already follows.
+ * On receiving an at-reply, check the sender against the user's auto-block
+ * criteria, and if one matches, block them. Exception: Do not block someone our
+ * user already follows.
  */
 function dataCallback(recipientBtUser, err, data, ret, res) {
   var recipientUid = recipientBtUser.uid;
   if (!data) return;
+  if (!_.isEmpty(data)) {
+    eventsThisMinute++;
+  }
   if (data.disconnect) {
     logger.warn(recipientBtUser, 'disconnect message:', data.disconnect);
     // Code 6 is for revoked, e.g.:
@@ -276,46 +490,100 @@ function dataCallback(recipientBtUser, err, data, ret, res) {
     // show up in the streaming API with text: "@foo hi", as if user B had
     // tweeted it. The way we would tell it was actually a retweet is because
     // it also has the retweeted_status field set.
-    checkReplyAndBlock(recipientBtUser, data.user);
+    checkReplyAndBlock(recipientBtUser, data.user, [data]);
   }
 }
 
 /**
- * Given a user object from either the streaming API or the REST API,
- * check whether a mention from that user should trigger a block,
- * i.e. whether they are less than 7 days old or have fewer than 15
- * followers, and the receiving user has enabled the appropriate option.
- * If so, enqueue a block.
+ * Given a user's auto-block settings and the user object of an account that
+ * mentioned them, decide which auto-block criterion, if any, the account
+ * meets. Criteria are checked in a fixed order and the first match wins.
+ *
+ * @param {BtUser} btUser User whose settings to apply.
+ * @param {Object} mentioningUser A JSON User object as specified by the
+ *   Twitter API: https://dev.twitter.com/overview/api/users
+ * @return {string|null} The cause to record on the block Action, or null if
+ *   the account shouldn't be blocked.
+ */
+function autoBlockCause(btUser, mentioningUser) {
+  var ageInDays = (new Date() - Date.parse(mentioningUser.created_at)) /
+    86400 / 1000;
+  // Avoid dividing by zero for accounts with no followers.
+  var followRatio = mentioningUser.friends_count /
+    Math.max(mentioningUser.followers_count, 1);
+  if (btUser.block_new_accounts &&
+      ageInDays < btUser.new_account_days) {
+    return Action.NEW_ACCOUNT;
+  } else if (btUser.block_low_followers &&
+      mentioningUser.followers_count < btUser.low_followers_threshold) {
+    return Action.LOW_FOLLOWERS;
+  } else if (btUser.block_default_profile_image &&
+      mentioningUser.default_profile_image) {
+    return Action.DEFAULT_PROFILE_IMAGE;
+  } else if (btUser.block_low_statuses &&
+      mentioningUser.statuses_count < btUser.low_statuses_threshold) {
+    return Action.LOW_STATUSES;
+  } else if (btUser.block_follow_ratio &&
+      followRatio > btUser.follow_ratio_threshold) {
+    return Action.FOLLOW_RATIO;
+  } else {
+    return null;
+  }
+}
+
+/**
+ * Given a user object and mentions from either the streaming API or the REST
+ * API, check whether the mentions should trigger a block, i.e. whether the
+ * mentioning user meets one of the auto-block criteria the receiving user has
+ * enabled, or one of their AutoBlockRules. If so, enqueue a block, with the
+ * criterion as its cause, or cause 'rule' and the name of the rule.
+ * Otherwise, if one of the mentions matches one of their AutoBlockKeywords,
+ * enqueue a block or mute as the keyword says, with cause 'keyword', the
+ * pattern, and the id of the matching mention.
  *
  * @param {BtUser} recipientBtUser User who might be doing the blocking.
  * @param {Object} mentioningUser A JSON User object as specified by the
  *   Twitter API: https://dev.twitter.com/overview/api/users
+ * @param {Array.<Object>} mentions JSON Tweet objects from mentioningUser that
+ *   mention recipientBtUser.
  */
-var MIN_AGE = 7;
-var MIN_FOLLOWERS = 15;
-function checkReplyAndBlock(recipientBtUser, mentioningUser) {
+function checkReplyAndBlock(recipientBtUser, mentioningUser, mentions) {
   // If present, data.user is the user who sent the at-reply.
   if (mentioningUser && mentioningUser.created_at &&
       mentioningUser.id_str !== recipientBtUser.uid) {
-    var ageInDays = (new Date() - Date.parse(mentioningUser.created_at)) /
-      86400 / 1000;
     logger.info('User', recipientBtUser, 'got at reply from',
-      mentioningUser.screen_name, mentioningUser.id_str, '(age', ageInDays,
-      '/ followers', mentioningUser.followers_count, ')');
-    if (ageInDays < MIN_AGE || mentioningUser.followers_count < MIN_FOLLOWERS) {
-      // The user may have changed settings since we started the stream. Reload to
-      // get the latest setting.
-      recipientBtUser.reload().success(function(user) {
-        if (ageInDays < MIN_AGE && recipientBtUser.block_new_accounts) {
-          logger.info('Queuing block', recipientBtUser, '-->',
-            mentioningUser.screen_name, mentioningUser.id_str);
-          enqueueBlock(recipientBtUser, mentioningUser.id_str, Action.NEW_ACCOUNT);
-        } else if (mentioningUser.followers_count < MIN_FOLLOWERS && recipientBtUser.block_low_followers) {
-          logger.info('Queuing block', recipientBtUser, '-->',
-            mentioningUser.screen_name, mentioningUser.id_str);
-          enqueueBlock(recipientBtUser, mentioningUser.id_str, Action.LOW_FOLLOWERS);
-        }
+      mentioningUser.screen_name, mentioningUser.id_str, '(followers',
+      mentioningUser.followers_count, ')');
+    // The stream's user object may be older than the one in allUsers, which
+    // refreshUsers keeps up to date with the user's settings, rules and
+    // keywords.
+    var user = allUsers[recipientBtUser.uid] || recipientBtUser;
+    var cause = autoBlockCause(user, mentioningUser);
+    if (cause) {
+      logger.info('Queuing block', user, '-->',
+        mentioningUser.screen_name, mentioningUser.id_str, 'cause', cause);
+      enqueueAction(user, mentioningUser.id_str, Action.BLOCK, cause);
+      return;
+    }
+    var ruleName = rules.firstMatch(user.autoBlockRules || [], mentioningUser);
+    if (ruleName) {
+      logger.info('Queuing block', user, '-->',
+        mentioningUser.screen_name, mentioningUser.id_str, 'rule', ruleName);
+      enqueueAction(user, mentioningUser.id_str, Action.BLOCK, Action.RULE, {
+        rule_name: ruleName
       });
+      return;
+    }
+    var match = keywords.firstMatch(user.autoBlockKeywords || [], mentions);
+    if (match) {
+      logger.info('Queuing', match.keyword.type, user, '-->',
+        mentioningUser.screen_name, mentioningUser.id_str, 'keyword',
+        match.keyword.pattern, 'in tweet', match.tweet.id_str);
+      enqueueAction(user, mentioningUser.id_str, match.keyword.type,
+        Action.KEYWORD, {
+          rule_name: match.keyword.pattern,
+          cause_tweet_id: match.tweet.id_str
+        });
     }
   }
 }
@@ -363,32 +631,70 @@ function handleBlockEvent(recipientBtUser, data) {
 }
 
 /**
- * Put a block on the Actions list for this user and process it.
+ * Put a block or mute on the Actions list for this user and process it.
  * @param {BtUser} sourceUser User who received a mention from a new account
- *   and will block that new account.
+ *   and will block or mute that new account.
  * @param {string} sinkUserId String-form UID of the author of the mention.
- *   Will be blocked.
+ *   Will be blocked or muted.
+ * @param {string} type Action.BLOCK or Action.MUTE.
  * @param {string} cause One of the valid cause types from Action object
+ * @param {Object=} opt_fields Additional fields for the Action, e.g. rule_name.
  */
-function enqueueBlock(sourceUser, sinkUserId, cause) {
+function enqueueAction(sourceUser, sinkUserId, type, cause, opt_fields) {
+  // Mentions are replayed on restart, so skip ones cancelled before.
   actions.queueActions(
-    sourceUser.uid, [sinkUserId], Action.BLOCK, cause);
+    sourceUser.uid, [sinkUserId], type, cause, null, opt_fields,
+    'stream.js', true);
 }
 
 if (require.main === module) {
   if (cluster.isMaster) {
     logger.info('Starting workers.');
-    for (var i = 0; i < numWorkers; i++) {
-      cluster.fork();
+    // The index each worker was started with, by cluster worker id. A
+    // resurrected worker gets the same index as the one it replaces, so it has
+    // the same stream worker id and can take back its shards straight away.
+    var workerIndexes = {};
+    var forkWorker = function(index) {
+      var worker = cluster.fork({ STREAM_WORKER_INDEX: index });
+      workerIndexes[worker.id] = index;
+    };
+    for (var i = 0; i < WORKERS_PER_HOST; i++) {
+      forkWorker(i);
     }
     cluster.on('exit', function(worker, code, signal) {
       logger.error('worker', worker.process.pid, 'died, resurrecting.');
-      cluster.fork();
+      var index = workerIndexes[worker.id];
+      delete workerIndexes[worker.id];
+      forkWorker(index);
+    });
+    streamStatus.serveAggregateStatus(function() {
+      return _.values(cluster.workers);
     });
   } else {
-    workerId = cluster.worker.id;
-    refreshUsers()
-      .then(startStreams);
+    var workerIndex = Number(process.env.STREAM_WORKER_INDEX);
+    // config.streamHostId names this host in stream worker ids, in case
+    // hostnames aren't unique. It's separate from actions.js' workerId.
+    workerId = (config.streamHostId || os.hostname()) + ':stream:' +
+      workerIndex;
+    streamStatus.serveWorkerStatus(workerIndex, getStatus);
+    setInterval(function() {
+      eventsLastMinute = eventsThisMinute;
+      eventsThisMinute = 0;
+    }, 60 * 1000);
+    // startShard loads all users in each shard as it's gained, so refreshUsers
+    // only needs to look for changes from now on.
+    allUsersLastUpdate = new Date();
+    streamShards.start(workerId, {
+      gained: startShard,
+      lost: stopShard
+    }).then(function() {
+      logger.info('Worker', workerId, 'up with shards',
+        streamShards.heldShards());
+      setInterval(refreshUsers, 20000);
+      setInterval(refreshStreams, 10000);
+    }).catch(function(err) {
+      logger.error(err);
+    });
   }
 }
 })();
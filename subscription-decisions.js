@@ -0,0 +1,390 @@
+'use strict';
+(function() {
+
+/**
+ * The decisions behind block list subscriptions: which accounts to block and
+ * unblock when reconciling a subscriber or when they unsubscribe, and which
+ * unblocks to fan out when an author takes an account off their list.
+ * subscriptions.js gathers the data from the database and acts on the results.
+ * Lookups that fanout needs per account are passed in, so all of this runs
+ * without a database; see the sanity test at the end.
+ */
+var Q = require('q'),
+    _ = require('sequelize').Utils._,
+    Action = require('./action-constants');
+
+/**
+ * Given other subscriptions held by some subscribers, and the shared block
+ * list entries of those subscriptions' authors, build a map from subscriber
+ * uid to the set of uids that are on at least one of their other lists.
+ *
+ * @param {Array.<Subscription>} otherSubscriptions Subscriptions to lists other
+ *   than the one being fanned out.
+ * @param {Array.<SharedBlock>} sharedBlocks Entries on those lists.
+ * @return {Object.<string, Object.<string, string>>} Map from subscriber uid to
+ *   a map from sink uid to the uid of an author whose list contains it.
+ */
+function indexCrossListed(otherSubscriptions, sharedBlocks) {
+  var listsByAuthor = _.groupBy(sharedBlocks, 'author_uid');
+  var crossListed = {};
+  otherSubscriptions.forEach(function(subscription) {
+    var listed = crossListed[subscription.subscriber_uid] || {};
+    (listsByAuthor[subscription.author_uid] || []).forEach(function(entry) {
+      listed[entry.sink_uid] = subscription.author_uid;
+    });
+    crossListed[subscription.subscriber_uid] = listed;
+  });
+  return crossListed;
+}
+
+/**
+ * Decide which of the unblocks proposed by fanning out an author's unblock to
+ * their subscribers to enqueue. Unmutes are decided the same way, against the
+ * subscriber's mutes.
+ *
+ * A subscriber's unblock is skipped if the account is on another list they
+ * subscribe to. Otherwise it goes ahead only if their most recent completed
+ * block of the account had cause subscription or bulk-manual-block, and came
+ * from this author's list or from another list they still subscribe to. That
+ * leaves alone accounts the subscriber blocked manually or for other reasons.
+ *
+ * @param {Array.<Object>} proposedUnblocks Actions with source_uid, the
+ *   subscriber, sink_uid, type and cause_uid, the author.
+ * @param {Object} crossListed Map from subscriber uid to uids on another list
+ *   they subscribe to, as returned by indexCrossListed.
+ * @param {Object} lookups Functions to look up what the decision depends on:
+ *   findLatestBlock(proposedUnblock), resolving to the subscriber's most
+ *   recent done block (or mute, for an unmute) of the account, or null; and
+ *   isSubscribed(subscriber_uid, author_uid), resolving to whether the
+ *   subscriber subscribes to that author's list.
+ * @return {Promise.<Array.<Object>>} For each proposed unblock, an object with
+ *   unblock, the proposed unblock, and skip, null if it should be enqueued or
+ *   else the reason it shouldn't.
+ */
+function decideUnblocks(proposedUnblocks, crossListed, lookups) {
+  var validCauses = [Action.SUBSCRIPTION, Action.BULK_MANUAL_BLOCK];
+  return Q.all(proposedUnblocks.map(function(proposedUnblock) {
+    function decision(skip) {
+      return { unblock: proposedUnblock, skip: skip };
+    }
+    var listed = crossListed[proposedUnblock.source_uid];
+    if (listed && _.has(listed, proposedUnblock.sink_uid)) {
+      return decision('still listed by ' + listed[proposedUnblock.sink_uid]);
+    }
+    return Q(lookups.findLatestBlock(proposedUnblock)
+    ).then(function(prevAction) {
+      if (!prevAction) {
+        return decision('no previous block found');
+      } else if (!_.contains(validCauses, prevAction.cause)) {
+        return decision('previous block not matched');
+      } else if (prevAction.cause_uid === proposedUnblock.cause_uid) {
+        return decision(null);
+      }
+      // The block may have come from another list the subscriber also
+      // subscribes to. Accounts still on one of their other lists were skipped
+      // above, so if the subscriber still subscribes to that list, this was
+      // the last list holding the account.
+      return Q(lookups.isSubscribed(proposedUnblock.source_uid,
+          prevAction.cause_uid)).then(function(subscribed) {
+        return decision(subscribed ? null : 'previous block not matched');
+      });
+    });
+  }));
+}
+
+/**
+ * Whether an Action is a completed block the user asked for themselves: one
+ * observed from another app, made from the Block Together UI without a list
+ * author as cause_uid, imported, or from undoing an unblock.
+ * @param {Action} action
+ * @return {boolean}
+ */
+function isManualBlock(action) {
+  return action.type === Action.BLOCK && action.status === Action.DONE &&
+    (action.cause === Action.EXTERNAL || action.cause === Action.IMPORT ||
+     action.cause === Action.UNDO ||
+     (action.cause === Action.BULK_MANUAL_BLOCK && !action.cause_uid));
+}
+
+/**
+ * Given a subscriber's subscriptions, their current blocks, the contents of the
+ * shared block lists they subscribe to, and their block / unblock Action
+ * history, compute which accounts should be blocked and which should be
+ * unblocked to make their blocks match their subscriptions. This is the
+ * algorithm from the Technical Design section of
+ * docs/block-subscription-design.html.
+ *
+ * should-be-blocked: The union of all subscribed lists, minus accounts the
+ * subscriber currently blocks, minus accounts they have ever manually
+ * unblocked, minus accounts with any past block Action other than a 'done'
+ * one caused by a subscription (that covers pending and cancelled Actions).
+ *
+ * should-be-unblocked: Accounts whose most recent 'done' block or unblock is a
+ * block caused by a list the subscriber still subscribes to, minus the union of
+ * all subscribed lists, minus accounts the subscriber has manually blocked.
+ *
+ * @param {Array.<string>} authorUids Authors the subscriber subscribes to.
+ * @param {Array.<SharedBlock>} sharedBlocks Entries from those authors' shared
+ *   block lists.
+ * @param {Array.<string>} currentBlocks Uids the subscriber currently blocks.
+ * @param {Array.<Action>} history The subscriber's block and unblock Actions,
+ *   in order by updatedAt.
+ * @return {Object} An object with fields toBlock and toUnblock, each a map from
+ *   author uid (to be recorded as cause_uid) to a list of uids.
+ */
+function computeDelta(authorUids, sharedBlocks, currentBlocks, history) {
+  // Map from each listed uid to the first author whose list contains it.
+  var listedBy = {};
+  sharedBlocks.forEach(function(sharedBlock) {
+    if (!_.has(listedBy, sharedBlock.sink_uid)) {
+      listedBy[sharedBlock.sink_uid] = sharedBlock.author_uid;
+    }
+  });
+  var blocked = _.object(currentBlocks, []);
+  var excludeFromBlocking = {};
+  var manuallyBlocked = {};
+  var pendingUnblocks = {};
+  var latestDone = {};
+  history.forEach(function(action) {
+    if (action.status === Action.DONE) {
+      latestDone[action.sink_uid] = action;
+    }
+    if (action.type === Action.BLOCK) {
+      if (action.status !== Action.DONE ||
+          action.cause !== Action.SUBSCRIPTION) {
+        excludeFromBlocking[action.sink_uid] = 1;
+      }
+      if (isManualBlock(action)) {
+        manuallyBlocked[action.sink_uid] = 1;
+      }
+    } else if (action.status === Action.PENDING) {
+      pendingUnblocks[action.sink_uid] = 1;
+    } else if (action.status === Action.DONE &&
+        (action.cause === Action.EXTERNAL ||
+         action.cause === Action.BULK_MANUAL_BLOCK ||
+         action.cause === Action.UNDO)) {
+      // Manual unblocks, including undone blocks, make an account immune from
+      // auto-blocks.
+      excludeFromBlocking[action.sink_uid] = 1;
+    }
+  });
+  // The BlockBatch can be up to a day old, so also treat accounts whose most
+  // recent completed Action was a block as currently blocked.
+  _.each(latestDone, function(action, sink_uid) {
+    if (action.type === Action.BLOCK) {
+      blocked[sink_uid] = 1;
+    }
+  });
+
+  var toBlock = _.groupBy(Object.keys(listedBy).filter(function(sink_uid) {
+    return !_.has(blocked, sink_uid) && !_.has(excludeFromBlocking, sink_uid);
+  }), function(sink_uid) {
+    return listedBy[sink_uid];
+  });
+
+  var subscriptionCauses = [Action.SUBSCRIPTION, Action.BULK_MANUAL_BLOCK];
+  var unblockCandidates = _.filter(latestDone, function(action, sink_uid) {
+    return action.type === Action.BLOCK &&
+      _.contains(subscriptionCauses, action.cause) &&
+      _.contains(authorUids, action.cause_uid) &&
+      !_.has(listedBy, sink_uid) &&
+      !_.has(manuallyBlocked, sink_uid) &&
+      !_.has(pendingUnblocks, sink_uid);
+  });
+  var toUnblock = _.groupBy(unblockCandidates, 'cause_uid');
+  _.each(toUnblock, function(unblockActions, author_uid) {
+    toUnblock[author_uid] = _.pluck(unblockActions, 'sink_uid');
+  });
+
+  return {
+    toBlock: toBlock,
+    toUnblock: toUnblock
+  };
+}
+
+/**
+ * Given the Action history of a subscriber who is leaving an author's shared
+ * block list, find the accounts they blocked solely because of that list.
+ * Those are accounts whose most recent 'done' block or unblock is a block
+ * caused by the author's list, excluding accounts that are on another list the
+ * subscriber still subscribes to and accounts the subscriber ever blocked
+ * manually.
+ *
+ * @param {string} author_uid The author being unsubscribed from.
+ * @param {Array.<SharedBlock>} otherSharedBlocks Entries from the shared block
+ *   lists of the subscriber's remaining subscriptions.
+ * @param {Array.<Action>} history The subscriber's block and unblock Actions,
+ *   in order by updatedAt.
+ * @return {Array.<string>} Uids to unblock.
+ */
+function computeUnsubscribeUnblocks(author_uid, otherSharedBlocks, history) {
+  var subscriptionCauses = [Action.SUBSCRIPTION, Action.BULK_MANUAL_BLOCK];
+  var onOtherLists = _.object(_.pluck(otherSharedBlocks, 'sink_uid'), []);
+  var manuallyBlocked = {};
+  var pendingUnblocks = {};
+  var latestDone = {};
+  history.forEach(function(action) {
+    if (action.status === Action.DONE) {
+      latestDone[action.sink_uid] = action;
+    }
+    if (isManualBlock(action)) {
+      manuallyBlocked[action.sink_uid] = 1;
+    } else if (action.type === Action.UNBLOCK &&
+        action.status === Action.PENDING) {
+      pendingUnblocks[action.sink_uid] = 1;
+    }
+  });
+  return _.filter(latestDone, function(action, sink_uid) {
+    return action.type === Action.BLOCK &&
+      action.cause_uid === author_uid &&
+      _.contains(subscriptionCauses, action.cause) &&
+      !_.has(onOtherLists, sink_uid) &&
+      !_.has(manuallyBlocked, sink_uid) &&
+      !_.has(pendingUnblocks, sink_uid);
+  }).map(function(action) {
+    return action.sink_uid;
+  });
+}
+
+/**
+ * Describe a mute or unmute Action as the equivalent block or unblock, so a
+ * mute history can go through the same set computations as a block history.
+ * @param {Action} action A mute or unmute Action.
+ * @return {Object} A plain object with the fields used by
+ *   computeUnsubscribeUnblocks.
+ */
+function muteAsBlock(action) {
+  return {
+    sink_uid: action.sink_uid,
+    type: action.type === Action.MUTE ? Action.BLOCK : Action.UNBLOCK,
+    status: action.status,
+    cause: action.cause,
+    cause_uid: action.cause_uid
+  };
+}
+
+module.exports = {
+  computeDelta: computeDelta,
+  computeUnsubscribeUnblocks: computeUnsubscribeUnblocks,
+  decideUnblocks: decideUnblocks,
+  indexCrossListed: indexCrossListed,
+  muteAsBlock: muteAsBlock
+};
+
+/**
+ * A micro sanity test with an in-memory fixture: subscriber S subscribes to
+ * authors A and B, T only to A, and U to A and C. Account X is on A's and B's
+ * lists, account Y is only on A's list. S blocked both through A's list, and
+ * blocked M manually.
+ *
+ * @return {Promise} Resolves once all checks pass.
+ */
+function sanityTest() {
+  var assert = require('assert');
+  var subscriptions = [
+    { author_uid: 'A', subscriber_uid: 'S' },
+    { author_uid: 'B', subscriber_uid: 'S' },
+    { author_uid: 'A', subscriber_uid: 'T' },
+    { author_uid: 'A', subscriber_uid: 'U' },
+    { author_uid: 'C', subscriber_uid: 'U' }
+  ];
+  var lists = {
+    A: [{ author_uid: 'A', sink_uid: 'X' }, { author_uid: 'A', sink_uid: 'Y' }],
+    B: [{ author_uid: 'B', sink_uid: 'X' }],
+    C: []
+  };
+  var history = [
+    { sink_uid: 'X', type: Action.BLOCK, status: Action.DONE,
+      cause: Action.SUBSCRIPTION, cause_uid: 'A' },
+    { sink_uid: 'Y', type: Action.BLOCK, status: Action.DONE,
+      cause: Action.SUBSCRIPTION, cause_uid: 'A' },
+    { sink_uid: 'M', type: Action.BLOCK, status: Action.DONE,
+      cause: Action.EXTERNAL, cause_uid: null },
+    { sink_uid: 'M', type: Action.BLOCK, status: Action.DONE,
+      cause: Action.SUBSCRIPTION, cause_uid: 'A' }
+  ];
+
+  // A removes X and Y from their list. Reconciling S should unblock Y, and
+  // keep X blocked because of B's list.
+  var delta = computeDelta(['A', 'B'], lists.B, ['X', 'Y', 'M'], history);
+  assert.deepEqual(delta.toBlock, {});
+  assert.deepEqual(delta.toUnblock, { A: ['Y'] });
+
+  // B adds Z to their list. Reconciling S should block Z.
+  delta = computeDelta(['A', 'B'], lists.A.concat(lists.B,
+    [{ author_uid: 'B', sink_uid: 'Z' }]), ['X', 'Y', 'M'], history);
+  assert.deepEqual(delta.toBlock, { B: ['Z'] });
+  assert.deepEqual(delta.toUnblock, {});
+
+  // S unsubscribes from A. X stays blocked because of B's list, M stays
+  // blocked because S blocked it manually.
+  assert.deepEqual(computeUnsubscribeUnblocks('A', lists.B, history), ['Y']);
+
+  // The same holds for a mute-only subscription, using the mute history.
+  var muteHistory = history.map(function(action) {
+    return _.extend({}, action, { type: Action.MUTE });
+  });
+  assert.deepEqual(computeUnsubscribeUnblocks('A', lists.B,
+    muteHistory.map(muteAsBlock)), ['Y']);
+
+  // A unblocks X and Y, which fans out to S, T and U. Each subscriber's most
+  // recent block of each account:
+  var latestBlocks = {
+    'S X': { cause: Action.SUBSCRIPTION, cause_uid: 'A' },
+    'S Y': { cause: Action.SUBSCRIPTION, cause_uid: 'A' },
+    'T X': { cause: Action.SUBSCRIPTION, cause_uid: 'A' },
+    // T blocked Y by hand.
+    'T Y': { cause: Action.EXTERNAL, cause_uid: null },
+    // U blocked X with a Block All of C's list, which has since dropped X.
+    'U X': { cause: Action.BULK_MANUAL_BLOCK, cause_uid: 'C' },
+    // U blocked Y through D's list, and has unsubscribed from D.
+    'U Y': { cause: Action.SUBSCRIPTION, cause_uid: 'D' }
+  };
+  var subscribedChecks = [];
+  var lookups = {
+    findLatestBlock: function(unblock) {
+      return Q(latestBlocks[unblock.source_uid + ' ' + unblock.sink_uid]);
+    },
+    isSubscribed: function(subscriber_uid, author_uid) {
+      subscribedChecks.push(subscriber_uid + ' ' + author_uid);
+      return Q(_.some(subscriptions, {
+        subscriber_uid: subscriber_uid,
+        author_uid: author_uid
+      }));
+    }
+  };
+  var otherSubscriptions = _.filter(subscriptions, function(subscription) {
+    return subscription.author_uid !== 'A';
+  });
+  var crossListed = indexCrossListed(otherSubscriptions,
+    lists.B.concat(lists.C));
+  var proposed = [];
+  ['S', 'T', 'U'].forEach(function(subscriber_uid) {
+    ['X', 'Y'].forEach(function(sink_uid) {
+      proposed.push({ source_uid: subscriber_uid, sink_uid: sink_uid,
+        type: Action.UNBLOCK, cause: Action.SUBSCRIPTION, cause_uid: 'A' });
+    });
+  });
+  return decideUnblocks(proposed, crossListed, lookups
+  ).then(function(decisions) {
+    var enqueued = decisions.filter(function(decision) {
+      return !decision.skip;
+    }).map(function(decision) {
+      return decision.unblock.source_uid + ' ' + decision.unblock.sink_uid;
+    });
+    // S keeps X because it's still on B's list, which S subscribes to.
+    assert.deepEqual(enqueued, ['S Y', 'T X', 'U X']);
+    assert.equal(decisions[0].skip, 'still listed by B');
+    assert.deepEqual(subscribedChecks, ['U C', 'U D']);
+  });
+}
+
+if (require.main === module) {
+  sanityTest().then(function() {
+    console.log('Done!');
+  }).catch(function(err) {
+    console.error(err.stack || err);
+    process.exit(1);
+  });
+}
+})();
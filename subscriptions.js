@@ -2,12 +2,25 @@
 (function() {
 var Q = require('q'),
     _ = require('sequelize').Utils._,
+    actions = require('./actions'),
+    decisions = require('./subscription-decisions'),
+    util = require('./util'),
     setup = require('./setup');
 
 var logger = setup.logger,
     Action = setup.Action,
+    Block = setup.Block,
+    BlockBatch = setup.BlockBatch,
+    BtUser = setup.BtUser,
+    SharedBlock = setup.SharedBlock,
     Subscription = setup.Subscription;
 
+/**
+ * The most shared block lists a single user may subscribe to, per the design
+ * doc.
+ */
+var MAX_SUBSCRIPTIONS = 10;
+
 /**
  * Given a set of actions that were observed by update-blocks and recorded as
  * external actions (i.e. the user blocked or unblocked some accounts using
@@ -42,6 +55,38 @@ function fanoutActions(actions) {
     return Q.reject('Bad arg to fanoutActions: not block/unblock:', actions);
   }
 
+  return fanoutToSubscribers(source_uids[0], actions);
+}
+
+/**
+ * When an author removes accounts from their shared block list (while
+ * continuing to block them), fan out unblocks to their subscribers, just as if
+ * the author had unblocked those accounts.
+ *
+ * @param {string} author_uid The author of the shared block list.
+ * @param {Array.<string>} sink_uids Uids removed from the shared block list.
+ * @return {Promise.<>} Promise that resolves once fanout is done.
+ */
+function fanoutSharedBlockRemovals(author_uid, sink_uids) {
+  return fanoutToSubscribers(author_uid, sink_uids.map(function(sink_uid) {
+    return {
+      source_uid: author_uid,
+      sink_uid: sink_uid,
+      type: Action.UNBLOCK
+    };
+  }));
+}
+
+/**
+ * Fan out a set of block or unblock actions, all from the same author, to that
+ * author's subscribers.
+ *
+ * @param {string} author_uid The author whose subscribers should receive the
+ *   actions.
+ * @param {Array.<Object>} actions Objects with source_uid, sink_uid and type.
+ * @return {Promise.<>}
+ */
+function fanoutToSubscribers(author_uid, actions) {
   // Look up the relevant subscriptions once, then use that list of subscriptions
   // when fanning out each individual action. We may want at some point to just
   // directly do the N * M expansion and do one big bulkCreate, but that
@@ -50,15 +95,20 @@ function fanoutActions(actions) {
   // are no subscriptions).
   return Subscription.findAll({
     where: {
-      author_uid: source_uids[0]
+      author_uid: author_uid
     }
   }).then(function(subscriptions) {
     if (subscriptions && subscriptions.length > 0) {
       logger.info('Fanning out', actions.length, 'actions from',
-        source_uids[0], 'to', subscriptions.length, 'subscribers.');
-      return actions.map(function(action) {
-        return fanoutWithSubscriptions(action, subscriptions);
-      });
+        author_uid, 'to', subscriptions.length, 'subscribers.');
+      var unblockedUids = _.pluck(
+        _.filter(actions, { type: Action.UNBLOCK }), 'sink_uid');
+      return findCrossListed(author_uid, subscriptions, unblockedUids)
+        .then(function(crossListed) {
+          return actions.map(function(action) {
+            return fanoutWithSubscriptions(action, subscriptions, crossListed);
+          });
+        });
     } else {
       return Q.resolve([]);
     }
@@ -68,21 +118,68 @@ function fanoutActions(actions) {
 }
 
 /**
- * Given a block or unblock action with cause = external, enqueue a
- * corresponding action for all subscribers, with cause = subscription.
+ * For accounts an author is unblocking, find which of the author's subscribers
+ * also have those accounts on another shared block list they subscribe to in
+ * the same way (as blocks, or as mutes). Those subscribers should keep
+ * blocking or muting the accounts.
  *
- * TODO: This is currently only called for external actions. Bulk manual
- * unblocks (from /my-blocks) should also trigger fanout.
+ * @param {string} author_uid The author doing the unblocking.
+ * @param {Array.<Subscription>} subscriptions The author's subscribers.
+ * @param {Array.<string>} sink_uids The uids being unblocked.
+ * @return {Promise.<Object>} A map as returned by
+ *   decisions.indexCrossListed.
+ */
+function findCrossListed(author_uid, subscriptions, sink_uids) {
+  if (sink_uids.length === 0) {
+    return Q.resolve({});
+  }
+  var muteOnly = {};
+  subscriptions.forEach(function(subscription) {
+    muteOnly[subscription.subscriber_uid] = !!subscription.mute_only;
+  });
+  return Subscription.findAll({
+    where: ['subscriber_uid IN (?) AND author_uid != ?',
+      _.pluck(subscriptions, 'subscriber_uid'), author_uid]
+  }).then(function(otherSubscriptions) {
+    otherSubscriptions = otherSubscriptions.filter(function(subscription) {
+      return !!subscription.mute_only === muteOnly[subscription.subscriber_uid];
+    });
+    if (otherSubscriptions.length === 0) {
+      return [otherSubscriptions, []];
+    }
+    return [otherSubscriptions, SharedBlock.findAll({
+      where: {
+        author_uid: _.uniq(_.pluck(otherSubscriptions, 'author_uid')),
+        sink_uid: sink_uids
+      },
+      attributes: ['author_uid', 'sink_uid']
+    })];
+  }).spread(decisions.indexCrossListed);
+}
+
+/**
+ * Given a block or unblock action that changed an author's shared block list,
+ * enqueue a corresponding action for all subscribers, with cause =
+ * subscription. Subscribers with a mute_only subscription get a mute or unmute
+ * instead.
  *
  * @param {Action} An Action to fan out to subscribers.
+ * @param {Array.<Subscription>} subscriptions The author's subscribers.
+ * @param {Object} crossListed Map from subscriber uid to uids that are on
+ *   another list that subscriber subscribes to, as returned by
+ *   decisions.indexCrossListed. Unblocks of those uids are not fanned out.
  * @return {Promise.<Action[]>}
  */
-function fanoutWithSubscriptions(inputAction, subscriptions) {
+function fanoutWithSubscriptions(inputAction, subscriptions, crossListed) {
   var actions = subscriptions.map(function(subscription) {
+    var type = inputAction.type;
+    if (subscription.mute_only) {
+      type = type === Action.BLOCK ? Action.MUTE : Action.UNMUTE;
+    }
     return {
       source_uid: subscription.subscriber_uid,
       sink_uid: inputAction.sink_uid,
-      type: inputAction.type,
+      type: type,
       cause: Action.SUBSCRIPTION,
       cause_uid: inputAction.source_uid,
       'status': Action.PENDING
@@ -100,41 +197,53 @@ function fanoutWithSubscriptions(inputAction, subscriptions) {
     return Action.bulkCreate(actions);
   } else {
     // For Unblock Actions, we only want to fan out the unblock to users
-    // who originally blocked the given user due to a subscription.
-    // Pass each Action through unblockFromSubscription to check the cause
-    // of the most recent corresponding block, if any.
+    // who originally blocked the given user due to a subscription, and who
+    // don't have it on another list they subscribe to. See
+    // decisions.decideUnblocks.
     // TODO: Maybe the filtering logic to only do unblocks that were
     // originally due to a subscription should be handled in actions.js. That
     // would be nice because actions.js can deal with things asynchronously
     // and slow down gracefully under load, but subscription fanout has to
     // happen in the already-complicated updateBlocks call chain.
-    return Q.all(actions.map(unblockFromSubscription));
+    return decisions.decideUnblocks(actions, crossListed, {
+      findLatestBlock: findLatestBlock,
+      isSubscribed: isSubscribed
+    }).then(function(decided) {
+      return Q.all(decided.map(function(decision) {
+        var unblock = decision.unblock;
+        if (decision.skip) {
+          logger.debug('Subscription-unblock:', decision.skip,
+            unblock.source_uid, '--' + unblock.type + '-->', unblock.sink_uid);
+          return null;
+        }
+        // TODO: Use actions.queueActions here.
+        return Q(Action.create(unblock)).catch(function(err) {
+          logger.error(err);
+        });
+      }));
+    });
   }
 }
 
 /**
- * Given a subscription-based Unblock that we are about to enqueue, first check
- * that the most recent Block of that account had cause:
- * subscription | bulk-manual-block, and cause_uid = the cause_uid of the
- * unblock we are about to enqueue.
- *
- * TODO: Unblocks should also not fanout to users that are subscribed to other
- * block lists which still contain the account to be unblocked.
+ * Find a subscriber's most recent completed block of the account a
+ * subscription-based unblock would unblock, or their most recent mute for an
+ * unmute.
  *
- * @param {Object} JSON representing an Action to possibly enqueue.
+ * @param {Object} proposedUnblock JSON representing an Action to possibly
+ *   enqueue.
+ * @return {Promise.<Action|null>}
  */
-function unblockFromSubscription(proposedUnblock) {
-  var validCauses = [Action.SUBSCRIPTION, Action.BULK_MANUAL_BLOCK];
-  var logInfo = proposedUnblock.source_uid + ' --unblock--> ' +
-    proposedUnblock.sink_uid;
+function findLatestBlock(proposedUnblock) {
   // The separation between which properties get put in the where clause, versus
-  // which ones get checked in the `if' statement below, is a little subtle.
+  // which ones get checked in decisions.decideUnblocks, is a little subtle.
   // We want to make sure we look at the most recent block, even if it doesn't
   // match on cause_uid, because we specifically want to notice the case where
   // the most recent block was manual.
-  Action.find({
+  return Q(Action.find({
     where: {
-      type: Action.BLOCK,
+      type: proposedUnblock.type === Action.UNMUTE ?
+        Action.MUTE : Action.BLOCK,
       source_uid: proposedUnblock.source_uid,
       sink_uid: proposedUnblock.sink_uid,
       // NOTE: Intuitively Action.PENDING should be included here: If an author
@@ -148,16 +257,316 @@ function unblockFromSubscription(proposedUnblock) {
       status: Action.DONE
     },
     order: 'updatedAt DESC'
-  }).then(function(prevAction) {
-    if (!prevAction) {
-      logger.debug('Subscription-unblock: no previous block found', logInfo);
-    } else if (prevAction.cause_uid === proposedUnblock.cause_uid &&
-      _.contains(validCauses, prevAction.cause)) {
-      // TODO: Use actions.queueActions here.
-      return Action.create(proposedUnblock);
-    } else {
-      logger.debug('Subscription-unblock: previous block not matched', logInfo);
+  }));
+}
+
+/**
+ * @param {string} subscriber_uid
+ * @param {string} author_uid
+ * @return {Promise.<boolean>} Whether the subscriber subscribes to the
+ *   author's shared block list.
+ */
+function isSubscribed(subscriber_uid, author_uid) {
+  return Q(Subscription.find({
+    where: {
+      subscriber_uid: subscriber_uid,
+      author_uid: author_uid
+    }
+  })).then(function(subscription) {
+    return !!subscription;
+  });
+}
+
+/**
+ * Fetch the uids a user is blocking according to their most recent complete
+ * BlockBatch.
+ *
+ * @param {string} uid The user whose blocks to fetch.
+ * @return {Promise.<Array.<string>|null>} The blocked uids, or null if the user
+ *   has no complete BlockBatch yet.
+ */
+function getCurrentBlocks(uid) {
+  return BlockBatch.find({
+    where: {
+      source_uid: uid,
+      complete: true
+    },
+    order: 'id DESC'
+  }).then(function(blockBatch) {
+    if (!blockBatch) {
+      return null;
+    }
+    return Block.findAll({
+      where: {
+        BlockBatchId: blockBatch.id
+      },
+      attributes: ['sink_uid']
+    }).then(function(blocks) {
+      return _.pluck(blocks, 'sink_uid');
+    });
+  });
+}
+
+/**
+ * Reconcile a single subscriber's blocks with their subscriptions: compute the
+ * should-be-blocked and should-be-unblocked sets and enqueue the corresponding
+ * Actions, with cause = subscription. This catches anything fanoutActions
+ * missed, e.g. because of downtime or a crash partway through fanout.
+ *
+ * Subscribers who are deactivated, or whose blocks have never been
+ * successfully fetched, are skipped. Mute-only subscriptions are not
+ * reconciled; they rely on fanout alone.
+ *
+ * @param {string} subscriber_uid The subscriber to reconcile.
+ * @param {boolean} dryRun If true, only compute and log the delta, without
+ *   enqueuing anything.
+ * @return {Promise.<Object|null>} The delta, as returned by
+ *   decisions.computeDelta, or null if the subscriber was skipped.
+ */
+function reconcileSubscriber(subscriber_uid, dryRun) {
+  return Q.all([
+    BtUser.find(subscriber_uid),
+    Subscription.findAll({
+      where: {
+        subscriber_uid: subscriber_uid,
+        mute_only: false
+      }
+    }),
+    getCurrentBlocks(subscriber_uid)
+  ]).spread(function(subscriber, subscriptions, currentBlocks) {
+    if (!subscriber || subscriber.deactivatedAt) {
+      logger.debug('Reconcile: skipping missing or deactivated',
+        subscriber_uid);
+      return null;
+    } else if (currentBlocks === null) {
+      logger.debug('Reconcile: no complete BlockBatch yet for', subscriber);
+      return null;
+    } else if (subscriptions.length === 0) {
+      return null;
     }
+    var authorUids = _.pluck(subscriptions, 'author_uid');
+    return Q.all([
+      SharedBlock.findAll({
+        where: {
+          author_uid: authorUids
+        },
+        attributes: ['author_uid', 'sink_uid']
+      }),
+      Action.findAll({
+        where: {
+          source_uid: subscriber_uid,
+          type: [Action.BLOCK, Action.UNBLOCK]
+        },
+        attributes: ['sink_uid', 'type', 'status', 'cause', 'cause_uid'],
+        order: 'updatedAt ASC, id ASC'
+      })
+    ]).spread(function(sharedBlocks, history) {
+      // Never try to block yourself.
+      sharedBlocks = sharedBlocks.filter(function(sharedBlock) {
+        return sharedBlock.sink_uid !== subscriber_uid;
+      });
+      var delta = decisions.computeDelta(
+        authorUids, sharedBlocks, currentBlocks, history);
+      var blockCount = _.flatten(_.values(delta.toBlock)).length;
+      var unblockCount = _.flatten(_.values(delta.toUnblock)).length;
+      if (blockCount > 0 || unblockCount > 0 || dryRun) {
+        logger.info('Reconcile', subscriber, dryRun ? '(dry run)' : '',
+          'should block', blockCount, 'should unblock', unblockCount);
+      }
+      if (dryRun) {
+        logger.info('Reconcile', subscriber, 'to block:', delta.toBlock,
+          'to unblock:', delta.toUnblock);
+        return delta;
+      }
+      var queued = [];
+      _.each(delta.toBlock, function(uids, author_uid) {
+        queued.push(actions.queueActions(subscriber_uid, uids, Action.BLOCK,
+          Action.SUBSCRIPTION, author_uid, null, 'subscriptions.js', true));
+      });
+      _.each(delta.toUnblock, function(uids, author_uid) {
+        queued.push(actions.queueActions(subscriber_uid, uids, Action.UNBLOCK,
+          Action.SUBSCRIPTION, author_uid, null, 'subscriptions.js', true));
+      });
+      return Q.all(queued).thenResolve(delta);
+    });
+  }).catch(function(err) {
+    logger.error(err);
+    return null;
+  });
+}
+
+/**
+ * Remove a subscriber's subscription to an author's shared block list, and
+ * enqueue unblocks for the accounts they blocked solely because of that list.
+ * For a mute_only subscription, enqueue unmutes for the accounts they muted
+ * solely because of that list instead.
+ *
+ * This is only for subscribers leaving a list voluntarily. When an author
+ * force-unsubscribes someone, the subscriber keeps their blocks, so that path
+ * should simply destroy the Subscription.
+ *
+ * @param {string} subscriber_uid The subscriber.
+ * @param {string} author_uid The author of the list being unsubscribed from.
+ * @return {Promise.<number>} The number of unblocks or unmutes enqueued.
+ */
+function unsubscribe(subscriber_uid, author_uid) {
+  return Subscription.find({
+    where: {
+      author_uid: author_uid,
+      subscriber_uid: subscriber_uid
+    }
+  }).then(function(subscription) {
+    // No subscription means they already left, or were force-unsubscribed
+    // and get to keep their blocks, e.g. on a repeated POST or a stale page.
+    if (!subscription) {
+      logger.info('No subscription from', subscriber_uid, 'to', author_uid,
+        'to unsubscribe');
+      return 0;
+    }
+    return unsubscribeFrom(subscription);
+  });
+}
+
+/**
+ * Destroy an existing Subscription and enqueue its unblocks or unmutes, as
+ * described for unsubscribe.
+ * @param {Subscription} subscription
+ * @return {Promise.<number>} The number of unblocks or unmutes enqueued.
+ */
+function unsubscribeFrom(subscription) {
+  var subscriber_uid = subscription.subscriber_uid;
+  var author_uid = subscription.author_uid;
+  var muteOnly = !!subscription.mute_only;
+  return Subscription.destroy({
+    author_uid: author_uid,
+    subscriber_uid: subscriber_uid
+  }).then(function() {
+    return Subscription.findAll({
+      where: {
+        subscriber_uid: subscriber_uid,
+        mute_only: muteOnly
+      }
+    });
+  }).then(function(remaining) {
+    var otherAuthorUids = _.pluck(remaining, 'author_uid');
+    return Q.all([
+      otherAuthorUids.length === 0 ? [] : SharedBlock.findAll({
+        where: {
+          author_uid: otherAuthorUids
+        },
+        attributes: ['sink_uid']
+      }),
+      Action.findAll({
+        where: {
+          source_uid: subscriber_uid,
+          type: muteOnly ? [Action.MUTE, Action.UNMUTE] :
+            [Action.BLOCK, Action.UNBLOCK]
+        },
+        attributes: ['sink_uid', 'type', 'status', 'cause', 'cause_uid'],
+        order: 'updatedAt ASC, id ASC'
+      })
+    ]);
+  }).spread(function(otherSharedBlocks, history) {
+    if (muteOnly) {
+      history = history.map(decisions.muteAsBlock);
+    }
+    var toUnblock = decisions.computeUnsubscribeUnblocks(
+      author_uid, otherSharedBlocks, history);
+    var type = muteOnly ? Action.UNMUTE : Action.UNBLOCK;
+    logger.info('Unsubscribing', subscriber_uid, 'from', author_uid,
+      'will', type, toUnblock.length);
+    if (toUnblock.length === 0) {
+      return 0;
+    }
+    return actions.queueActions(subscriber_uid, toUnblock, type,
+      Action.SUBSCRIPTION, author_uid, null, '/unsubscribe.json'
+    ).then(function(result) {
+      // queueActions logs its own errors and resolves with null.
+      if (!result) {
+        return Q.reject(new Error('Failed to queue ' + type + 's for ' +
+          subscriber_uid + ' leaving ' + author_uid));
+      }
+      return result.queued;
+    });
+  });
+}
+
+/**
+ * Subscribe a user to an author's shared block list, enforcing the limit on
+ * subscriptions per subscriber and the author's own cap on subscribers, if
+ * they set one. Does not enqueue any blocks.
+ *
+ * @param {BtUser} subscriber The user subscribing.
+ * @param {BtUser} author The author of the shared block list.
+ * @param {boolean=} opt_muteOnly Whether to apply the list as mutes rather
+ *   than blocks.
+ * @return {Promise.<Subscription>} The new Subscription. Rejects with an error
+ *   from util.apiError if the subscription isn't allowed.
+ */
+function subscribe(subscriber, author, opt_muteOnly) {
+  return Q.all([
+    Subscription.find({
+      where: {
+        author_uid: author.uid,
+        subscriber_uid: subscriber.uid
+      }
+    }),
+    Subscription.count({
+      where: {
+        subscriber_uid: subscriber.uid
+      }
+    }),
+    Subscription.count({
+      where: {
+        author_uid: author.uid
+      }
+    })
+  ]).spread(function(existing, subscriptionCount, subscriberCount) {
+    if (existing) {
+      throw util.apiError(409, 'already-subscribed',
+        'You are already subscribed to this block list.');
+    } else if (subscriptionCount >= MAX_SUBSCRIPTIONS) {
+      throw util.apiError(403, 'too-many-subscriptions',
+        'You can subscribe to at most ' + MAX_SUBSCRIPTIONS + ' block lists.');
+    } else if (author.max_subscribers != null &&
+        subscriberCount >= author.max_subscribers) {
+      throw util.apiError(403, 'author-subscriber-limit',
+        'This block list is not accepting new subscribers.');
+    }
+    return Subscription.create({
+      author_uid: author.uid,
+      subscriber_uid: subscriber.uid,
+      mute_only: !!opt_muteOnly
+    }).catch(function(err) {
+      // Two simultaneous subscribes can both get past the check above, in
+      // which case the uniqueness constraint on [author, subscriber] rejects
+      // the second.
+      if (err.code === 'ER_DUP_ENTRY') {
+        throw util.apiError(409, 'already-subscribed',
+          'You are already subscribed to this block list.');
+      }
+      throw err;
+    });
+  });
+}
+
+/**
+ * Reconcile every user who has at least one subscription, spaced out to avoid
+ * a burst of database load.
+ *
+ * @param {boolean} dryRun If true, only log the deltas.
+ * @return {Promise} Resolves once every subscriber has been reconciled.
+ */
+function reconcileAll(dryRun) {
+  return Subscription.findAll({
+    attributes: ['subscriber_uid'],
+    group: 'subscriber_uid'
+  }).then(function(subscriptions) {
+    var uids = _.pluck(subscriptions, 'subscriber_uid');
+    logger.info('Reconciling subscriptions for', uids.length, 'subscribers.');
+    return util.slowForEach(uids, 1000, function(uid) {
+      return reconcileSubscriber(uid, dryRun);
+    });
   }).catch(function(err) {
     logger.error(err);
   });
@@ -165,6 +574,28 @@ function unblockFromSubscription(proposedUnblock) {
 
 module.exports = {
   fanoutActions: fanoutActions,
+  fanoutSharedBlockRemovals: fanoutSharedBlockRemovals,
+  reconcileSubscriber: reconcileSubscriber,
+  subscribe: subscribe,
+  unsubscribe: unsubscribe
+}
+
+if (require.main === module) {
+  // Usage: js subscriptions.js [--dry-run] [UID]
+  // With a UID, reconcile just that subscriber and exit. Otherwise, reconcile
+  // all subscribers every six hours.
+  var args = process.argv.slice(2);
+  var dryRun = _.contains(args, '--dry-run');
+  var uid = _.without(args, '--dry-run')[0];
+  if (uid) {
+    reconcileSubscriber(uid, dryRun).finally(function() {
+      setup.gracefulShutdown();
+      process.exit(0);
+    });
+  } else {
+    reconcileAll(dryRun);
+    setInterval(reconcileAll.bind(null, dryRun), 6 * 60 * 60 * 1000);
+  }
 }
 
 })();
@@ -9,6 +9,7 @@ var twitterAPI = require('node-twitter-api'),
     _ = require('sequelize').Utils._,
     sequelize = require('sequelize'),
     setup = require('./setup'),
+    sharedBlocks = require('./shared-blocks'),
     subscriptions = require('./subscriptions'),
     updateUsers = require('./update-users');
 
@@ -19,7 +20,9 @@ var twitter = setup.twitter,
     TwitterUser = setup.TwitterUser,
     Action = setup.Action,
     BlockBatch = setup.BlockBatch,
-    Block = setup.Block;
+    Block = setup.Block,
+    MuteBatch = setup.MuteBatch,
+    Mute = setup.Mute;
 
 var ONE_DAY_IN_MILLIS = 86400 * 1000;
 var shuttingDown = false;
@@ -63,13 +66,13 @@ function findAndUpdateBlocks() {
       logger.debug('User', user.uid, 'has updated blocks from',
         timeago(new Date(batch.createdAt)));
       if ((new Date() - new Date(batch.createdAt)) > ONE_DAY_IN_MILLIS) {
-        return updateBlocks(user);
+        return Q.all([updateBlocks(user), updateMutes(user)]);
       } else {
         return Q.resolve(null);
       }
     } else {
       logger.warn('User', user.uid, 'has no updated blocks ever.');
-      return updateBlocks(user);
+      return Q.all([updateBlocks(user), updateMutes(user)]);
     }
   }).catch(function(err) {
     if (err === NO_UPDATE_NEEDED) {
@@ -81,6 +84,7 @@ function findAndUpdateBlocks() {
 }
 
 var activeFetches = {};
+var activeMuteFetches = {};
 
 function updateBlocksForUid(uid) {
   return BtUser.find(uid).then(updateBlocks).catch(function (err) {
@@ -88,6 +92,12 @@ function updateBlocksForUid(uid) {
   });
 }
 
+function updateMutesForUid(uid) {
+  return BtUser.find(uid).then(updateMutes).catch(function (err) {
+    logger.error(err);
+  });
+}
+
 /**
  * For a given BtUser, fetch all current blocks and store in DB.
  *
@@ -203,6 +213,152 @@ function updateBlocks(user) {
   return fetchPromise;
 }
 
+/**
+ * For a given BtUser, fetch all current mutes and store them in a new
+ * MuteBatch. Works like updateBlocks, except that mutes aren't shared, so the
+ * diff with the previous MuteBatch is only used to record external mutes and
+ * unmutes in the Actions table.
+ *
+ * @param {BtUser} user The user whose mutes we want to fetch.
+ * @return {Promise.<MuteBatch|null>} The completed MuteBatch, or null if the
+ *   fetch didn't finish.
+ */
+function updateMutes(user) {
+  if (activeMuteFetches[user.uid]) {
+    logger.info('User', user, 'already updating mutes, skipping duplicate.');
+    return Q.resolve(null);
+  }
+  logger.info('Updating mutes for', user);
+  var muteBatch = null;
+
+  function fetchAndStoreMutes(cursor) {
+    return Q.ninvoke(twitter,
+      'mutes', 'users/ids', {
+        stringify_ids: true,
+        cursor: cursor
+      },
+      user.access_token,
+      user.access_token_secret
+    ).then(function(results) {
+      logger.trace('/mutes/users/ids', user, cursor, results[0]);
+      // As with blocks, create the MuteBatch lazily to avoid empty batches when
+      // we're rate limited.
+      var muteBatchPromise = muteBatch ? Q.resolve(muteBatch) :
+        MuteBatch.create({
+          source_uid: user.uid,
+          size: 0
+        });
+      return muteBatchPromise.then(function(currentMuteBatch) {
+        muteBatch = currentMuteBatch;
+        return handleMuteIds(muteBatch, cursor, results[0]);
+      });
+    }).then(function(nextCursor) {
+      if (nextCursor === '0') {
+        return finalizeMuteBatch(muteBatch);
+      } else {
+        return fetchAndStoreMutes(nextCursor);
+      }
+    });
+  }
+
+  var fetchPromise = fetchAndStoreMutes('-1').catch(function(err) {
+    // Unlike blocks, we don't resume rate limited mute fetches: mute lists are
+    // generally short, and the next daily update will try again.
+    if (err.statusCode === 429) {
+      logger.info('Rate limited /mutes/users/ids', user);
+    } else if (err.statusCode) {
+      logger.error('Error /mutes/users/ids', user, err.statusCode, err.data);
+    } else {
+      logger.error('Error /mutes/users/ids', user, err);
+    }
+    return null;
+  }).finally(function() {
+    delete activeMuteFetches[user.uid];
+  });
+  activeMuteFetches[user.uid] = fetchPromise;
+  return fetchPromise;
+}
+
+/**
+ * Store a page of results from /mutes/users/ids.
+ * @param {MuteBatch} muteBatch MuteBatch to add mutes to.
+ * @param {string} currentCursor
+ * @param {Object} results
+ * @return {Promise.<string>} The next cursor.
+ */
+function handleMuteIds(muteBatch, currentCursor, results) {
+  if (!results || !results.ids) {
+    return Q.reject('Invalid results passed to handleMuteIds: ' + results);
+  }
+  muteBatch.currentCursor = currentCursor;
+  muteBatch.size += results.ids.length;
+  var mutePromise = results.ids.length === 0 ? Q.resolve(null) :
+    Mute.bulkCreate(results.ids.map(function(id) {
+      return {
+        sink_uid: id,
+        MuteBatchId: muteBatch.id
+      };
+    }));
+  return Q.all([muteBatch.save(), mutePromise]).then(function() {
+    return results.next_cursor_str;
+  });
+}
+
+function finalizeMuteBatch(muteBatch) {
+  logger.info('Finished fetching mutes for user', muteBatch.source_uid,
+    'batch', muteBatch.id);
+  if (shuttingDown) {
+    return Q.resolve(null);
+  }
+  muteBatch.complete = true;
+  return muteBatch.save().then(function(muteBatch) {
+    diffMuteBatchWithPrevious(muteBatch);
+    destroyOldBatches(MuteBatch, muteBatch.source_uid);
+    return muteBatch;
+  });
+}
+
+/**
+ * Compare a MuteBatch with the previous completed MuteBatch for the same uid,
+ * and record Actions with cause = external for mutes and unmutes the user made
+ * outside of Block Together.
+ * @param {MuteBatch} currentBatch The batch to compare to its previous batch.
+ */
+function diffMuteBatchWithPrevious(currentBatch) {
+  var source_uid = currentBatch.source_uid;
+  MuteBatch.findAll({
+    where: {
+      source_uid: source_uid,
+      id: { lte: currentBatch.id },
+      complete: true
+    },
+    order: 'id DESC',
+    limit: 2
+  }).then(function(batches) {
+    return Q.all(batches.map(function(batch) {
+      return batch.getMutes();
+    }));
+  }).then(function(muteLists) {
+    var currentMuteIds = _.pluck(muteLists[0], 'sink_uid');
+    if (muteLists.length < 2) {
+      // First mute fetch for this user: Nothing to diff against.
+      return addIdsToTwitterUsers(currentMuteIds);
+    }
+    var oldMuteIds = _.pluck(muteLists[1], 'sink_uid');
+    var addedMuteIds = _.difference(currentMuteIds, oldMuteIds);
+    var removedMuteIds = _.difference(oldMuteIds, currentMuteIds);
+    logger.debug('Mute diff for', source_uid, 'added:', addedMuteIds,
+      'removed:', removedMuteIds, 'current size:', currentMuteIds.length);
+    addedMuteIds.forEach(function(sink_uid) {
+      recordAction(source_uid, sink_uid, Action.MUTE);
+    });
+    addIdsToTwitterUsers(addedMuteIds);
+    recordRemovalsUnlessDeactivated(source_uid, removedMuteIds, Action.UNMUTE);
+  }).catch(function(err) {
+    logger.error(err);
+  });
+}
+
 /**
  * Given results from Twitter, store as appropriate.
  * @param {BlockBatch|null} blockBatch BlockBatch to add blocks to. Null for the
@@ -257,7 +413,7 @@ function finalizeBlockBatch(blockBatch) {
     .then(function(blockBatch) {
       diffBatchWithPrevious(blockBatch);
       // Prune older BlockBatches for this user from the DB.
-      destroyOldBlocks(blockBatch.source_uid);
+      destroyOldBatches(BlockBatch, blockBatch.source_uid);
       return Q.resolve(blockBatch);
     });
 }
@@ -320,28 +476,37 @@ function diffBatchWithPrevious(currentBatch) {
         });
         // Enqueue blocks for subscribing users.
         // NOTE: subscription fanout for unblocks happens within
-        // recordUnblocksUnlessDeactivated.
+        // recordRemovalsUnlessDeactivated.
         // TODO: use allSettled so even if some fail, we still fanout the rest
         Q.all(blockActionPromises)
           .then(function(actions) {
           // Actions are not recorded if they already exist, i.e. are not
           // external actions. Those come back as null and are filtered in
-          // fanoutActions.
-          subscriptions.fanoutActions(actions);
+          // applyExternalActions. Only blocks that were added to the shared
+          // block list get fanned out.
+          return sharedBlocks.applyExternalActions(actions);
+        }).then(function(sharedActions) {
+          return subscriptions.fanoutActions(sharedActions);
         }).catch(function(err) {
           logger.error(err);
         });
         // Make sure any new ids are in the TwitterUsers table.
         addIdsToTwitterUsers(addedBlockIds);
-        recordUnblocksUnlessDeactivated(source_uid, removedBlockIds);
+        recordRemovalsUnlessDeactivated(source_uid, removedBlockIds,
+          Action.UNBLOCK);
       });
     } else {
       logger.warn('Insufficient block batches to diff.');
       // If it's the first block fetch for this user, make sure all the blocked
-      // uids are in TwitterUsers.
+      // uids are in TwitterUsers, and start their shared block list off with
+      // their current blocks.
       if (currentBatch) {
         return currentBatch.getBlocks().then(function(blocks) {
-          return addIdsToTwitterUsers(_.pluck(blocks, 'sink_uid'));
+          var sinkUids = _.pluck(blocks, 'sink_uid');
+          return Q.all([
+            addIdsToTwitterUsers(sinkUids),
+            sharedBlocks.seedSharedBlocks(source_uid, sinkUids)
+          ]);
         });
       } else {
         return Q.resolve(null);
@@ -357,7 +522,8 @@ function diffBatchWithPrevious(currentBatch) {
  * all for deactivation. If they were deactivated, that is probably why they
  * disappeared from /blocks/ids, rather than an unblock.
  * If they were not deactivated, go ahead and record an unblock in the Actions
- * table.
+ * table. The same goes for uids that disappeared from /mutes/users/ids, which
+ * are recorded as unmutes.
  *
  * Note: We don't do this check for blocks, which leads to a bit of asymmetry:
  * if an account deactivates and reactivates, there will be an external block entry
@@ -370,9 +536,10 @@ function diffBatchWithPrevious(currentBatch) {
  *
  * @param {string} source_uid Uid of user doing the unblocking.
  * @param {Array.<string>} sink_uids List of uids that disappeared from a user's
- *   /blocks/ids.
+ *   /blocks/ids or /mutes/users/ids.
+ * @param {string} type Action.UNBLOCK or Action.UNMUTE.
  */
-function recordUnblocksUnlessDeactivated(source_uid, sink_uids) {
+function recordRemovalsUnlessDeactivated(source_uid, sink_uids, type) {
   // Use credentials from the source_uid to check for unblocks. We could use the
   // defaultAccessToken, but there's a much higher chance of that token being
   // rate limited for user lookups, which would cause us to miss unblocks.
@@ -391,27 +558,33 @@ function recordUnblocksUnlessDeactivated(source_uid, sink_uids) {
           user.access_token, user.access_token_secret,
           function(err, response) {
             if (err && err.statusCode === 404) {
-              logger.info('All unblocked users deactivated, ignoring unblocks.');
+              logger.info('All', type, 'users deactivated, ignoring.');
             } else if (err && err.statusCode) {
               logger.error('Error /users/lookup', user, err.statusCode, err.data,
-                'ignoring', uidsToQuery.length, 'unblocks');
+                'ignoring', uidsToQuery.length, type + 's');
             } else if (err) {
               logger.error('Error /users/lookup', user, err,
-                'ignoring', uidsToQuery.length, 'unblocks');
+                'ignoring', uidsToQuery.length, type + 's');
             } else {
               // If a uid was present in the response, the user is not deactivated,
               // so go ahead and record it as an unblock.
               var indexedResponses = _.indexBy(response, 'id_str');
               var recordedActions = uidsToQuery.map(function(sink_uid) {
                 if (indexedResponses[sink_uid]) {
-                  return recordAction(source_uid, sink_uid, Action.UNBLOCK);
+                  return recordAction(source_uid, sink_uid, type);
                 } else {
                   return Q.resolve(null);
                 }
               });
+              if (type !== Action.UNBLOCK) {
+                // Only blocks and unblocks are shared.
+                return;
+              }
               Q.all(recordedActions)
                 .then(function(actions) {
-                  subscriptions.fanoutActions(actions);
+                  return sharedBlocks.applyExternalActions(actions);
+                }).then(function(sharedActions) {
+                  return subscriptions.fanoutActions(sharedActions);
                 }).catch(function(err) {
                   logger.error(err);
                 });
@@ -424,12 +597,13 @@ function recordUnblocksUnlessDeactivated(source_uid, sink_uids) {
 }
 
 /**
- * For a given BtUser, remove all but 4 most recent batches of blocks.
+ * For a given BtUser, remove all but 4 most recent batches of blocks or mutes.
  *
+ * @param {Object} batchModel BlockBatch or MuteBatch.
  * @param {String} userId The uid for the BtUser whose blocks we want to trim.
  */
-function destroyOldBlocks(userId) {
-  BlockBatch.findAll({
+function destroyOldBatches(batchModel, userId) {
+  batchModel.findAll({
     where: {
       source_uid: userId
     },
@@ -437,7 +611,7 @@ function destroyOldBlocks(userId) {
     order: 'id DESC'
   }).then(function(blockBatches) {
     if (blockBatches && blockBatches.length > 0) {
-      return BlockBatch.destroy({
+      return batchModel.destroy({
         id: {
           in: _.pluck(blockBatches, 'id')
         }
@@ -446,7 +620,8 @@ function destroyOldBlocks(userId) {
       return Q.resolve(0);
     }
   }).then(function(destroyedCount) {
-    logger.info('Trimmed', destroyedCount, 'old BlockBatches for', userId);
+    logger.info('Trimmed', destroyedCount, 'old', batchModel.name, 'for',
+      userId);
   }).catch(function(err) {
     logger.error(err);
   });
@@ -527,6 +702,11 @@ function setupServer() {
           'from', callerName);
         updateBlocksForUid(uid).then(cb);
       };
+      this.updateMutesForUid = function(uid, callerName, cb) {
+        logger.info('Fulfilling remote mute update request for', uid,
+          'from', callerName);
+        updateMutesForUid(uid).then(cb);
+      };
     });
     up.pipe(stream).pipe(up);
     // Keep track of open streams to close them on graceful exit.
@@ -541,7 +721,8 @@ function setupServer() {
 }
 
 module.exports = {
-  updateBlocks: updateBlocks
+  updateBlocks: updateBlocks,
+  updateMutes: updateMutes
 };
 
 if (require.main === module) {
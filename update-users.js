@@ -10,11 +10,16 @@ var config = setup.config,
     sequelize = setup.sequelize,
     accessToken = config.defaultAccessToken,
     accessTokenSecret = config.defaultAccessTokenSecret,
+    Action = setup.Action,
     BtUser = setup.BtUser,
     TwitterUser = setup.TwitterUser,
     BlockBatch = setup.BlockBatch,
     Block = setup.Block;
 
+// How long an action can sit in deferred-target-suspended before we look up
+// its target again to see whether they've come back.
+var DEFERRED_RECHECK_DAYS = 7;
+
 /**
  * Find TwitterUsers needing update, look them up on Twitter, and store in
  * database. A user needs update if it's just been inserted (no screen name)
@@ -78,6 +83,9 @@ function deactivateTwitterUser(uid) {
   TwitterUser.find(uid).error(function(err) {
     logger.error(err);
   }).success(function(twitterUser) {
+    if (!twitterUser) {
+      return;
+    }
     twitterUser.deactivatedAt = new Date();
     twitterUser.save().error(function(err) {
       logger.error(err);
@@ -88,28 +96,90 @@ function deactivateTwitterUser(uid) {
 }
 
 
+/**
+ * Put deferred-target-suspended actions against the given targets back in the
+ * queue, because the targets are active again. actions.js will pick them up on
+ * its next sweep, and check follow status etc. afresh.
+ *
+ * @param {Array.<string>} sinkUids Uids of the targets that came back.
+ */
+function reviveDeferredActions(sinkUids) {
+  if (sinkUids.length === 0) {
+    return;
+  }
+  Action.update({
+    status: Action.PENDING
+  }, { /* where */
+    sink_uid: sinkUids,
+    status: Action.DEFERRED_TARGET_SUSPENDED
+  }).error(function(err) {
+    logger.error(err);
+  }).success(function() {
+    logger.debug('Revived deferred actions for', sinkUids.length, 'targets');
+  });
+}
+
+/**
+ * Find targets of actions that have been deferred for more than
+ * DEFERRED_RECHECK_DAYS, and look them up again. Targets that are found have
+ * their actions revived. Targets that are still gone are left alone for
+ * another DEFERRED_RECHECK_DAYS.
+ */
+function recheckDeferredActions() {
+  Action
+    .findAll({
+      where: ['status = ? AND updatedAt < (now() - INTERVAL ? DAY)',
+        Action.DEFERRED_TARGET_SUSPENDED, DEFERRED_RECHECK_DAYS],
+      group: 'sink_uid',
+      limit: 100
+    }).error(function(err) {
+      logger.error(err);
+    }).success(function(actions) {
+      if (actions.length === 0) {
+        return;
+      }
+      var sinkUids = _.pluck(actions, 'sink_uid');
+      logger.info('Rechecking', sinkUids.length, 'targets of deferred actions');
+      // Bump updatedAt so targets that are still gone drop out of the next
+      // sweep.
+      Action.update({
+        updatedAt: new Date()
+      }, { /* where */
+        sink_uid: sinkUids,
+        status: Action.DEFERRED_TARGET_SUSPENDED
+      }).error(function(err) {
+        logger.error(err);
+      }).success(function() {
+        updateUsers(sinkUids, reviveDeferredActions);
+      });
+    });
+}
+
 /**
  * Given a list of uids, look them up using the Twitter API and update the
  * database accordingly.
  * @param {Array.<string>} uids List of user ids to look up.
+ * @param {Function=} opt_onFound Called with the uids that Twitter returned,
+ *   if any.
  */
-function updateUsers(uids) {
+function updateUsers(uids, opt_onFound) {
   twitter.users('lookup', {
       skip_status: 1,
       user_id: uids.join(',')
     },
     accessToken, accessTokenSecret,
-    updateUsersCallback.bind(null, uids));
+    updateUsersCallback.bind(null, uids, opt_onFound));
 }
 
 /**
  * Given a user lookup API response from Twitter, store the user into the DB.
  * @param {Array.<string>} uids Array of uids that were requested.
+ * @param {Function=} opt_onFound As for updateUsers.
  * @param {Object} err Error return by Twitter API, if any.
  * @param {Array.<Object>} response List of JSON User objects as defined by the
  *   Twitter API. https://dev.twitter.com/docs/platform-objects/users
  */
-function updateUsersCallback(uids, err, response) {
+function updateUsersCallback(uids, opt_onFound, err, response) {
   if (err) {
     if (err.statusCode === 429) {
       logger.info('Rate limited.');
@@ -139,11 +209,15 @@ function updateUsersCallback(uids, err, response) {
       deactivateTwitterUser(uid);
     }
   });
+  if (opt_onFound && response.length > 0) {
+    opt_onFound(_.pluck(response, 'id_str'));
+  }
 }
 
 /**
  * Store a single user into the DB. If the user was marked deactivated,
- * reactivate them.
+ * reactivate them, and revive any actions that were deferred because they
+ * were gone.
  * @param {Object} twitterUserResponse A JSON User object as defined by the
  *   Twitter API. https://dev.twitter.com/docs/platform-objects/users
  */
@@ -153,6 +227,7 @@ function storeUser(twitterUserResponse) {
     .error(function(err) {
       logger.error(err);
     }).success(function(user, created) {
+      var reactivated = !created && !!user.deactivatedAt;
       _.assign(user, twitterUserResponse);
       // This field is special because it needs to be parsed as a date, and
       // because the default name 'created_at' is too confusing alongside
@@ -175,6 +250,10 @@ function storeUser(twitterUserResponse) {
             } else {
               logger.debug('Updated user', user.screen_name, user.id_str);
             }
+            if (reactivated) {
+              logger.info('Reactivated user', user.screen_name, user.id_str);
+              reviveDeferredActions([user.uid]);
+            }
           });
       } else {
         logger.debug('Skipping update for', user.screen_name, user.id_str);
@@ -197,5 +276,7 @@ if (require.main === module) {
     findAndUpdateUsers.bind(null, 'updatedAt < (now() - INTERVAL 1 DAY)'), 10000);
   // Poll for reactivated users every hour.
   setInterval(reactivateBtUsers, 60 * 60 * 1000);
+  // Recheck targets of long-deferred actions every 10 minutes.
+  setInterval(recheckDeferredActions, 10 * 60 * 1000);
 }
 })();
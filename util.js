@@ -24,7 +24,24 @@ function slowForEach(list, interval, f) {
   return Q.allSettled(promises);
 }
 
+/**
+ * Create an Error describing a problem with an API request, for the error
+ * handler in blocktogether.js to report to the client. The code lets client
+ * scripts distinguish errors without parsing the message.
+ * @param {Number} statusCode HTTP status to respond with.
+ * @param {string} code A short machine-readable code, e.g. 'already-subscribed'.
+ * @param {string} message A human-readable message.
+ * @return {Error}
+ */
+function apiError(statusCode, code, message) {
+  var err = new Error(message);
+  err.statusCode = statusCode;
+  err.code = code;
+  return err;
+}
+
 module.exports = {
+  apiError: apiError,
   slowForEach: slowForEach
 };
 